@@ -0,0 +1,45 @@
+const express = require("express");
+const cors = require("cors");
+const { etagOf } = require("./helper/cache");
+const errorHandler = require("./middleware/errorHandler");
+
+const usersRoutes = require("./routes/users");
+const userRoutes = require("./routes/user");
+const articlesRoutes = require("./routes/articles");
+const profilesRoutes = require("./routes/profiles");
+const tagsRoutes = require("./routes/tags");
+const adminRoutes = require("./routes/admin");
+const moderationRoutes = require("./routes/moderation");
+const notificationsRoutes = require("./routes/notifications");
+const uploadsRoutes = require("./routes/uploads");
+const docsRoutes = require("./routes/docs");
+
+const app = express();
+// Rate limits key on `req.ip`, set when running behind a reverse proxy
+if (process.env.TRUST_PROXY) app.set("trust proxy", process.env.TRUST_PROXY);
+// Strong ETags, answering a matching If-None-Match with a 304
+app.set("etag", etagOf);
+app.use(cors());
+app.use(express.json());
+
+if (process.env.NODE_ENV === "production") {
+  app.use(express.static("../frontend/dist"));
+} else {
+  app.get("/", (req, res) => res.json({ status: "API is running on /api" }));
+}
+app.use("/api/users", usersRoutes);
+app.use("/api/user", userRoutes);
+app.use("/api/articles", articlesRoutes);
+app.use("/api/profiles", profilesRoutes);
+app.use("/api/tags", tagsRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/moderation", moderationRoutes);
+app.use("/api/notifications", notificationsRoutes);
+app.use("/api/uploads", uploadsRoutes);
+app.use("/api", docsRoutes);
+app.get("*", (req, res) =>
+  res.status(404).json({ code: "not_found", errors: { body: ["Not found"] } }),
+);
+app.use(errorHandler);
+
+module.exports = app;
@@ -0,0 +1,73 @@
+const { responseCache } = require("../helper/cache");
+const { NotFoundError, ValidationError } = require("../helper/customErrors");
+const { pageParams } = require("../helper/pagination");
+const { User } = require("../models");
+
+//? All Users - by Role
+const allUsers = async (req, res, next) => {
+  try {
+    const { role } = req.query;
+    const { limit, offset } = pageParams(req.query, 20);
+
+    const users = await User.findAndCountAll({
+      limit: limit,
+      offset: offset * limit,
+      order: [["username", "ASC"]],
+      ...(role && { where: { role: role } }),
+    });
+
+    res.json({ users: users.rows, usersCount: users.count });
+  } catch (error) {
+    next(error);
+  }
+};
+
+//* Update User Role
+const updateUserRole = async (req, res, next) => {
+  try {
+    const { loggedUser } = req;
+
+    const { role } = req.body.user;
+
+    const { username } = req.params;
+    const user = await User.findOne({ where: { username: username } });
+    if (!user) throw new NotFoundError("User");
+
+    if (user.id === loggedUser.id) {
+      throw new ValidationError("You can't change your own role");
+    }
+
+    user.role = role;
+    await user.save();
+    responseCache.invalidate(`profile:${username}`);
+
+    res.json({ user });
+  } catch (error) {
+    next(error);
+  }
+};
+
+//* Delete User
+const deleteUser = async (req, res, next) => {
+  try {
+    const { loggedUser } = req;
+
+    const { username } = req.params;
+    const user = await User.findOne({ where: { username: username } });
+    if (!user) throw new NotFoundError("User");
+
+    if (user.id === loggedUser.id) {
+      throw new ValidationError("You can't delete your own account here");
+    }
+
+    await user.destroy();
+    // Their articles and comments go with them
+    responseCache.clear();
+
+    res.json({ message: { body: ["User deleted successfully"] } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { allUsers, updateUserRole, deleteUser };
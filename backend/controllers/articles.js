@@ -1,30 +1,56 @@
+const { findVisibleArticle } = require("../helper/articles");
+const { responseCache } = require("../helper/cache");
 const {
-  AlreadyTakenError,
   FieldRequiredError,
   ForbiddenError,
   NotFoundError,
   UnauthorizedError,
 } = require("../helper/customErrors");
 const {
-  appendFollowers,
-  appendFavorites,
-  appendTagList,
-  slugify,
+  articleStatuses,
+  publishedWhere,
+  queryList,
+  queryString,
+  saveRevision,
 } = require("../helper/helpers");
-const { Article, Tag, User } = require("../models");
+const { renderArticle, renderMarkdown } = require("../helper/markdown");
+const { pageOf, pageOptions, pageParams } = require("../helper/pagination");
+const { canModify } = require("../helper/permissions");
+const { appendHighlights, rankSql, searchTerms } = require("../helper/search");
+const {
+  asProfile,
+  profileAttributes,
+  serializeArticles,
+} = require("../helper/serializers");
+const { setArticleTags } = require("../helper/tags");
+const { Article, Tag, User, sequelize, Sequelize } = require("../models");
+const { Op } = Sequelize;
 
 const includeOptions = [
   { model: Tag, as: "tagList", attributes: ["name"] },
-  { model: User, as: "author", attributes: { exclude: ["email"] } },
+  { model: User, as: "author", attributes: profileAttributes },
 ];
 
+// Status and date formats are checked by the route schema
+const statusFields = ({ status, publishAt }) => {
+  if (status === undefined) return {};
+  if (status !== "scheduled") return { status: status, publishAt: null };
+
+  if (!publishAt) throw new FieldRequiredError("publishAt");
+
+  return { status: status, publishAt: new Date(publishAt) };
+};
+
 //? All Articles - by Author/by Tag/Favorited by user
 const allArticles = async (req, res, next) => {
   try {
     const { loggedUser } = req;
 
-    const { author, tag, favorited, limit = 3, offset = 0 } = req.query;
-    const searchOptions = {
+    const { author, tag, favorited, status } = req.query;
+    const ownArticles = loggedUser && author === loggedUser.username;
+    const { where: cursorWhere, ...page } = pageOptions(req.query);
+
+    const filterOptions = {
       include: [
         {
           model: Tag,
@@ -35,13 +61,19 @@ const allArticles = async (req, res, next) => {
         {
           model: User,
           as: "author",
-          attributes: { exclude: ["email"] },
+          attributes: profileAttributes,
           ...(author && { where: { username: author } }),
         },
       ],
-      limit: parseInt(limit),
-      offset: offset * limit,
-      order: [["createdAt", "DESC"]],
+      where:
+        status && ownArticles
+          ? { status: queryList(status, articleStatuses, "status") }
+          : publishedWhere(),
+    };
+    const searchOptions = {
+      ...filterOptions,
+      ...page,
+      where: { [Op.and]: [filterOptions.where, cursorWhere || {}] },
     };
 
     let articles = { rows: [], count: 0 };
@@ -49,22 +81,84 @@ const allArticles = async (req, res, next) => {
       const user = await User.findOne({ where: { username: favorited } });
 
       articles.rows = await user.getFavorites(searchOptions);
-      articles.count = await user.countFavorites();
+      articles.count = await user.countFavorites({
+        where: filterOptions.where,
+      });
     } else {
-      articles = await Article.findAndCountAll(searchOptions);
+      articles.rows = await Article.findAll(searchOptions);
+      articles.count = await Article.count({
+        ...filterOptions,
+        distinct: true,
+      });
     }
 
-    for (let article of articles.rows) {
-      const articleTags = await article.getTagList();
+    const { rows, nextCursor } = pageOf(articles.rows, req.query);
 
-      appendTagList(articleTags, article);
-      await appendFollowers(loggedUser, article);
-      await appendFavorites(loggedUser, article);
+    await serializeArticles(loggedUser, rows);
+    for (const article of rows) delete article.dataValues.Favorites;
 
-      delete article.dataValues.Favorites;
-    }
+    res.json({
+      articles: rows,
+      articlesCount: articles.count,
+      nextCursor: nextCursor,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+//? Search Articles - by Title/Description/Body
+const searchArticles = async (req, res, next) => {
+  try {
+    const { loggedUser } = req;
+
+    const { q } = req.query;
+    if (q !== undefined) queryString(q, "q");
+    const { limit, offset } = pageParams(req.query);
+    const terms = searchTerms(q);
+    if (!terms.length) throw new FieldRequiredError("q");
+
+    const matchOptions = ["title", "description", "body"].flatMap((field) =>
+      terms.map((term) =>
+        Sequelize.where(
+          Sequelize.fn("lower", Sequelize.col(`Article.${field}`)),
+          {
+            [Op.like]: `%${term.replace(/[\\%_]/g, "\\$&")}%`,
+          },
+        ),
+      ),
+    );
+
+    const where = { [Op.and]: [{ [Op.or]: matchOptions }, publishedWhere()] };
+    const score = Sequelize.literal(
+      rankSql(terms, (value) => sequelize.escape(value)),
+    );
+
+    // Only the page is ranked out of the database, then loaded in full
+    const ranked = await Article.findAll({
+      attributes: ["id"],
+      where: where,
+      order: [
+        [score, "DESC"],
+        ["createdAt", "DESC"],
+        ["id", "DESC"],
+      ],
+      limit: limit,
+      offset: offset * limit,
+    });
+    const ids = ranked.map(({ id }) => id);
 
-    res.json({ articles: articles.rows, articlesCount: articles.count });
+    const articles = await Article.findAll({
+      include: includeOptions,
+      where: { id: ids },
+    });
+    articles.sort((a, b) => ids.indexOf(a.id) - ids.indexOf(b.id));
+    const articlesCount = await Article.count({ where: where });
+
+    await serializeArticles(loggedUser, articles);
+    for (const article of articles) appendHighlights(terms, article);
+
+    res.json({ articles, articlesCount });
   } catch (error) {
     next(error);
   }
@@ -76,43 +170,42 @@ const createArticle = async (req, res, next) => {
     const { loggedUser } = req;
     if (!loggedUser) throw new UnauthorizedError();
 
-    const { title, description, body, tagList } = req.body.article;
-    if (!title) throw new FieldRequiredError("A title");
-    if (!description) throw new FieldRequiredError("A description");
-    if (!body) throw new FieldRequiredError("An article body");
+    const { title, description, body, tagList, coverImage } = req.body.article;
 
-    const slug = slugify(title);
-    const slugInDB = await Article.findOne({ where: { slug: slug } });
-    if (slugInDB) throw new AlreadyTakenError("Title");
+    const slug = await Article.uniqueSlug(title);
 
     const article = await Article.create({
       slug: slug,
       title: title,
       description: description,
       body: body,
+      coverImage: coverImage || null,
+      ...statusFields(req.body.article),
     });
 
-    for (const tag of tagList) {
-      const tagInDB = await Tag.findByPk(tag.trim());
+    await setArticleTags(article, tagList);
 
-      if (tagInDB) {
-        await article.addTagList(tagInDB);
-      } else if (tag.length > 2) {
-        const newTag = await Tag.create({ name: tag.trim() });
+    await article.setAuthor(loggedUser);
+    article.author = article.dataValues.author = asProfile(loggedUser);
+    await serializeArticles(loggedUser, [article]);
+    responseCache.invalidate("articles", "tags");
 
-        await article.addTagList(newTag);
-      }
-    }
+    res.status(201).json({ article });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    delete loggedUser.dataValues.token;
+//* Preview Article body - rendered like `singleArticle` does
+const previewArticle = async (req, res, next) => {
+  try {
+    const { loggedUser } = req;
+    if (!loggedUser) throw new UnauthorizedError();
 
-    article.dataValues.tagList = tagList;
-    article.setAuthor(loggedUser);
-    article.dataValues.author = loggedUser;
-    await appendFollowers(loggedUser, loggedUser);
-    await appendFavorites(loggedUser, article);
+    // Not cached, drafts change with every preview
+    const preview = renderMarkdown(req.body.article.body);
 
-    res.status(201).json({ article });
+    res.json({ preview });
   } catch (error) {
     next(error);
   }
@@ -124,26 +217,30 @@ const articlesFeed = async (req, res, next) => {
     const { loggedUser } = req;
     if (!loggedUser) throw new UnauthorizedError();
 
-    const { limit = 3, offset = 0 } = req.query;
+    const { where: cursorWhere, ...page } = pageOptions(req.query);
     const authors = await loggedUser.getFollowing();
 
-    const articles = await Article.findAndCountAll({
+    const feedWhere = {
+      userId: authors.map((author) => author.id),
+      ...publishedWhere(),
+    };
+
+    const articles = await Article.findAll({
       include: includeOptions,
-      limit: parseInt(limit),
-      offset: offset * limit,
-      order: [["createdAt", "DESC"]],
-      where: { userId: authors.map((author) => author.id) },
+      ...page,
+      where: { [Op.and]: [feedWhere, cursorWhere || {}] },
     });
+    const articlesCount = await Article.count({ where: feedWhere });
 
-    for (const article of articles.rows) {
-      const articleTags = await article.getTagList();
+    const { rows, nextCursor } = pageOf(articles, req.query);
 
-      appendTagList(articleTags, article);
-      await appendFollowers(loggedUser, article);
-      await appendFavorites(loggedUser, article);
-    }
+    await serializeArticles(loggedUser, rows);
 
-    res.json({ articles: articles.rows, articlesCount: articles.count });
+    res.json({
+      articles: rows,
+      articlesCount: articlesCount,
+      nextCursor: nextCursor,
+    });
   } catch (error) {
     next(error);
   }
@@ -155,15 +252,12 @@ const singleArticle = async (req, res, next) => {
     const { loggedUser } = req;
 
     const { slug } = req.params;
-    const article = await Article.findOne({
-      where: { slug: slug },
+    const article = await findVisibleArticle(loggedUser, slug, {
       include: includeOptions,
     });
-    if (!article) throw new NotFoundError("Article");
 
-    appendTagList(article.tagList, article);
-    await appendFollowers(loggedUser, article);
-    await appendFavorites(loggedUser, article);
+    await serializeArticles(loggedUser, [article]);
+    Object.assign(article.dataValues, renderArticle(article));
 
     res.json({ article });
   } catch (error) {
@@ -188,18 +282,23 @@ const updateArticle = async (req, res, next) => {
       throw new ForbiddenError("article");
     }
 
-    const { title, description, body } = req.body.article;
+    await saveRevision(loggedUser, article);
+
+    const { title, description, body, coverImage, tagList } = req.body.article;
     if (title) {
-      article.slug = slugify(title);
+      await article.changeSlug(title);
       article.title = title;
     }
     if (description) article.description = description;
     if (body) article.body = body;
+    // Blank removes the cover
+    if (coverImage !== undefined) article.coverImage = coverImage || null;
+    Object.assign(article, statusFields(req.body.article));
     await article.save();
+    if (tagList) await setArticleTags(article, tagList);
 
-    appendTagList(article.tagList, article);
-    await appendFollowers(loggedUser, article);
-    await appendFavorites(loggedUser, article);
+    await serializeArticles(loggedUser, [article]);
+    responseCache.invalidate("articles", "tags", `article:${slug}`);
 
     res.json({ article });
   } catch (error) {
@@ -220,11 +319,12 @@ const deleteArticle = async (req, res, next) => {
     });
     if (!article) throw new NotFoundError("Article");
 
-    if (loggedUser.id !== article.author.id) {
+    if (!canModify(loggedUser, article.author.id, "articles:delete")) {
       throw new ForbiddenError("article");
     }
 
     await article.destroy();
+    responseCache.invalidate("articles", "tags", `article:${slug}`);
 
     res.json({ message: { body: ["Article deleted successfully"] } });
   } catch (error) {
@@ -234,7 +334,9 @@ const deleteArticle = async (req, res, next) => {
 
 module.exports = {
   allArticles,
+  searchArticles,
   createArticle,
+  previewArticle,
   singleArticle,
   updateArticle,
   deleteArticle,
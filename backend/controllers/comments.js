@@ -1,11 +1,25 @@
+const { findVisibleArticle } = require("../helper/articles");
+const { responseCache } = require("../helper/cache");
 const {
   NotFoundError,
   UnauthorizedError,
-  FieldRequiredError,
   ForbiddenError,
 } = require("../helper/customErrors");
-const { appendFollowers } = require("../helper/helpers");
-const { Article, Comment, User } = require("../models");
+const { publish } = require("../helper/events");
+const { buildCommentTree, pathId } = require("../helper/helpers");
+const { canModify } = require("../helper/permissions");
+const {
+  asProfile,
+  profileAttributes,
+  serializeProfiles,
+} = require("../helper/serializers");
+const {
+  Article,
+  Comment,
+  CommentEdit,
+  Notification,
+  User,
+} = require("../models");
 
 //? All Comments for Article
 const allComments = async (req, res, next) => {
@@ -13,20 +27,25 @@ const allComments = async (req, res, next) => {
     const { loggedUser } = req;
     const { slug } = req.params;
 
-    const article = await Article.findOne({ where: { slug: slug } });
-    if (!article) throw new NotFoundError("Article");
+    const article = await findVisibleArticle(loggedUser, slug);
 
     const comments = await article.getComments({
       include: [
-        { model: User, as: "author", attributes: { exclude: ["email"] } },
+        { model: User, as: "author", attributes: profileAttributes },
+        { model: CommentEdit, as: "edits" },
+      ],
+      order: [
+        ["createdAt", "ASC"],
+        [{ model: CommentEdit, as: "edits" }, "createdAt", "ASC"],
       ],
     });
 
-    for (const comment of comments) {
-      await appendFollowers(loggedUser, comment);
-    }
+    await serializeProfiles(
+      loggedUser,
+      comments.map((comment) => comment.author),
+    );
 
-    res.json({ comments });
+    res.json({ comments: buildCommentTree(comments) });
   } catch (error) {
     next(error);
   }
@@ -38,22 +57,44 @@ const createComment = async (req, res, next) => {
     const { loggedUser } = req;
     if (!loggedUser) throw new UnauthorizedError();
 
-    const { body } = req.body.comment;
-    if (!body) throw new FieldRequiredError("Comment body");
+    const { body, parentId } = req.body.comment;
 
     const { slug } = req.params;
-    const article = await Article.findOne({ where: { slug: slug } });
-    if (!article) throw new NotFoundError("Article");
+    const article = await findVisibleArticle(loggedUser, slug);
+
+    let parent = null;
+    if (parentId) {
+      parent = await Comment.findOne({
+        where: { id: parentId, articleId: article.id },
+      });
+      if (!parent) throw new NotFoundError("Parent comment");
+    }
 
     const comment = await Comment.create({
       body: body,
       articleId: article.id,
+      parentId: parentId || null,
       userId: loggedUser.id,
     });
 
-    delete loggedUser.dataValues.token;
-    comment.dataValues.author = loggedUser;
-    await appendFollowers(loggedUser, loggedUser);
+    const notification = { actor: loggedUser, article: article, comment };
+    await Notification.notify("comment", {
+      ...notification,
+      recipient: { id: article.userId },
+    });
+    // The replied comment's author hears back too, unless already notified
+    if (parent && parent.userId !== article.userId) {
+      await Notification.notify("reply", {
+        ...notification,
+        recipient: { id: parent.userId },
+      });
+    }
+
+    comment.dataValues.author = asProfile(loggedUser);
+    await serializeProfiles(loggedUser, [comment.dataValues.author]);
+
+    publish(article.id, "comment:created", { comment: comment });
+    responseCache.invalidate(`article:${slug}`);
 
     res.status(201).json({ comment });
   } catch (error) {
@@ -61,6 +102,45 @@ const createComment = async (req, res, next) => {
   }
 };
 
+//* Update Comment for Article
+const updateComment = async (req, res, next) => {
+  try {
+    const { loggedUser } = req;
+    if (!loggedUser) throw new UnauthorizedError();
+
+    const { body } = req.body.comment;
+
+    const { slug, commentId } = req.params;
+    const article = await findVisibleArticle(loggedUser, slug);
+
+    const comment = await Comment.findOne({
+      where: { id: pathId(commentId, "Comment"), articleId: article.id },
+    });
+    if (!comment) throw new NotFoundError("Comment");
+
+    if (loggedUser.id !== comment.userId) {
+      throw new ForbiddenError("comment");
+    }
+
+    if (body !== comment.body) {
+      await comment.createEdit({ body: comment.body });
+
+      comment.body = body;
+      await comment.save();
+    }
+
+    comment.dataValues.author = asProfile(loggedUser);
+    comment.dataValues.edits = await comment.getEdits({
+      order: [["createdAt", "ASC"]],
+    });
+    await serializeProfiles(loggedUser, [comment.dataValues.author]);
+
+    res.json({ comment });
+  } catch (error) {
+    next(error);
+  }
+};
+
 //* Delete Comment for Article
 const deleteComment = async (req, res, next) => {
   try {
@@ -69,19 +149,26 @@ const deleteComment = async (req, res, next) => {
 
     const { slug, commentId } = req.params;
 
-    const comment = await Comment.findByPk(commentId);
+    const article = await Article.findOne({ where: { slug: slug } });
+    if (!article) throw new NotFoundError("Article");
+
+    const comment = await Comment.findOne({
+      where: { id: pathId(commentId, "Comment"), articleId: article.id },
+    });
     if (!comment) throw new NotFoundError("Comment");
 
-    if (loggedUser.id !== comment.userId) {
+    if (!canModify(loggedUser, comment.userId, "comments:delete")) {
       throw new ForbiddenError("comment");
     }
 
     await comment.destroy();
 
+    publish(comment.articleId, "comment:deleted", { id: comment.id });
+
     res.json({ message: { body: ["Comment deleted successfully"] } });
   } catch (error) {
     next(error);
   }
 };
 
-module.exports = { allComments, createComment, deleteComment };
+module.exports = { allComments, createComment, updateComment, deleteComment };
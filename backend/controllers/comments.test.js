@@ -0,0 +1,193 @@
+// @vitest-environment node
+const { request, signUp, startServer, stopServer } = require("../test/server");
+const { Comment } = require("../models");
+
+let jake;
+let anna;
+let article;
+let otherArticle;
+
+const createArticle = async (title) => {
+  const { data } = await request("POST", "/articles", {
+    body: {
+      article: { title, description: "About dragons", body: "Dragons" },
+    },
+    token: jake.token,
+  });
+
+  return data.article;
+};
+
+const comment = async (slug, body, user = jake) => {
+  const { data } = await request("POST", `/articles/${slug}/comments`, {
+    body: { comment: { body } },
+    token: user.token,
+  });
+
+  return data.comment;
+};
+
+const edit = (slug, id, body, token) =>
+  request("PUT", `/articles/${slug}/comments/${id}`, {
+    body: { comment: { body } },
+    token: token,
+  });
+
+beforeAll(async () => {
+  await startServer();
+
+  jake = await signUp("jake");
+  anna = await signUp("anna");
+  article = await createArticle("Dragons");
+  otherArticle = await createArticle("Wyverns");
+});
+
+afterAll(stopServer);
+
+describe("Edit comment", () => {
+  test("the author edits and the previous bodies are kept in order", async () => {
+    const { id } = await comment(article.slug, "First");
+
+    await edit(article.slug, id, "Second", jake.token);
+    const { status, data } = await edit(article.slug, id, "Third", jake.token);
+
+    expect(status).toBe(200);
+    expect(data.comment.body).toBe("Third");
+    expect(data.comment.author.username).toBe("jake");
+    expect(data.comment.edits.map(({ body }) => body)).toEqual([
+      "First",
+      "Second",
+    ]);
+  });
+
+  test("the history is listed with the comments", async () => {
+    const { id } = await comment(article.slug, "Draft");
+    await edit(article.slug, id, "Final", jake.token);
+
+    const { data } = await request("GET", `/articles/${article.slug}/comments`);
+    const listed = data.comments.find((comment) => comment.id === id);
+
+    expect(listed.body).toBe("Final");
+    expect(listed.edits.map(({ body }) => body)).toEqual(["Draft"]);
+  });
+
+  test("an unchanged body records no edit", async () => {
+    const { id } = await comment(article.slug, "Same");
+
+    const { data } = await edit(article.slug, id, "Same", jake.token);
+
+    expect(data.comment.edits).toEqual([]);
+  });
+
+  test("only the author can edit", async () => {
+    const { id } = await comment(article.slug, "Mine");
+
+    const forbidden = await edit(article.slug, id, "Yours", anna.token);
+    const signedOut = await edit(article.slug, id, "Nobody's");
+    const { data } = await request("GET", `/articles/${article.slug}/comments`);
+
+    expect(forbidden.status).toBe(403);
+    expect(signedOut.status).toBe(401);
+    expect(data.comments.find((comment) => comment.id === id)).toMatchObject({
+      body: "Mine",
+      edits: [],
+    });
+  });
+
+  test("missing comments and articles are not found", async () => {
+    const { id } = await comment(article.slug, "Here");
+
+    const missing = await edit(article.slug, id + 100, "Gone", jake.token);
+    const elsewhere = await edit(otherArticle.slug, id, "Moved", jake.token);
+    const noArticle = await edit("nothing-here", id, "Lost", jake.token);
+
+    expect(missing).toMatchObject({
+      status: 404,
+      data: { code: "not_found" },
+    });
+    expect(elsewhere.status).toBe(404);
+    expect(noArticle.status).toBe(404);
+  });
+
+  test("ids that can't exist are not found", async () => {
+    const url = `/articles/${article.slug}/comments/abc`;
+
+    expect((await edit(article.slug, "abc", "Odd", jake.token)).status).toBe(
+      404,
+    );
+    expect((await request("DELETE", url, { token: jake.token })).status).toBe(
+      404,
+    );
+  });
+
+  test("bodies are validated", async () => {
+    const { id } = await comment(article.slug, "Valid");
+
+    const { status, data } = await edit(article.slug, id, "", jake.token);
+
+    expect(status).toBe(422);
+    expect(Object.keys(data.errors)).toEqual(["body"]);
+  });
+});
+
+describe("Delete comment", () => {
+  test("only through the article it belongs to", async () => {
+    const { id } = await comment(article.slug, "Stay");
+    const remove = (slug) =>
+      request("DELETE", `/articles/${slug}/comments/${id}`, {
+        token: jake.token,
+      });
+
+    expect((await remove(otherArticle.slug)).status).toBe(404);
+    expect((await remove(article.slug)).status).toBe(200);
+    expect((await remove(article.slug)).status).toBe(404);
+  });
+
+  test("only by the author", async () => {
+    const { id } = await comment(article.slug, "Mine");
+
+    const { status } = await request(
+      "DELETE",
+      `/articles/${article.slug}/comments/${id}`,
+      { token: anna.token },
+    );
+
+    expect(status).toBe(403);
+  });
+});
+
+describe("Comment authors", () => {
+  test("show public profile fields only", async () => {
+    const created = await comment(article.slug, "Public", anna);
+    const { data } = await request("GET", `/articles/${article.slug}/comments`);
+    const listed = data.comments.find(({ id }) => id === created.id);
+
+    for (const author of [created.author, listed.author]) {
+      expect(Object.keys(author).sort()).toEqual([
+        "bio",
+        "followersCount",
+        "following",
+        "image",
+        "username",
+      ]);
+    }
+  });
+});
+
+describe("Hidden comments", () => {
+  test("are listed without their replies", async () => {
+    const { slug } = await createArticle("Griffins");
+    const rude = await comment(slug, "Rude", anna);
+    await request("POST", `/articles/${slug}/comments`, {
+      body: { comment: { body: "Calm down", parentId: rude.id } },
+      token: jake.token,
+    });
+    await comment(slug, "Lovely");
+    await Comment.update({ hiddenAt: new Date() }, { where: { id: rude.id } });
+
+    const { data: listed } = await request("GET", `/articles/${slug}/comments`);
+    const bodies = listed.comments.map(({ body }) => body);
+
+    expect(bodies).toEqual(["Lovely"]);
+  });
+});
@@ -0,0 +1,41 @@
+const { NotFoundError } = require("../helper/customErrors");
+const { subscribe, unsubscribe } = require("../helper/events");
+const { isPublished } = require("../helper/helpers");
+const { Article } = require("../models");
+
+// Comments so proxies don't close idle streams
+const heartbeatInterval = 25 * 1000;
+
+//? Article Events - comments and favorites as Server-Sent Events
+const articleEvents = async (req, res, next) => {
+  try {
+    const { slug } = req.params;
+    const article = await Article.findOne({ where: { slug: slug } });
+    if (!article || !isPublished(article) || article.hiddenAt) {
+      throw new NotFoundError("Article");
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.write("retry: 5000\n\n");
+
+    subscribe(article.id, res);
+    const heartbeat = setInterval(
+      () => res.write(": ping\n\n"),
+      heartbeatInterval,
+    );
+
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      unsubscribe(article.id, res);
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { articleEvents };
@@ -1,10 +1,12 @@
-const { UnauthorizedError, NotFoundError } = require("../helper/customErrors");
+const { findVisibleArticle } = require("../helper/articles");
+const { responseCache } = require("../helper/cache");
+const { UnauthorizedError } = require("../helper/customErrors");
+const { publish } = require("../helper/events");
 const {
-  appendFollowers,
-  appendFavorites,
-  appendTagList,
-} = require("../helper/helpers");
-const { Article, Tag, User } = require("../models");
+  profileAttributes,
+  serializeArticles,
+} = require("../helper/serializers");
+const { Notification, Tag, User } = require("../models");
 
 //*  Favorite/Unfavorite Article
 const favoriteToggler = async (req, res, next) => {
@@ -14,8 +16,7 @@ const favoriteToggler = async (req, res, next) => {
 
     const { slug } = req.params;
 
-    const article = await Article.findOne({
-      where: { slug: slug },
+    const article = await findVisibleArticle(loggedUser, slug, {
       include: [
         {
           model: Tag,
@@ -25,18 +26,27 @@ const favoriteToggler = async (req, res, next) => {
         {
           model: User,
           as: "author",
-          attributes: ["username", "bio", "image" /* "following" */],
+          attributes: profileAttributes,
         },
       ],
     });
-    if (!article) throw new NotFoundError("Article");
 
-    if (req.method === "POST") await article.addUser(loggedUser);
+    if (req.method === "POST") {
+      await article.addUser(loggedUser);
+      await Notification.notify("favorite", {
+        recipient: article.author,
+        actor: loggedUser,
+        article: article,
+      });
+    }
     if (req.method === "DELETE") await article.removeUser(loggedUser);
 
-    appendTagList(article.tagList, article);
-    await appendFollowers(loggedUser, article);
-    await appendFavorites(loggedUser, article);
+    await serializeArticles(loggedUser, [article]);
+    // Favorited lists change too, not only the ones showing the article
+    responseCache.invalidate("articles", `article:${slug}`);
+
+    const { favoritesCount } = article.dataValues;
+    publish(article.id, "favorites", { favoritesCount: favoritesCount });
 
     res.json({ article });
   } catch (error) {
@@ -0,0 +1,251 @@
+const { isVisible } = require("../helper/articles");
+const { responseCache } = require("../helper/cache");
+const {
+  AlreadyTakenError,
+  NotFoundError,
+  UnauthorizedError,
+  ValidationError,
+} = require("../helper/customErrors");
+const { pathId, queryList } = require("../helper/helpers");
+const {
+  reportStatuses,
+  reportTypes,
+  validateTriage,
+} = require("../helper/moderation");
+const { pageParams } = require("../helper/pagination");
+const { hasPermission } = require("../helper/permissions");
+const { Article, Comment, RefreshToken, Report, User } = require("../models");
+
+const userAttributes = ["username", "image"];
+const pendingStatuses = ["open", "triaged"];
+
+// Reported content with its author id, looked up by id or by its public key
+const findTarget = async (targetType, key) => {
+  if (targetType === "article") {
+    const where = typeof key === "number" ? { id: key } : { slug: key };
+    const article = await Article.findOne({ where: where });
+
+    return article && { authorId: article.userId, content: article };
+  }
+
+  if (targetType === "comment") {
+    if (!Number.isInteger(key)) return null;
+
+    const comment = await Comment.findByPk(key, { include: Article });
+
+    return comment && { authorId: comment.userId, content: comment };
+  }
+
+  const where = typeof key === "number" ? { id: key } : { username: key };
+  const user = await User.findOne({ where: where });
+
+  return user && { authorId: user.id, content: user };
+};
+
+// Drafts and hidden content are only for their author and moderators to see
+const canRead = (targetType, content) => {
+  if (targetType === "article") return isVisible(content);
+  if (targetType === "comment") {
+    return !content.hiddenAt && isVisible(content.Article);
+  }
+
+  return true;
+};
+
+// Content of every reported type, looked up by id for a whole page at once
+const targetLoaders = {
+  article: (ids) => Article.findAll({ where: { id: ids } }),
+  comment: (ids) => Comment.findAll({ where: { id: ids }, include: Article }),
+  profile: (ids) =>
+    User.findAll({ attributes: ["id", "username"], where: { id: ids } }),
+};
+
+const targetSummaries = {
+  article: (article) => ({
+    authorId: article.userId,
+    slug: article.slug,
+    title: article.title,
+    hiddenAt: article.hiddenAt,
+  }),
+  comment: (comment) => ({
+    authorId: comment.userId,
+    id: comment.id,
+    body: comment.body,
+    slug: comment.Article.slug,
+    hiddenAt: comment.hiddenAt,
+  }),
+  profile: (user) => ({ authorId: user.id, username: user.username }),
+};
+
+const appendTargets = async (reports) => {
+  const summaries = new Map();
+  for (const type of reportTypes) {
+    const ids = reports
+      .filter((report) => report.targetType === type)
+      .map((report) => report.targetId);
+    if (!ids.length) continue;
+
+    for (const content of await targetLoaders[type](ids)) {
+      summaries.set(`${type}:${content.id}`, targetSummaries[type](content));
+    }
+  }
+
+  const authors = await User.findAll({
+    attributes: ["id", ...userAttributes, "suspendedAt"],
+    where: { id: [...summaries.values()].map(({ authorId }) => authorId) },
+  });
+  const authorsById = new Map(authors.map((author) => [author.id, author]));
+
+  for (const report of reports) {
+    const summary = summaries.get(`${report.targetType}:${report.targetId}`);
+    if (!summary) {
+      report.dataValues.target = null;
+      continue;
+    }
+
+    const { authorId, ...target } = summary;
+    const author = authorsById.get(authorId);
+    report.dataValues.target = {
+      ...target,
+      author: {
+        username: author.username,
+        image: author.image,
+        suspendedAt: author.suspendedAt,
+      },
+    };
+  }
+};
+
+const applyAction = async (report, action) => {
+  const target = await findTarget(report.targetType, report.targetId);
+  if (!target) throw new NotFoundError("Reported content");
+
+  if (action === "hide" || action === "unhide") {
+    target.content.hiddenAt = action === "hide" ? new Date() : null;
+    return target.content.save();
+  }
+
+  const author = await User.findByPk(target.authorId);
+  if (hasPermission(author, "reports:manage")) {
+    throw new ValidationError("Moderators can't be suspended");
+  }
+
+  author.suspendedAt = new Date();
+  await author.save();
+  await RefreshToken.revokeUser(author);
+};
+
+//? All Reports - by Status
+const allReports = async (req, res, next) => {
+  try {
+    const { status } = req.query;
+    const { limit, offset } = pageParams(req.query, 20);
+
+    const reports = await Report.findAndCountAll({
+      include: [
+        { model: User, as: "reporter", attributes: userAttributes },
+        { model: User, as: "moderator", attributes: userAttributes },
+      ],
+      limit: limit,
+      offset: offset * limit,
+      order: [["createdAt", "ASC"]],
+      ...(status && {
+        where: { status: queryList(status, reportStatuses, "status") },
+      }),
+    });
+
+    await appendTargets(reports.rows);
+
+    res.json({ reports: reports.rows, reportsCount: reports.count });
+  } catch (error) {
+    next(error);
+  }
+};
+
+//* Create Report
+const createReport = async (req, res, next) => {
+  try {
+    const { loggedUser } = req;
+    if (!loggedUser) throw new UnauthorizedError();
+
+    const { type, target, reason } = req.body.report;
+
+    const key = type === "comment" ? Number(target) : String(target);
+    const reported = await findTarget(type, key);
+    if (!reported) throw new NotFoundError("Reported content");
+
+    if (reported.authorId === loggedUser.id) {
+      throw new ValidationError("You can't report your own content");
+    }
+    if (!canRead(type, reported.content)) {
+      throw new NotFoundError("Reported content");
+    }
+
+    const reportOptions = {
+      targetType: type,
+      targetId: reported.content.id,
+      reporterId: loggedUser.id,
+    };
+
+    const openReport = await Report.findOne({
+      where: { ...reportOptions, status: pendingStatuses },
+    });
+    if (openReport)
+      throw new AlreadyTakenError("report", "is already waiting for a review");
+
+    const report = await Report.create({ ...reportOptions, reason: reason });
+
+    res.status(201).json({ report });
+  } catch (error) {
+    next(error);
+  }
+};
+
+//* Triage/Resolve Report
+const updateReport = async (req, res, next) => {
+  try {
+    const { loggedUser } = req;
+
+    const { status, action } = req.body.report;
+
+    const { reportId } = req.params;
+    const report = await Report.findByPk(pathId(reportId, "Report"));
+    if (!report) throw new NotFoundError("Report");
+
+    validateTriage(report, { status, action });
+    if (action) {
+      await applyAction(report, action);
+      // Rare enough to drop every cached response that could show the content
+      responseCache.clear();
+    }
+
+    const closed = ["resolved", "dismissed"].includes(status);
+    const changes = {
+      status: status,
+      action: action || null,
+      moderatorId: loggedUser.id,
+      resolvedAt: closed ? new Date() : null,
+    };
+
+    await report.update(changes);
+
+    // An action settles every other pending report about the same content
+    if (action) {
+      await Report.update(changes, {
+        where: {
+          targetType: report.targetType,
+          targetId: report.targetId,
+          status: pendingStatuses,
+        },
+      });
+    }
+
+    await appendTargets([report]);
+
+    res.json({ report });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { allReports, createReport, updateReport };
@@ -0,0 +1,133 @@
+// @vitest-environment node
+// Counts the queries a page of reports costs, which mustn't grow with the
+// number of reports in it.
+const { request, signUp, startServer, stopServer } = require("../test/server");
+const { User } = require("../models");
+
+let queries = [];
+let jake;
+let anna;
+let moderator;
+
+const report = async (type, target) => {
+  const { data } = await request("POST", "/moderation/reports", {
+    body: { report: { type, target, reason: "Rude" } },
+    token: anna.token,
+  });
+
+  return data.report;
+};
+
+const resolve = (id, action) =>
+  request("PUT", `/moderation/reports/${id}`, {
+    body: { report: { status: "resolved", action } },
+    token: moderator.token,
+  });
+
+const listReports = async (limit) => {
+  queries = [];
+  const { data } = await request("GET", `/moderation/reports?limit=${limit}`, {
+    token: moderator.token,
+  });
+
+  return { reports: data.reports, queries: queries.length };
+};
+
+beforeAll(async () => {
+  await startServer({ logging: (sql) => queries.push(sql) });
+
+  jake = await signUp("jake");
+  anna = await signUp("anna");
+  moderator = await signUp("mona");
+  await User.update({ role: "moderator" }, { where: { username: "mona" } });
+
+  for (const title of ["Dragons", "Wyverns", "Griffins"]) {
+    const { data } = await request("POST", "/articles", {
+      body: { article: { title, description: "Beasts", body: "Beasts" } },
+      token: jake.token,
+    });
+    const { slug } = data.article;
+
+    const { data: created } = await request(
+      "POST",
+      `/articles/${slug}/comments`,
+      { body: { comment: { body: `About ${title}` } }, token: jake.token },
+    );
+
+    await report("article", slug);
+    await report("comment", created.comment.id);
+  }
+  await report("profile", "jake");
+});
+
+afterAll(stopServer);
+
+describe("Reports", () => {
+  test("show their targets and authors", async () => {
+    const { reports } = await listReports(20);
+
+    expect(reports.map(({ target }) => target)).toEqual([
+      expect.objectContaining({ slug: "dragons", title: "Dragons" }),
+      expect.objectContaining({ body: "About Dragons", slug: "dragons" }),
+      expect.objectContaining({ slug: "wyverns" }),
+      expect.objectContaining({ body: "About Wyverns" }),
+      expect.objectContaining({ slug: "griffins" }),
+      expect.objectContaining({ body: "About Griffins" }),
+      { username: "jake", author: expect.any(Object) },
+    ]);
+    expect(reports[0].target.author).toEqual({
+      username: "jake",
+      image: null,
+      suspendedAt: null,
+    });
+  });
+
+  test("load their targets by type, whatever the page size", async () => {
+    const small = await listReports(2);
+    const large = await listReports(6);
+
+    expect(large.queries).toBe(small.queries);
+  });
+
+  test("ids that can't exist are not found", async () => {
+    expect((await resolve("abc", "hide")).status).toBe(404);
+  });
+
+  test("unknown statuses are rejected", async () => {
+    const { status } = await request("GET", "/moderation/reports?status=x", {
+      token: moderator.token,
+    });
+
+    expect(status).toBe(422);
+  });
+});
+
+describe("Report actions", () => {
+  test("hidden content can be shown again", async () => {
+    const { reports } = await listReports(1);
+    const [{ id }] = reports;
+
+    const hidden = await resolve(id, "hide");
+    expect(hidden.data.report.target.hiddenAt).not.toBeNull();
+    expect((await request("GET", "/articles/dragons")).status).toBe(404);
+
+    const shown = await resolve(id, "unhide");
+    expect(shown.data.report).toMatchObject({
+      status: "resolved",
+      action: "unhide",
+      target: { hiddenAt: null },
+    });
+    expect((await request("GET", "/articles/dragons")).status).toBe(200);
+  });
+
+  test("profiles can't be unhidden", async () => {
+    const { reports } = await listReports(7);
+    const profileReport = reports.find(
+      ({ targetType }) => targetType === "profile",
+    );
+
+    const { status } = await resolve(profileReport.id, "unhide");
+
+    expect(status).toBe(422);
+  });
+});
@@ -0,0 +1,85 @@
+const { NotFoundError, UnauthorizedError } = require("../helper/customErrors");
+const { pathId } = require("../helper/helpers");
+const { pageParams } = require("../helper/pagination");
+const { Article, Comment, Notification, User } = require("../models");
+
+//? All Notifications - Unread only
+const allNotifications = async (req, res, next) => {
+  try {
+    const { loggedUser } = req;
+    if (!loggedUser) throw new UnauthorizedError();
+
+    const { unread } = req.query;
+    const { limit, offset } = pageParams(req.query, 20);
+    const where = { userId: loggedUser.id };
+
+    const notifications = await Notification.findAndCountAll({
+      include: [
+        { model: User, as: "actor", attributes: ["username", "image"] },
+        { model: Article, as: "article", attributes: ["slug", "title"] },
+        { model: Comment, as: "comment", attributes: ["id", "body"] },
+      ],
+      limit: limit,
+      offset: offset * limit,
+      order: [["createdAt", "DESC"]],
+      where: unread === "true" ? { ...where, readAt: null } : where,
+    });
+
+    const unreadCount = await Notification.count({
+      where: { ...where, readAt: null },
+    });
+
+    res.json({
+      notifications: notifications.rows,
+      notificationsCount: notifications.count,
+      unreadCount: unreadCount,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+//* Mark Notification as read
+const readNotification = async (req, res, next) => {
+  try {
+    const { loggedUser } = req;
+    if (!loggedUser) throw new UnauthorizedError();
+
+    const { notificationId } = req.params;
+    const notification = await Notification.findOne({
+      where: {
+        id: pathId(notificationId, "Notification"),
+        userId: loggedUser.id,
+      },
+    });
+    if (!notification) throw new NotFoundError("Notification");
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({ notification });
+  } catch (error) {
+    next(error);
+  }
+};
+
+//* Mark all Notifications as read
+const readAllNotifications = async (req, res, next) => {
+  try {
+    const { loggedUser } = req;
+    if (!loggedUser) throw new UnauthorizedError();
+
+    await Notification.update(
+      { readAt: new Date() },
+      { where: { userId: loggedUser.id, readAt: null } },
+    );
+
+    res.json({ message: { body: ["Notifications marked as read"] } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { allNotifications, readNotification, readAllNotifications };
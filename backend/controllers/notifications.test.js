@@ -0,0 +1,181 @@
+// @vitest-environment node
+const { request, signUp, startServer, stopServer } = require("../test/server");
+const { Notification } = require("../models");
+
+let jake;
+let anna;
+let article;
+
+const notifications = async (user, query = "") => {
+  const { data } = await request("GET", `/notifications${query}`, {
+    token: user.token,
+  });
+
+  return data;
+};
+
+const comment = (user, body, parentId) =>
+  request("POST", `/articles/${article.slug}/comments`, {
+    body: { comment: { body, parentId } },
+    token: user.token,
+  });
+
+beforeAll(async () => {
+  await startServer();
+
+  jake = await signUp("jake");
+  anna = await signUp("anna");
+
+  const { data } = await request("POST", "/articles", {
+    body: {
+      article: { title: "Dragons", description: "Beasts", body: "Beasts" },
+    },
+    token: jake.token,
+  });
+  article = data.article;
+});
+
+beforeEach(() => Notification.destroy({ where: {} }));
+
+afterAll(stopServer);
+
+describe("Creating notifications", () => {
+  test("following notifies the followed user", async () => {
+    await request("POST", "/profiles/jake/follow", { token: anna.token });
+
+    const [notification] = (await notifications(jake)).notifications;
+
+    expect(notification).toMatchObject({
+      type: "follow",
+      readAt: null,
+      actor: { username: "anna" },
+      article: null,
+      comment: null,
+    });
+  });
+
+  test("favoriting notifies the author", async () => {
+    await request("POST", `/articles/${article.slug}/favorite`, {
+      token: anna.token,
+    });
+
+    const [notification] = (await notifications(jake)).notifications;
+
+    expect(notification).toMatchObject({
+      type: "favorite",
+      actor: { username: "anna" },
+      article: { slug: article.slug, title: "Dragons" },
+    });
+  });
+
+  test("commenting notifies the author, replying the replied", async () => {
+    const { data } = await comment(jake, "First!");
+    await comment(anna, "Nice", data.comment.id);
+
+    const [notification] = (await notifications(jake)).notifications;
+    expect(notification).toMatchObject({
+      type: "comment",
+      actor: { username: "anna" },
+      comment: { body: "Nice" },
+    });
+
+    const { data: annaComment } = await comment(anna, "Beasts!");
+    await comment(jake, "Thanks", annaComment.comment.id);
+
+    const { notifications: replies } = await notifications(anna);
+    expect(replies).toEqual([
+      expect.objectContaining({
+        type: "reply",
+        comment: expect.objectContaining({ body: "Thanks" }),
+      }),
+    ]);
+  });
+
+  test("own actions don't notify", async () => {
+    await request("POST", `/articles/${article.slug}/favorite`, {
+      token: jake.token,
+    });
+    await comment(jake, "Mine");
+
+    expect((await notifications(jake)).notificationsCount).toBe(0);
+  });
+
+  test("toggling doesn't repeat an unread notification", async () => {
+    for (let index = 0; index < 3; index++) {
+      await request("POST", "/profiles/jake/follow", { token: anna.token });
+      await request("DELETE", "/profiles/jake/follow", { token: anna.token });
+    }
+
+    expect((await notifications(jake)).notificationsCount).toBe(1);
+
+    await request("POST", "/notifications/read", { token: jake.token });
+    await request("POST", "/profiles/jake/follow", { token: anna.token });
+
+    expect(await notifications(jake)).toMatchObject({
+      notificationsCount: 2,
+      unreadCount: 1,
+    });
+  });
+});
+
+describe("Listing and reading", () => {
+  beforeEach(async () => {
+    await request("POST", "/profiles/jake/follow", { token: anna.token });
+    await request("POST", `/articles/${article.slug}/favorite`, {
+      token: anna.token,
+    });
+  });
+
+  test("lists the recipient's notifications only", async () => {
+    expect(await notifications(jake)).toMatchObject({
+      notificationsCount: 2,
+      unreadCount: 2,
+    });
+    expect((await notifications(anna)).notificationsCount).toBe(0);
+    expect((await request("GET", "/notifications")).status).toBe(401);
+  });
+
+  test("pages and filters unread ones", async () => {
+    const page = await notifications(jake, "?limit=1&offset=1");
+    expect(page.notifications).toHaveLength(1);
+    expect(page.notificationsCount).toBe(2);
+
+    const [first] = (await notifications(jake)).notifications;
+    await request("POST", `/notifications/${first.id}/read`, {
+      token: jake.token,
+    });
+
+    const unread = await notifications(jake, "?unread=true");
+    expect(unread).toMatchObject({ notificationsCount: 1, unreadCount: 1 });
+    expect(unread.notifications[0].id).not.toBe(first.id);
+  });
+
+  test("marks one as read, only for its recipient", async () => {
+    const [first] = (await notifications(jake)).notifications;
+    const read = (user) =>
+      request("POST", `/notifications/${first.id}/read`, { token: user.token });
+
+    expect((await read(anna)).status).toBe(404);
+    expect(
+      (await request("POST", "/notifications/abc/read", { token: jake.token }))
+        .status,
+    ).toBe(404);
+
+    const { status, data } = await read(jake);
+    expect(status).toBe(200);
+    expect(data.notification.readAt).not.toBeNull();
+    expect((await notifications(jake)).unreadCount).toBe(1);
+  });
+
+  test("marks all as read", async () => {
+    const { status } = await request("POST", "/notifications/read", {
+      token: jake.token,
+    });
+
+    expect(status).toBe(200);
+    expect(await notifications(jake)).toMatchObject({
+      notificationsCount: 2,
+      unreadCount: 0,
+    });
+  });
+});
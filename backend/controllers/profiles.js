@@ -1,6 +1,10 @@
+const { responseCache } = require("../helper/cache");
 const { UnauthorizedError, NotFoundError } = require("../helper/customErrors");
-const { appendFollowers } = require("../helper/helpers");
-const { User } = require("../models");
+const {
+  profileAttributes,
+  serializeProfiles,
+} = require("../helper/serializers");
+const { Notification, User } = require("../models");
 
 //? Profile
 const getProfile = async (req, res, next) => {
@@ -10,11 +14,11 @@ const getProfile = async (req, res, next) => {
 
     const profile = await User.findOne({
       where: { username: username },
-      attributes: { exclude: "email" },
+      attributes: profileAttributes,
     });
     if (!profile) throw new NotFoundError("User profile");
 
-    await appendFollowers(loggedUser, profile);
+    await serializeProfiles(loggedUser, [profile]);
 
     res.json({ profile });
   } catch (error) {
@@ -32,17 +36,22 @@ const followToggler = async (req, res, next) => {
 
     const profile = await User.findOne({
       where: { username: username },
-      attributes: { exclude: "email" },
+      attributes: profileAttributes,
     });
     if (!profile) throw new NotFoundError("User profile");
 
     if (req.method === "POST") {
       await profile.addFollower(loggedUser);
+      await Notification.notify("follow", {
+        recipient: profile,
+        actor: loggedUser,
+      });
     } else if (req.method === "DELETE") {
       await profile.removeFollower(loggedUser);
     }
+    responseCache.invalidate(`profile:${username}`);
 
-    await appendFollowers(loggedUser, profile);
+    await serializeProfiles(loggedUser, [profile]);
 
     res.json({ profile });
   } catch (error) {
@@ -0,0 +1,128 @@
+const { responseCache } = require("../helper/cache");
+const {
+  FieldRequiredError,
+  ForbiddenError,
+  NotFoundError,
+  UnauthorizedError,
+} = require("../helper/customErrors");
+const { diffRevisions } = require("../helper/diff");
+const { appendTagList, pathId, saveRevision } = require("../helper/helpers");
+const { queryInteger } = require("../helper/pagination");
+const {
+  profileAttributes,
+  serializeArticles,
+} = require("../helper/serializers");
+const { setArticleTags } = require("../helper/tags");
+const { Article, Revision, Tag, User } = require("../models");
+
+const includeOptions = [
+  { model: Tag, as: "tagList", attributes: ["name"] },
+  { model: User, as: "author", attributes: profileAttributes },
+];
+
+const findAuthorArticle = async (loggedUser, slug) => {
+  const article = await Article.findOne({
+    where: { slug: slug },
+    include: includeOptions,
+  });
+  if (!article) throw new NotFoundError("Article");
+
+  if (loggedUser.id !== article.author.id) {
+    throw new ForbiddenError("article");
+  }
+
+  return article;
+};
+
+const findRevision = async (article, revisionId) => {
+  const revision = await Revision.findOne({
+    where: { id: revisionId, articleId: article.id },
+  });
+  if (!revision) throw new NotFoundError("Revision");
+
+  return revision;
+};
+
+//? All Revisions for Article
+const allRevisions = async (req, res, next) => {
+  try {
+    const { loggedUser } = req;
+    if (!loggedUser) throw new UnauthorizedError();
+
+    const { slug } = req.params;
+    const article = await findAuthorArticle(loggedUser, slug);
+
+    const revisions = await article.getRevisions({
+      include: [{ model: User, as: "author", attributes: profileAttributes }],
+      order: [["createdAt", "DESC"]],
+    });
+
+    res.json({ revisions, revisionsCount: revisions.length });
+  } catch (error) {
+    next(error);
+  }
+};
+
+//? Diff between two Revisions - or between a Revision and the current Article
+const revisionsDiff = async (req, res, next) => {
+  try {
+    const { loggedUser } = req;
+    if (!loggedUser) throw new UnauthorizedError();
+
+    const { slug } = req.params;
+    const article = await findAuthorArticle(loggedUser, slug);
+
+    const { from, to } = req.query;
+    if (!from) throw new FieldRequiredError("from");
+
+    const fromRevision = await findRevision(
+      article,
+      queryInteger(from, "from", 1),
+    );
+    const toRevision = to
+      ? await findRevision(article, queryInteger(to, "to", 1))
+      : {
+          title: article.title,
+          description: article.description,
+          body: article.body,
+          tagList: appendTagList(article.tagList),
+        };
+
+    res.json({ diff: diffRevisions(fromRevision, toRevision) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+//* Restore Revision
+const restoreRevision = async (req, res, next) => {
+  try {
+    const { loggedUser } = req;
+    if (!loggedUser) throw new UnauthorizedError();
+
+    const { slug, revisionId } = req.params;
+    const article = await findAuthorArticle(loggedUser, slug);
+    const revision = await findRevision(
+      article,
+      pathId(revisionId, "Revision"),
+    );
+
+    await saveRevision(loggedUser, article);
+
+    await article.changeSlug(revision.title);
+    article.title = revision.title;
+    article.description = revision.description;
+    article.body = revision.body;
+    await article.save();
+    await setArticleTags(article, revision.tagList);
+    responseCache.invalidate("articles", "tags", `article:${slug}`);
+
+    await serializeArticles(loggedUser, [article]);
+
+    res.json({ article });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { allRevisions, revisionsDiff, restoreRevision };
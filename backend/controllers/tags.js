@@ -0,0 +1,31 @@
+const { queryString } = require("../helper/helpers");
+const { maxPageSize, queryInteger } = require("../helper/pagination");
+const { tagsUsage } = require("../helper/tags");
+
+//? All Tags - or those starting with `prefix`, for autocompletion
+const allTags = async (req, res, next) => {
+  try {
+    const { prefix, limit } = req.query;
+    if (prefix !== undefined) queryString(prefix, "prefix");
+
+    // Autocompletion wants a few, the tag cloud all of them
+    const defaultLimit = prefix === undefined ? undefined : 10;
+
+    const usage = await tagsUsage({
+      prefix: prefix,
+      limit:
+        limit === undefined
+          ? defaultLimit
+          : queryInteger(limit, "limit", 1, maxPageSize),
+    });
+
+    res.json({
+      tags: usage.map(({ name }) => name),
+      counts: Object.fromEntries(usage.map(({ name, count }) => [name, count])),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { allTags };
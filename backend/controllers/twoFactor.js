@@ -0,0 +1,104 @@
+const QRCode = require("qrcode");
+const {
+  UnauthorizedError,
+  ValidationError,
+} = require("../helper/customErrors");
+const {
+  generateBackupCodes,
+  generateSecret,
+  hashBackupCode,
+  provisioningUri,
+  verifyTotp,
+} = require("../helper/totp");
+
+const issuer = "Conduit";
+
+//* Enroll Two-Factor - secret and QR code for the authenticator app
+const enrollTwoFactor = async (req, res, next) => {
+  try {
+    const { loggedUser, headers } = req;
+    if (!loggedUser) throw new UnauthorizedError();
+
+    if (loggedUser.totpEnabledAt) {
+      throw new ValidationError("Two-factor authentication is already on");
+    }
+
+    // Stays pending until a first code confirms the app was set up
+    const secret = generateSecret();
+    loggedUser.totpSecret = secret;
+    loggedUser.totpLastStep = null;
+    await loggedUser.save();
+
+    const otpauthUrl = provisioningUri({
+      account: headers.email,
+      issuer: issuer,
+      secret: secret,
+    });
+
+    res.json({
+      twoFactor: {
+        secret: secret,
+        otpauthUrl: otpauthUrl,
+        qrCode: await QRCode.toDataURL(otpauthUrl),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+//* Confirm Two-Factor - turns it on and returns the backup codes once
+const confirmTwoFactor = async (req, res, next) => {
+  try {
+    const { loggedUser } = req;
+    if (!loggedUser) throw new UnauthorizedError();
+
+    const { code } = req.body.twoFactor;
+
+    if (!loggedUser.totpSecret || loggedUser.totpEnabledAt) {
+      throw new ValidationError("Start the two-factor setup first");
+    }
+
+    const step = verifyTotp(loggedUser.totpSecret, code);
+    if (step === null) throw new ValidationError("is invalid", "code");
+
+    const backupCodes = generateBackupCodes();
+    loggedUser.totpEnabledAt = new Date();
+    loggedUser.totpLastStep = step;
+    loggedUser.totpBackupCodes = backupCodes.map(hashBackupCode);
+    await loggedUser.save();
+
+    res.json({ twoFactor: { backupCodes: backupCodes } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+//* Disable Two-Factor
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { loggedUser } = req;
+    if (!loggedUser) throw new UnauthorizedError();
+
+    const { code } = req.body.twoFactor;
+
+    if (!loggedUser.totpEnabledAt) {
+      throw new ValidationError("Two-factor authentication is already off");
+    }
+
+    const verified = await loggedUser.verifySecondFactor(code);
+    if (!verified) throw new ValidationError("is invalid", "code");
+
+    loggedUser.totpSecret = null;
+    loggedUser.totpEnabledAt = null;
+    loggedUser.totpLastStep = null;
+    loggedUser.totpBackupCodes = null;
+    await loggedUser.save();
+
+    res.json({ message: { body: ["Two-factor authentication turned off"] } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { enrollTwoFactor, confirmTwoFactor, disableTwoFactor };
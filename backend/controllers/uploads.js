@@ -0,0 +1,20 @@
+const { imageKinds, storeImage } = require("../helper/images");
+const { getStorage } = require("../storage");
+
+// Stores the image in every size of `kind`, the user then saves its URL
+const uploadImage = (kind) => async (req, res, next) => {
+  try {
+    const variants = await storeImage(getStorage(), req.file.buffer, kind);
+
+    res.status(201).json({
+      upload: { url: variants[imageKinds[kind].url], variants },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  uploadAvatar: uploadImage("avatar"),
+  uploadCover: uploadImage("cover"),
+};
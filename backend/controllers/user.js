@@ -1,5 +1,12 @@
-const { UnauthorizedError } = require("../helper/customErrors");
+const { responseCache } = require("../helper/cache");
+const {
+  AlreadyTakenError,
+  UnauthorizedError,
+} = require("../helper/customErrors");
+const { User, Sequelize } = require("../models");
+const { Op } = Sequelize;
 const { bcryptHash } = require("../helper/bcrypt");
+const { sendVerification } = require("../helper/verification");
 
 //* Current User
 const currentUser = async (req, res, next) => {
@@ -8,6 +15,7 @@ const currentUser = async (req, res, next) => {
     if (!loggedUser) throw new UnauthorizedError();
 
     loggedUser.dataValues.email = req.headers.email;
+    loggedUser.dataValues.twoFactorEnabled = Boolean(loggedUser.totpEnabledAt);
     delete req.headers.email;
 
     res.json({ user: loggedUser });
@@ -22,22 +30,27 @@ const updateUser = async (req, res, next) => {
     const { loggedUser } = req;
     if (!loggedUser) throw new UnauthorizedError();
 
-    const {
-      user: { password },
-      user,
-    } = req.body;
+    const { password, ...changes } = req.body.user;
+    const emailChanged = changes.email && changes.email !== req.headers.email;
 
-    Object.entries(user).forEach((entry) => {
-      const [key, value] = entry;
+    for (const field of ["email", "username"]) {
+      if (!changes[field]) continue;
 
-      if (value !== undefined && key !== "password") loggedUser[key] = value;
-    });
-
-    if (password !== undefined || password !== "") {
-      loggedUser.password = await bcryptHash(password);
+      const taken = await User.findOne({
+        where: { [field]: changes[field], id: { [Op.ne]: loggedUser.id } },
+      });
+      if (taken) throw new AlreadyTakenError(field);
     }
 
+    const { username } = loggedUser;
+    Object.assign(loggedUser, changes);
+    if (emailChanged) loggedUser.emailVerifiedAt = null;
+    if (password) loggedUser.password = await bcryptHash(password);
+
     await loggedUser.save();
+    if (emailChanged) await sendVerification(loggedUser);
+    responseCache.invalidate(`profile:${username}`);
+    if (!changes.email) loggedUser.dataValues.email = req.headers.email;
 
     res.json({ user: loggedUser });
   } catch (error) {
@@ -0,0 +1,88 @@
+// @vitest-environment node
+const { request, signUp, startServer, stopServer } = require("../test/server");
+
+let mails = [];
+
+const linkToken = (mail) => mail.text.match(/token=([\w-]+)/)[1];
+
+const verify = (token) =>
+  request("POST", "/users/verify-email", { body: { user: { token } } });
+
+beforeAll(async () => {
+  await startServer({ send: async (mail) => mails.push(mail) });
+});
+
+beforeEach(() => (mails = []));
+
+afterAll(stopServer);
+
+describe("Changing the email", () => {
+  test("asks to verify the new address", async () => {
+    const jake = await signUp("jake");
+    await verify(linkToken(mails[0]));
+    mails = [];
+
+    const { status, data } = await request("PUT", "/user", {
+      body: { user: { email: "jake@dragons.io" } },
+      token: jake.token,
+    });
+
+    expect(status).toBe(200);
+    expect(data.user).toMatchObject({
+      email: "jake@dragons.io",
+      emailVerifiedAt: null,
+    });
+    expect(mails.map(({ to }) => to)).toEqual(["jake@dragons.io"]);
+
+    expect((await verify(linkToken(mails[0]))).status).toBe(200);
+    const { data: current } = await request("GET", "/user", {
+      token: jake.token,
+    });
+    expect(current.user.emailVerifiedAt).not.toBeNull();
+  });
+
+  test("stops links sent to the old address", async () => {
+    const anna = await signUp("anna");
+    const oldLink = linkToken(mails[0]);
+
+    await request("PUT", "/user", {
+      body: { user: { email: "anna@dragons.io" } },
+      token: anna.token,
+    });
+
+    expect((await verify(oldLink)).status).toBe(422);
+  });
+
+  test("keeps the session working", async () => {
+    const mona = await signUp("mona");
+
+    await request("PUT", "/user", {
+      body: { user: { email: "mona@dragons.io" } },
+      token: mona.token,
+    });
+    const { status, data } = await request("GET", "/user", {
+      token: mona.token,
+    });
+
+    expect(status).toBe(200);
+    expect(data.user).toMatchObject({
+      username: "mona",
+      email: "mona@dragons.io",
+    });
+  });
+
+  test("leaves the verification alone for other changes", async () => {
+    const lisa = await signUp("lisa");
+    await verify(linkToken(mails[0]));
+    mails = [];
+
+    const { data } = await request("PUT", "/user", {
+      body: { user: { email: "lisa@conduit.io", bio: "Dragons" } },
+      token: lisa.token,
+    });
+
+    expect(data.user.emailVerifiedAt).not.toBeNull();
+    expect(data.user.email).toBe("lisa@conduit.io");
+    expect(mails).toEqual([]);
+  });
+});
@@ -1,25 +1,69 @@
-const { User } = require("../models");
-const { jwtSign } = require("../helper/jwt");
+const { RefreshToken, User, UserToken } = require("../models");
+const { responseCache } = require("../helper/cache");
+const { sendMail } = require("../mail");
+const {
+  jwtSign,
+  jwtSignChallenge,
+  jwtVerifyChallenge,
+} = require("../helper/jwt");
 const { bcryptHash, bcryptCompare } = require("../helper/bcrypt");
+const { createAttemptTracker } = require("../helper/throttle");
+const { sendVerification } = require("../helper/verification");
 const {
   ValidationError,
-  FieldRequiredError,
+  ForbiddenError,
   AlreadyTakenError,
-  NotFoundError,
+  TooManyRequestsError,
+  UnauthorizedError,
 } = require("../helper/customErrors");
 
+const resetTokenHours = 1;
+
+// An IP gets more room than an account, since users can share one
+const loginAttempts = {
+  ip: createAttemptTracker({ freeAttempts: 10, lockoutAttempts: 50 }),
+  account: createAttemptTracker(),
+};
+const wrongCredentials = "Wrong email/password combination";
+let dummyHash;
+
+const throttleLogin = (ipKey, accountKey) => {
+  const wait = Math.max(
+    loginAttempts.ip.check(ipKey),
+    loginAttempts.account.check(accountKey),
+  );
+
+  if (wait) throw new TooManyRequestsError(wait);
+};
+
+const failLogin = (ipKey, accountKey, error) => {
+  loginAttempts.ip.fail(ipKey);
+  loginAttempts.account.fail(accountKey);
+
+  return error;
+};
+
+const appendTokens = async (user, family) => {
+  const { refreshToken, sessionId } = await RefreshToken.issue(user, family);
+
+  user.dataValues.token = await jwtSign(user, sessionId);
+  user.dataValues.refreshToken = refreshToken;
+};
+
 // Register
 const signUp = async (req, res, next) => {
   try {
     const { username, email, bio, image, password } = req.body.user;
-    if (!username) throw new FieldRequiredError(`A username`);
-    if (!email) throw new FieldRequiredError(`An email`);
-    if (!password) throw new FieldRequiredError(`A password`);
 
-    const userExists = await User.findOne({
-      where: { email: req.body.user.email },
-    });
-    if (userExists) throw new AlreadyTakenError("Email", "try logging in");
+    const emailTaken = await User.findOne({ where: { email: email } });
+    if (emailTaken) {
+      throw new AlreadyTakenError(
+        "email",
+        "has already been taken, try logging in",
+      );
+    }
+    const usernameTaken = await User.findOne({ where: { username: username } });
+    if (usernameTaken) throw new AlreadyTakenError("username");
 
     const newUser = await User.create({
       email: email,
@@ -29,7 +73,9 @@ const signUp = async (req, res, next) => {
       password: await bcryptHash(password),
     });
 
-    newUser.dataValues.token = await jwtSign(newUser);
+    await sendVerification(newUser);
+
+    await appendTokens(newUser);
 
     res.status(201).json({ user: newUser });
   } catch (error) {
@@ -40,15 +86,73 @@ const signUp = async (req, res, next) => {
 // Login
 const signIn = async (req, res, next) => {
   try {
-    const { user } = req.body;
+    const { email, password } = req.body.user;
+
+    const ipKey = req.ip;
+    const accountKey = String(email).toLowerCase();
+    throttleLogin(ipKey, accountKey);
+
+    // Unknown emails still pay for a comparison, so timing doesn't tell
+    const existentUser = await User.findOne({ where: { email: email } });
+    dummyHash = dummyHash || (await bcryptHash("dummy password"));
+    const pwd = await bcryptCompare(
+      password,
+      existentUser ? existentUser.password : dummyHash,
+    );
+    if (!existentUser || !pwd) {
+      throw failLogin(ipKey, accountKey, new ValidationError(wrongCredentials));
+    }
+
+    loginAttempts.account.reset(accountKey);
+
+    if (existentUser.suspendedAt) {
+      throw new ForbiddenError("User", "Your account is suspended");
+    }
+
+    if (existentUser.totpEnabledAt) {
+      const challengeToken = await jwtSignChallenge(existentUser);
+
+      return res.json({ twoFactor: { challengeToken: challengeToken } });
+    }
+
+    await appendTokens(existentUser);
+
+    res.json({ user: existentUser });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Login - second step
+const signInTwoFactor = async (req, res, next) => {
+  try {
+    const { challengeToken, code } = req.body.user;
+
+    const { sub } = await jwtVerifyChallenge(challengeToken);
 
-    const existentUser = await User.findOne({ where: { email: user.email } });
-    if (!existentUser) throw new NotFoundError("Email", "sign in first");
+    const ipKey = req.ip;
+    const accountKey = `2fa:${sub}`;
+    throttleLogin(ipKey, accountKey);
 
-    const pwd = await bcryptCompare(user.password, existentUser.password);
-    if (!pwd) throw new ValidationError("Wrong email/password combination");
+    const existentUser = await User.findByPk(sub);
+    if (!existentUser || !existentUser.totpEnabledAt) {
+      throw new UnauthorizedError("Sign in challenge is invalid or expired");
+    }
+    if (existentUser.suspendedAt) {
+      throw new ForbiddenError("User", "Your account is suspended");
+    }
 
-    existentUser.dataValues.token = await jwtSign(user);
+    const verified = await existentUser.verifySecondFactor(code);
+    if (!verified) {
+      throw failLogin(
+        ipKey,
+        accountKey,
+        new ValidationError("is invalid", "code"),
+      );
+    }
+
+    loginAttempts.account.reset(accountKey);
+    await appendTokens(existentUser);
 
     res.json({ user: existentUser });
   } catch (error) {
@@ -56,4 +160,143 @@ const signIn = async (req, res, next) => {
   }
 };
 
-module.exports = { signUp, signIn };
+// Refresh
+const refreshSession = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body.user;
+
+    const storedToken = await RefreshToken.findByToken(refreshToken);
+    if (!storedToken) throw new UnauthorizedError("Invalid refresh token");
+
+    // Only the first request may rotate a token, reusing it means it leaked
+    const [rotated] = await RefreshToken.update(
+      { revokedAt: new Date() },
+      { where: { id: storedToken.id, revokedAt: null } },
+    );
+    if (!rotated) {
+      await RefreshToken.revokeFamily(storedToken.family);
+      throw new UnauthorizedError("Refresh token is no longer valid");
+    }
+    if (storedToken.expiresAt < new Date()) {
+      throw new UnauthorizedError("Refresh token expired");
+    }
+
+    const user = await storedToken.getUser();
+    await appendTokens(user, storedToken.family);
+
+    res.json({ user });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Logout
+const signOut = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body.user;
+
+    if (req.sessionId) {
+      await RefreshToken.revokeFamily(req.sessionId);
+    } else if (refreshToken) {
+      const storedToken = await RefreshToken.findByToken(refreshToken);
+      if (storedToken) await RefreshToken.revokeFamily(storedToken.family);
+    } else {
+      throw new UnauthorizedError();
+    }
+
+    res.json({ message: { body: ["Logged out successfully"] } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Verify Email
+const verifyEmail = async (req, res, next) => {
+  try {
+    const { token } = req.body.user;
+
+    const user = await UserToken.consume(token, "verify");
+    if (!user) throw new ValidationError("Verification link is invalid");
+
+    if (!user.emailVerifiedAt) {
+      user.emailVerifiedAt = new Date();
+      await user.save();
+      responseCache.invalidate(`profile:${user.username}`);
+    }
+
+    res.json({ message: { body: ["Email verified successfully"] } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Resend Verification Email
+const resendVerification = async (req, res, next) => {
+  try {
+    const { loggedUser, headers } = req;
+    if (!loggedUser) throw new UnauthorizedError();
+
+    if (loggedUser.emailVerifiedAt) {
+      throw new ValidationError("Your email is already verified");
+    }
+
+    await sendVerification({ ...loggedUser.get(), email: headers.email });
+
+    res.json({ message: { body: ["Verification email sent"] } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Forgot Password
+const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body.user;
+
+    // Same answer either way, so this can't be used to find accounts
+    const user = await User.findOne({ where: { email: email } });
+    if (user) {
+      const token = await UserToken.issue(user, "reset", resetTokenHours);
+      await sendMail("resetPassword", user, token);
+    }
+
+    res.json({
+      message: { body: ["If the email is registered, a reset link was sent"] },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Reset Password
+const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body.user;
+
+    const user = await UserToken.consume(token, "reset");
+    if (!user) throw new ValidationError("Reset link is invalid or expired");
+
+    user.password = await bcryptHash(password);
+    // Receiving the link proves the address too
+    user.emailVerifiedAt = user.emailVerifiedAt || new Date();
+    await user.save();
+
+    await RefreshToken.revokeUser(user);
+
+    res.json({ message: { body: ["Password reset successfully"] } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  signUp,
+  signIn,
+  signInTwoFactor,
+  refreshSession,
+  signOut,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+};
@@ -0,0 +1,95 @@
+// @vitest-environment node
+const { request, signUp, startServer, stopServer } = require("../test/server");
+
+const signIn = async () => {
+  const { data } = await request("POST", "/users/login", {
+    body: { user: { email: "jake@conduit.io", password: "password" } },
+  });
+
+  return data.user;
+};
+
+const refresh = (refreshToken) =>
+  request("POST", "/users/refresh", { body: { user: { refreshToken } } });
+
+const currentUser = (token) => request("GET", "/user", { token: token });
+
+beforeAll(async () => {
+  await startServer();
+
+  await signUp("jake");
+});
+
+afterAll(stopServer);
+
+describe("Sessions", () => {
+  test("refreshing rotates the refresh token", async () => {
+    const session = await signIn();
+
+    const { status, data } = await refresh(session.refreshToken);
+
+    expect(status).toBe(200);
+    expect(data.user.username).toBe("jake");
+    expect(data.user.refreshToken).not.toBe(session.refreshToken);
+    expect((await currentUser(data.user.token)).status).toBe(200);
+
+    const next = await refresh(data.user.refreshToken);
+    expect(next.status).toBe(200);
+  });
+
+  test("reusing a rotated token ends the whole session", async () => {
+    const session = await signIn();
+    const { data } = await refresh(session.refreshToken);
+
+    const reused = await refresh(session.refreshToken);
+
+    expect(reused.status).toBe(401);
+    expect(reused.data.errors.body).toEqual([
+      "Refresh token is no longer valid",
+    ]);
+    expect((await refresh(data.user.refreshToken)).status).toBe(401);
+    expect((await currentUser(data.user.token)).status).toBe(401);
+  });
+
+  test("a reused token leaves other sessions alone", async () => {
+    const stolen = await signIn();
+    const other = await signIn();
+    await refresh(stolen.refreshToken);
+
+    await refresh(stolen.refreshToken);
+
+    expect((await currentUser(other.token)).status).toBe(200);
+    expect((await refresh(other.refreshToken)).status).toBe(200);
+  });
+
+  test("unknown refresh tokens are rejected", async () => {
+    const { status, data } = await refresh("nonsense");
+
+    expect(status).toBe(401);
+    expect(data.errors.body).toEqual(["Invalid refresh token"]);
+  });
+
+  test("logging out revokes the session", async () => {
+    const session = await signIn();
+
+    const { status } = await request("POST", "/users/logout", {
+      body: { user: {} },
+      token: session.token,
+    });
+
+    expect(status).toBe(200);
+    expect((await currentUser(session.token)).status).toBe(401);
+    expect((await refresh(session.refreshToken)).status).toBe(401);
+  });
+
+  test("logging out with only the refresh token", async () => {
+    const session = await signIn();
+
+    const { status } = await request("POST", "/users/logout", {
+      body: { user: { refreshToken: session.refreshToken } },
+    });
+
+    expect(status).toBe(200);
+    expect((await currentUser(session.token)).status).toBe(401);
+  });
+});
@@ -0,0 +1,24 @@
+const { NotFoundError } = require("./customErrors");
+const { isPublished } = require("./helpers");
+const { Article } = require("../models");
+
+const isVisible = (article) => isPublished(article) && !article.hiddenAt;
+
+/**
+ * The article at `slug`, as long as `loggedUser` may read it. Drafts,
+ * scheduled, archived and hidden articles are only found by their author,
+ * everyone else gets a 404 as if they didn't exist. `options` are passed on
+ * to `findOne`, e.g. to include the tags and author.
+ */
+const findVisibleArticle = async (loggedUser, slug, options = {}) => {
+  const article = await Article.findOne({ ...options, where: { slug: slug } });
+
+  const isAuthor = loggedUser && loggedUser.id === article?.userId;
+  if (!article || (!isVisible(article) && !isAuthor)) {
+    throw new NotFoundError("Article");
+  }
+
+  return article;
+};
+
+module.exports = { findVisibleArticle, isVisible };
@@ -0,0 +1,102 @@
+// @vitest-environment node
+const { request, signUp, startServer, stopServer } = require("../test/server");
+const { Article } = require("../models");
+
+let jake;
+let anna;
+
+const createArticle = async (title, status) => {
+  const { data } = await request("POST", "/articles", {
+    body: {
+      article: { title, description: "Secret", body: "Secret", status },
+    },
+    token: jake.token,
+  });
+
+  return data.article;
+};
+
+// Every route reading or acting on the article, as anna
+const annaCalls = (slug) => [
+  ["GET", `/articles/${slug}`],
+  ["GET", `/articles/${slug}/comments`],
+  ["POST", `/articles/${slug}/comments`, { comment: { body: "Found it" } }],
+  ["POST", `/articles/${slug}/favorite`],
+  ["DELETE", `/articles/${slug}/favorite`],
+  [
+    "POST",
+    "/moderation/reports",
+    { report: { type: "article", target: slug, reason: "Rude" } },
+  ],
+];
+
+beforeAll(async () => {
+  await startServer();
+
+  jake = await signUp("jake");
+  anna = await signUp("anna");
+});
+
+afterAll(stopServer);
+
+describe("Articles others can't read", () => {
+  test.each(["draft", "archived"])("%s ones are not found", async (status) => {
+    const { slug } = await createArticle(`Plans ${status}`, status);
+
+    for (const [method, url, body] of annaCalls(slug)) {
+      const { status } = await request(method, url, {
+        body,
+        token: anna.token,
+      });
+      expect(status, `${method} ${url}`).toBe(404);
+    }
+  });
+
+  test("hidden ones are not found", async () => {
+    const { slug } = await createArticle("Rumors", "published");
+    await Article.update({ hiddenAt: new Date() }, { where: { slug: slug } });
+
+    for (const [method, url, body] of annaCalls(slug)) {
+      const { status } = await request(method, url, {
+        body,
+        token: anna.token,
+      });
+      expect(status, `${method} ${url}`).toBe(404);
+    }
+  });
+
+  test("comments on them can't be reported", async () => {
+    const { slug } = await createArticle("Notes", "published");
+    const { data } = await request("POST", `/articles/${slug}/comments`, {
+      body: { comment: { body: "Draft soon" } },
+      token: jake.token,
+    });
+    await Article.update({ status: "draft" }, { where: { slug: slug } });
+
+    const { status } = await request("POST", "/moderation/reports", {
+      body: {
+        report: { type: "comment", target: data.comment.id, reason: "Rude" },
+      },
+      token: anna.token,
+    });
+
+    expect(status).toBe(404);
+  });
+
+  test("their author still can", async () => {
+    const { slug } = await createArticle("Outline", "draft");
+    const as = (method, url, body) =>
+      request(method, url, { body, token: jake.token });
+
+    expect((await as("GET", `/articles/${slug}`)).status).toBe(200);
+    expect((await as("GET", `/articles/${slug}/comments`)).status).toBe(200);
+    expect(
+      (
+        await as("POST", `/articles/${slug}/comments`, {
+          comment: { body: "Todo" },
+        })
+      ).status,
+    ).toBe(201);
+    expect((await as("POST", `/articles/${slug}/favorite`)).status).toBe(200);
+  });
+});
@@ -0,0 +1,63 @@
+const crypto = require("crypto");
+
+// In-process, so each server instance caches and invalidates on its own
+
+// Strong validator: the same bytes always get the same tag
+const etagOf = (body) =>
+  `"${crypto.createHash("sha1").update(body).digest("base64url")}"`;
+
+/**
+ * Least recently used cache of response bodies. Entries carry tags, like
+ * `article:<slug>`, so writes can drop every response that showed the data
+ * they changed. `maxAge` bounds what nothing invalidates, like scheduled
+ * articles going live.
+ */
+const createCache = ({ maxEntries = 500, maxAge = 60 * 1000 } = {}) => {
+  // Maps keep insertion order, the first key is the least recently used
+  const entries = new Map();
+
+  const get = (key, now = Date.now()) => {
+    const entry = entries.get(key);
+    if (!entry) return;
+
+    entries.delete(key);
+    if (entry.expiresAt <= now) return;
+
+    entries.set(key, entry);
+    return entry;
+  };
+
+  const set = (key, body, tags = [], now = Date.now()) => {
+    entries.delete(key);
+    entries.set(key, {
+      body: body,
+      etag: etagOf(body),
+      tags: new Set(tags),
+      expiresAt: now + maxAge,
+    });
+
+    if (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+  };
+
+  const invalidate = (...tags) => {
+    for (const [key, entry] of entries) {
+      if (tags.some((tag) => entry.tags.has(tag))) entries.delete(key);
+    }
+  };
+
+  const clear = () => entries.clear();
+
+  return { get, set, invalidate, clear, size: () => entries.size };
+};
+
+// Tags for responses showing articles, and so the profiles of their authors
+const articleTags = (articles) =>
+  articles.flatMap((article) => [
+    `article:${article.slug}`,
+    `profile:${article.author.username}`,
+  ]);
+
+// Shared by the read routes and the controllers that change their data
+const responseCache = createCache();
+
+module.exports = { articleTags, createCache, etagOf, responseCache };
@@ -0,0 +1,54 @@
+const { articleTags, createCache, etagOf } = require("./cache");
+
+describe("ETags", () => {
+  test("same body, same tag", () => {
+    expect(etagOf('{"tags":[]}')).toBe(etagOf(Buffer.from('{"tags":[]}')));
+    expect(etagOf('{"tags":[]}')).not.toBe(etagOf('{"tags":["a"]}'));
+  });
+
+  test("are strong", () => {
+    expect(etagOf("body")).toMatch(/^"[\w-]+"$/);
+  });
+});
+
+describe("Cache", () => {
+  test("evicts the least recently used entry", () => {
+    const cache = createCache({ maxEntries: 2 });
+    cache.set("a", "1");
+    cache.set("b", "2");
+    cache.get("a");
+    cache.set("c", "3");
+
+    expect(cache.get("a").body).toBe("1");
+    expect(cache.get("b")).toBeUndefined();
+    expect(cache.get("c").body).toBe("3");
+  });
+
+  test("entries expire", () => {
+    const cache = createCache({ maxAge: 1000 });
+    cache.set("a", "1", [], 0);
+
+    expect(cache.get("a", 999)).toBeDefined();
+    expect(cache.get("a", 1000)).toBeUndefined();
+    expect(cache.size()).toBe(0);
+  });
+
+  test("invalidates by tag", () => {
+    const cache = createCache();
+    cache.set("/tags", "1", ["tags"]);
+    cache.set("/articles", "2", ["articles", "article:a"]);
+    cache.set("/articles/b", "3", ["article:b"]);
+
+    cache.invalidate("article:a", "tags");
+
+    expect(cache.get("/tags")).toBeUndefined();
+    expect(cache.get("/articles")).toBeUndefined();
+    expect(cache.get("/articles/b")).toBeDefined();
+  });
+});
+
+test("Article tags", () => {
+  const articles = [{ slug: "a", author: { username: "jake" } }];
+
+  expect(articleTags(articles)).toEqual(["article:a", "profile:jake"]);
+});
@@ -1,37 +1,88 @@
+// Every error carries the HTTP status and a stable `code` clients can rely on,
+// and `errors` is the RealWorld body: { field: ["message"] }, or `body` when
+// the error isn't about a single field.
 class MyError extends Error {
+  status = 500;
+  code = "internal_error";
+
   constructor(message) {
     super(message);
     this.name = this.constructor.name;
+    this.errors = { body: [message] };
   }
 }
 
 class ForbiddenError extends MyError {
-  constructor(message) {
-    super(`You are not the author of this ${message}`);
+  status = 403;
+  code = "forbidden";
+
+  constructor(property, message) {
+    super(message || `You are not the author of this ${property}`);
   }
 }
 class NotFoundError extends MyError {
+  status = 404;
+  code = "not_found";
+
   constructor(property, message = "") {
     super(`${property} not found ${message}`);
   }
 }
 class UnauthorizedError extends MyError {
-  constructor() {
-    super("You need to login first!");
+  status = 401;
+  code = "unauthorized";
+
+  constructor(message = "You need to login first!") {
+    super(message);
+  }
+}
+
+class TooManyRequestsError extends MyError {
+  status = 429;
+  code = "too_many_requests";
+
+  constructor(retryAfter, message = "Too many attempts") {
+    super(`${message}, try again in ${retryAfter} seconds`);
+    this.retryAfter = retryAfter;
   }
 }
 
-class ValidationError extends MyError {}
+class ValidationError extends MyError {
+  status = 422;
+  code = "invalid";
+
+  constructor(message, field) {
+    super(field ? `${field} ${message}` : message);
+    if (field) this.errors = { [field]: [message] };
+  }
+}
 
 class FieldRequiredError extends ValidationError {
+  code = "required";
+
   constructor(field) {
-    super(`${field} is required`);
+    super("can't be blank", field);
   }
 }
 
 class AlreadyTakenError extends ValidationError {
-  constructor(property, message = "") {
-    super(`${property} already exists.. ${message}`);
+  code = "taken";
+
+  constructor(field, message = "has already been taken") {
+    super(message, field);
+  }
+}
+
+// Carries every failing field at once: { field: ["message", ...] }
+class SchemaValidationError extends ValidationError {
+  code = "invalid_fields";
+
+  constructor(errors) {
+    const messages = Object.entries(errors).map(
+      ([field, [message]]) => `${field} ${message}`,
+    );
+    super(messages.join(", "));
+    this.errors = errors;
   }
 }
 
@@ -39,7 +90,10 @@ module.exports = {
   AlreadyTakenError,
   FieldRequiredError,
   ForbiddenError,
+  MyError,
   NotFoundError,
+  SchemaValidationError,
+  TooManyRequestsError,
   UnauthorizedError,
   ValidationError,
 };
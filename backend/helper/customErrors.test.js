@@ -0,0 +1,36 @@
+const {
+  AlreadyTakenError,
+  FieldRequiredError,
+  NotFoundError,
+  SchemaValidationError,
+  ValidationError,
+} = require("./customErrors");
+
+describe("Error responses", () => {
+  test("general errors go under body", () => {
+    const error = new NotFoundError("Article");
+
+    expect(error.status).toBe(404);
+    expect(error.code).toBe("not_found");
+    expect(error.errors).toEqual({ body: ["Article not found "] });
+  });
+
+  test("field errors go under their field", () => {
+    const error = new AlreadyTakenError("email");
+
+    expect(error.status).toBe(422);
+    expect(error.code).toBe("taken");
+    expect(error.message).toBe("email has already been taken");
+    expect(error.errors).toEqual({ email: ["has already been taken"] });
+  });
+
+  test("every validation error keeps its own code", () => {
+    const codes = [
+      new ValidationError("Invalid"),
+      new FieldRequiredError("title"),
+      new SchemaValidationError({ title: ["can't be blank"] }),
+    ].map((error) => error instanceof ValidationError && error.code);
+
+    expect(codes).toEqual(["invalid", "required", "invalid_fields"]);
+  });
+});
@@ -0,0 +1,120 @@
+const toLines = (text) => (text ? text.split("\n") : []);
+
+const maxCost = 1000;
+
+// Start and end of the middle snake: the run of equal lines halfway along a
+// shortest edit script, met by searching from both ends at once (Myers). Only
+// the furthest reach on each diagonal is kept, so memory stays linear. Past
+// `maxCost` edits from either end the search gives up, as nearly all of the
+// range changed anyway, and time stays bounded on texts with nothing in common.
+const middleSnake = (a, aStart, n, b, bStart, m) => {
+  const max = n + m;
+  const delta = n - m;
+  const offset = max + 1;
+  const forward = new Int32Array(2 * max + 3);
+  const backward = new Int32Array(2 * max + 3);
+
+  for (let d = 0; d <= Math.min(Math.ceil(max / 2), maxCost); d++) {
+    for (let k = -d; k <= d; k += 2) {
+      const down =
+        k === -d ||
+        (k !== d && forward[offset + k - 1] < forward[offset + k + 1]);
+      let x = down ? forward[offset + k + 1] : forward[offset + k - 1] + 1;
+      let y = x - k;
+      const [startX, startY] = [x, y];
+      while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+        x++;
+        y++;
+      }
+      forward[offset + k] = x;
+
+      const c = delta - k;
+      const overlaps = x + backward[offset + c] >= n;
+      if (delta % 2 !== 0 && Math.abs(c) <= d - 1 && overlaps) {
+        return [startX, startY, x, y];
+      }
+    }
+
+    // Backwards, x and y count lines from the ends of both texts
+    for (let c = -d; c <= d; c += 2) {
+      const up =
+        c === -d ||
+        (c !== d && backward[offset + c - 1] < backward[offset + c + 1]);
+      let x = up ? backward[offset + c + 1] : backward[offset + c - 1] + 1;
+      let y = x - c;
+      const [startX, startY] = [x, y];
+      while (
+        x < n &&
+        y < m &&
+        a[aStart + n - 1 - x] === b[bStart + m - 1 - y]
+      ) {
+        x++;
+        y++;
+      }
+      backward[offset + c] = x;
+
+      const k = delta - c;
+      const overlaps = x + forward[offset + k] >= n;
+      if (delta % 2 === 0 && Math.abs(k) <= d && overlaps) {
+        return [n - x, m - y, n - startX, m - startY];
+      }
+    }
+  }
+
+  return null;
+};
+
+const pushLines = (changes, type, lines, start, end) => {
+  for (let i = start; i < end; i++)
+    changes.push({ type: type, line: lines[i] });
+};
+
+const diffRange = (a, aStart, aEnd, b, bStart, bEnd, changes) => {
+  const prefixStart = aStart;
+  while (aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]) {
+    aStart++;
+    bStart++;
+  }
+  const suffixEnd = aEnd;
+  while (aEnd > aStart && bEnd > bStart && a[aEnd - 1] === b[bEnd - 1]) {
+    aEnd--;
+    bEnd--;
+  }
+  pushLines(changes, "equal", a, prefixStart, aStart);
+
+  const snake =
+    aStart < aEnd &&
+    bStart < bEnd &&
+    middleSnake(a, aStart, aEnd - aStart, b, bStart, bEnd - bStart);
+  if (snake) {
+    const [x, y, u, v] = snake;
+    diffRange(a, aStart, aStart + x, b, bStart, bStart + y, changes);
+    pushLines(changes, "equal", a, aStart + x, aStart + u);
+    diffRange(a, aStart + u, aEnd, b, bStart + v, bEnd, changes);
+  } else {
+    pushLines(changes, "removed", a, aStart, aEnd);
+    pushLines(changes, "added", b, bStart, bEnd);
+  }
+
+  pushLines(changes, "equal", a, aEnd, suffixEnd);
+};
+
+// Line based diff, a shortest edit script between both texts.
+const diffLines = (before, after) => {
+  const a = toLines(before);
+  const b = toLines(after);
+
+  const changes = [];
+  diffRange(a, 0, a.length, b, 0, b.length, changes);
+
+  return changes;
+};
+
+const diffRevisions = (from, to) => ({
+  title: diffLines(from.title, to.title),
+  description: diffLines(from.description, to.description),
+  body: diffLines(from.body, to.body),
+  tagList: diffLines(from.tagList.join("\n"), to.tagList.join("\n")),
+});
+
+module.exports = { diffLines, diffRevisions };
@@ -0,0 +1,45 @@
+const { diffLines } = require("./diff");
+
+describe("Diff lines", () => {
+  test("keeps unchanged lines and marks edits", () => {
+    expect(diffLines("a\nb\nc", "a\nB\nc")).toEqual([
+      { type: "equal", line: "a" },
+      { type: "removed", line: "b" },
+      { type: "added", line: "B" },
+      { type: "equal", line: "c" },
+    ]);
+  });
+
+  test("finds a shortest edit script", () => {
+    const changes = diffLines("a\nb\nc\na\nb\nb\na", "c\nb\na\nb\na\nc");
+
+    expect(changes.filter(({ type }) => type === "equal")).toHaveLength(4);
+  });
+
+  test("keeps long texts with few edits line by line", () => {
+    const lines = Array.from({ length: 20000 }, (_, i) => `line ${i}`);
+    const edited = lines.map((line, i) => (i % 100 ? line : "edited"));
+
+    const changes = diffLines(lines.join("\n"), edited.join("\n"));
+
+    expect(changes.filter(({ type }) => type === "added")).toHaveLength(200);
+    expect(changes.filter(({ type }) => type === "equal")).toHaveLength(19800);
+  });
+
+  test("replaces long texts with nothing in common whole", () => {
+    const before = Array.from({ length: 5000 }, (_, i) => `old ${i}`);
+    const after = Array.from({ length: 5000 }, (_, i) => `new ${i}`);
+
+    const changes = diffLines(before.join("\n"), after.join("\n"));
+
+    expect(changes.slice(4999, 5001)).toEqual([
+      { type: "removed", line: "old 4999" },
+      { type: "added", line: "new 0" },
+    ]);
+  });
+
+  test("handles empty texts", () => {
+    expect(diffLines("", "a")).toEqual([{ type: "added", line: "a" }]);
+    expect(diffLines("a", undefined)).toEqual([{ type: "removed", line: "a" }]);
+  });
+});
@@ -0,0 +1,30 @@
+// Open Server-Sent Events streams, by article id so renames don't drop them
+const subscribers = new Map();
+
+const formatEvent = (event, data) => {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+};
+
+const subscribe = (articleId, res) => {
+  if (!subscribers.has(articleId)) subscribers.set(articleId, new Set());
+
+  subscribers.get(articleId).add(res);
+};
+
+const unsubscribe = (articleId, res) => {
+  const streams = subscribers.get(articleId);
+  if (!streams) return;
+
+  streams.delete(res);
+  if (!streams.size) subscribers.delete(articleId);
+};
+
+const publish = (articleId, event, data) => {
+  const streams = subscribers.get(articleId);
+  if (!streams) return;
+
+  const message = formatEvent(event, data);
+  for (const res of streams) res.write(message);
+};
+
+module.exports = { formatEvent, subscribe, unsubscribe, publish };
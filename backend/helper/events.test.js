@@ -0,0 +1,45 @@
+const { formatEvent, publish, subscribe, unsubscribe } = require("./events");
+
+const stream = () => ({
+  messages: [],
+  write(message) {
+    this.messages.push(message);
+  },
+});
+
+describe("Format event", () => {
+  test("writes the event name and JSON data", () => {
+    expect(formatEvent("favorites", { favoritesCount: 2 })).toBe(
+      'event: favorites\ndata: {"favoritesCount":2}\n\n',
+    );
+  });
+});
+
+describe("Publish", () => {
+  test("only reaches the streams of the same article", () => {
+    const viewer = stream();
+    const otherViewer = stream();
+
+    subscribe(1, viewer);
+    subscribe(2, otherViewer);
+    publish(1, "comment:deleted", { id: 5 });
+
+    expect(viewer.messages).toEqual([
+      formatEvent("comment:deleted", { id: 5 }),
+    ]);
+    expect(otherViewer.messages).toEqual([]);
+
+    unsubscribe(1, viewer);
+    unsubscribe(2, otherViewer);
+  });
+
+  test("stops writing after unsubscribing", () => {
+    const viewer = stream();
+
+    subscribe(1, viewer);
+    unsubscribe(1, viewer);
+    publish(1, "favorites", { favoritesCount: 1 });
+
+    expect(viewer.messages).toEqual([]);
+  });
+});
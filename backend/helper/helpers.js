@@ -1,7 +1,47 @@
+const { Op } = require("sequelize");
+const { NotFoundError, ValidationError } = require("./customErrors");
+
+const articleStatuses = ["draft", "scheduled", "published", "archived"];
+
+// Letters that Unicode normalization can't reduce to plain ASCII.
+// prettier-ignore
+const transliterations = {
+  ß: "ss", æ: "ae", œ: "oe", ø: "o", đ: "d", ð: "d", þ: "th", ł: "l", ı: "i",
+  а: "a", б: "b", в: "v", г: "g", д: "d", е: "e", ё: "e", ж: "zh", з: "z",
+  и: "i", й: "y", к: "k", л: "l", м: "m", н: "n", о: "o", п: "p", р: "r",
+  с: "s", т: "t", у: "u", ф: "f", х: "h", ц: "ts", ч: "ch", ш: "sh",
+  щ: "sch", ъ: "", ы: "y", ь: "", э: "e", ю: "yu", я: "ya", і: "i", ї: "yi",
+  є: "ye", ґ: "g", α: "a", β: "v", γ: "g", δ: "d", ε: "e", ζ: "z", η: "i",
+  θ: "th", ι: "i", κ: "k", λ: "l", μ: "m", ν: "n", ξ: "x", ο: "o", π: "p",
+  ρ: "r", σ: "s", ς: "s", τ: "t", υ: "y", φ: "f", χ: "ch", ψ: "ps", ω: "o",
+};
+
 const slugify = (string) => {
-  return string.trim().toLowerCase().replace(/\W|_/g, "-");
+  return string
+    .trim()
+    .toLowerCase()
+    .replace(/[^\x00-\x7F]/g, (char) => transliterations[char] ?? char)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
 };
 
+const isPublished = ({ status, publishAt }) => {
+  if (status === "scheduled") return new Date(publishAt) <= new Date();
+
+  return status === "published";
+};
+
+// Articles hidden by a moderator stay out of every public listing
+const publishedWhere = () => ({
+  hiddenAt: null,
+  [Op.or]: [
+    { status: "published" },
+    { status: "scheduled", publishAt: { [Op.lte]: new Date() } },
+  ],
+});
+
 const appendTagList = (articleTags, article) => {
   const tagList = articleTags.map((tag) => tag.name);
 
@@ -9,34 +49,77 @@ const appendTagList = (articleTags, article) => {
   article.dataValues.tagList = tagList;
 };
 
-const appendFavorites = async (loggedUser, article) => {
-  const favorited = await article.hasUser(loggedUser ? loggedUser : null);
-  article.dataValues.favorited = loggedUser ? favorited : false;
+// Nests every comment under its parent, returning the top level comments.
+// Hidden comments are left out with their replies, which would make no sense
+// without them.
+const buildCommentTree = (comments) => {
+  const commentsById = new Map(
+    comments.map((comment) => [comment.id, comment]),
+  );
+  const rootComments = [];
+
+  for (const comment of comments) comment.dataValues.replies = [];
+
+  for (const comment of comments) {
+    if (comment.hiddenAt) continue;
+    const parent = commentsById.get(comment.parentId);
+
+    if (parent) parent.dataValues.replies.push(comment);
+    else rootComments.push(comment);
+  }
 
-  const favoritesCount = await article.countUsers();
-  article.dataValues.favoritesCount = favoritesCount;
+  return rootComments;
 };
 
-const appendFollowers = async (loggedUser, toAppend) => {
-  //
-  if (toAppend?.author) {
-    const author = await toAppend.getAuthor();
+// Values of a query parameter given comma separated, repeated or both
+const queryList = (value, allowed, field) => {
+  const values = [].concat(value).flatMap((item) => String(item).split(","));
+
+  if (values.some((item) => !allowed.includes(item))) {
+    throw new ValidationError(`must be one of ${allowed.join(", ")}`, field);
+  }
+
+  return values;
+};
 
-    const following = await author.hasFollower(loggedUser ? loggedUser : null);
-    toAppend.author.dataValues.following = loggedUser ? following : false;
+// An id from the path. Ids that can't exist are not found, rather than left
+// for the database to reject.
+const pathId = (value, resource) => {
+  if (!/^\d+$/.test(value)) throw new NotFoundError(resource);
 
-    const followersCount = await author.countFollowers();
-    toAppend.author.dataValues.followersCount = followersCount;
-    //
-  } else {
-    const following = await toAppend.hasFollower(
-      loggedUser ? loggedUser : null,
-    );
-    toAppend.dataValues.following = loggedUser ? following : false;
+  return Number(value);
+};
 
-    const followersCount = await toAppend.countFollowers();
-    toAppend.dataValues.followersCount = followersCount;
+// A query parameter given once, not repeated into an array or nested
+const queryString = (value, field) => {
+  if (typeof value !== "string") {
+    throw new ValidationError("must be given once", field);
   }
+
+  return value;
 };
 
-module.exports = { slugify, appendTagList, appendFavorites, appendFollowers };
+const saveRevision = async (loggedUser, article) => {
+  const { title, description, body, tagList } = article;
+
+  return article.createRevision({
+    title: title,
+    description: description,
+    body: body,
+    tagList: appendTagList(tagList),
+    userId: loggedUser.id,
+  });
+};
+
+module.exports = {
+  articleStatuses,
+  slugify,
+  isPublished,
+  publishedWhere,
+  appendTagList,
+  buildCommentTree,
+  pathId,
+  queryList,
+  queryString,
+  saveRevision,
+};
@@ -1,4 +1,11 @@
-const { slugify } = require("./helpers");
+const {
+  buildCommentTree,
+  isPublished,
+  pathId,
+  queryList,
+  queryString,
+  slugify,
+} = require("./helpers");
 
 describe("Slugify", () => {
   const stringsArray = [
@@ -13,4 +20,105 @@ describe("Slugify", () => {
   test.each(stringsArray)("%p", (string) => {
     expect(slugify(string)).toBe("hello-world");
   });
+
+  test.each([
+    ["Crème Brûlée", "creme-brulee"],
+    ["Straße & Smørrebrød", "strasse-smorrebrod"],
+    ["Привет, мир!", "privet-mir"],
+    ["--Hello   World--", "hello-world"],
+  ])("%p", (string, expected) => {
+    expect(slugify(string)).toBe(expected);
+  });
+});
+
+describe("Is published", () => {
+  const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+  test.each([
+    [{ status: "published" }, true],
+    [{ status: "draft" }, false],
+    [{ status: "archived" }, false],
+    [{ status: "scheduled", publishAt: yesterday }, true],
+    [{ status: "scheduled", publishAt: tomorrow }, false],
+  ])("%o", (article, expected) => {
+    expect(isPublished(article)).toBe(expected);
+  });
+});
+
+describe("Query list", () => {
+  const statuses = ["draft", "published"];
+
+  test.each([
+    ["draft,published"],
+    [["draft", "published"]],
+    [["draft,published"]],
+  ])("accepts %o", (value) => {
+    expect(queryList(value, statuses, "status")).toEqual(statuses);
+  });
+
+  test.each([["draft,"], [["draft", "secret"]], [{ draft: "x" }]])(
+    "rejects %o",
+    (value) => {
+      expect(() => queryList(value, statuses, "status")).toThrow(
+        "status must be one of draft, published",
+      );
+    },
+  );
+});
+
+describe("Path id", () => {
+  test("parses whole numbers", () => {
+    expect(pathId("42", "Comment")).toBe(42);
+  });
+
+  test.each(["abc", "4.2", "-1", "1e3"])("doesn't find %o", (value) => {
+    expect(() => pathId(value, "Comment")).toThrow("Comment not found");
+  });
+});
+
+describe("Query string", () => {
+  test("accepts a single value", () => {
+    expect(queryString("dragons", "q")).toBe("dragons");
+  });
+
+  test.each([[["a", "b"]], [{ a: "b" }]])("rejects %o", (value) => {
+    expect(() => queryString(value, "q")).toThrow("q must be given once");
+  });
+});
+
+describe("Build comment tree", () => {
+  const comment = (id, parentId = null, hiddenAt = null) => ({
+    id,
+    parentId,
+    hiddenAt,
+    dataValues: {},
+  });
+
+  test("nests replies under their parent comment", () => {
+    const comments = [comment(1), comment(2, 1), comment(3), comment(4, 2)];
+    const [first, second] = buildCommentTree(comments);
+
+    expect(first.id).toBe(1);
+    expect(second.id).toBe(3);
+    expect(first.dataValues.replies.map(({ id }) => id)).toEqual([2]);
+    expect(comments[1].dataValues.replies.map(({ id }) => id)).toEqual([4]);
+  });
+
+  test("leaves hidden comments out with their replies", () => {
+    const hidden = new Date();
+    const comments = [
+      comment(1),
+      comment(2, 1, hidden),
+      comment(3, 2),
+      comment(4, 3),
+      comment(5, null, hidden),
+      comment(6, 1),
+    ];
+
+    const tree = buildCommentTree(comments);
+
+    expect(tree.map(({ id }) => id)).toEqual([1]);
+    expect(tree[0].dataValues.replies.map(({ id }) => id)).toEqual([6]);
+  });
 });
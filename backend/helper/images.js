@@ -0,0 +1,104 @@
+const crypto = require("crypto");
+const sharp = require("sharp");
+const { ValidationError } = require("./customErrors");
+
+const maxFileSize = 5 * 1024 * 1024;
+// A small file can still decode to a huge bitmap, so its size is capped too
+const maxPixels = 40 * 1000 * 1000;
+const acceptedFormats = ["jpeg", "png", "webp", "gif"];
+
+const openImage = (data) => sharp(data, { limitInputPixels: maxPixels });
+
+// sharp refuses images over the limit on every read, metadata included
+const pixelLimitError = (error) =>
+  error.message.includes("pixel limit")
+    ? new ValidationError(
+        `must be at most ${maxPixels / 1000 / 1000} megapixels`,
+        "image",
+      )
+    : null;
+
+/**
+ * Sizes made from every upload, cropped to fill them. `url` is the variant
+ * stored on the user or article, the others sit next to it in storage.
+ */
+const imageKinds = {
+  avatar: {
+    variants: { small: [64, 64], medium: [256, 256] },
+    url: "medium",
+  },
+  cover: {
+    variants: { small: [480, 270], large: [1200, 675] },
+    url: "large",
+  },
+};
+
+// Checks the content, not the name or type the client claims
+const readImage = async (data) => {
+  const metadata = await openImage(data)
+    .metadata()
+    .catch((error) => {
+      const tooLarge = pixelLimitError(error);
+      if (tooLarge) throw tooLarge;
+
+      return {};
+    });
+
+  if (!acceptedFormats.includes(metadata.format)) {
+    throw new ValidationError(
+      "must be a JPEG, PNG, WebP or GIF image",
+      "image",
+    );
+  }
+
+  return metadata;
+};
+
+const resizeImage = async (data, kind) => {
+  await readImage(data);
+  const { variants } = imageKinds[kind];
+
+  const resized = {};
+  for (const [name, [width, height]] of Object.entries(variants)) {
+    resized[name] = await openImage(data)
+      .rotate()
+      .resize(width, height, { fit: "cover" })
+      .webp({ quality: 80 })
+      .toBuffer()
+      .catch((error) => {
+        throw pixelLimitError(error) || error;
+      });
+  }
+
+  return resized;
+};
+
+/**
+ * Resizes `data` to every variant of `kind` and stores them under a random
+ * folder, as `<kind>s/<uuid>/<variant>.webp`, returning the URL of each.
+ */
+const storeImage = async (storage, data, kind) => {
+  const resized = await resizeImage(data, kind);
+  const folder = `${kind}s/${crypto.randomUUID()}`;
+
+  const urls = {};
+  for (const [name, variant] of Object.entries(resized)) {
+    urls[name] = await storage.put(
+      `${folder}/${name}.webp`,
+      variant,
+      "image/webp",
+    );
+  }
+
+  return urls;
+};
+
+module.exports = {
+  acceptedFormats,
+  imageKinds,
+  maxFileSize,
+  maxPixels,
+  readImage,
+  resizeImage,
+  storeImage,
+};
@@ -0,0 +1,64 @@
+// @vitest-environment node
+const sharp = require("sharp");
+const { imageKinds, resizeImage, storeImage } = require("./images");
+
+const image = (width, height) =>
+  sharp({ create: { width, height, channels: 3, background: "#5cb85c" } })
+    .jpeg()
+    .toBuffer();
+
+const svg = Buffer.from(
+  '<svg xmlns="http://www.w3.org/2000/svg" width="8" height="8"></svg>',
+);
+
+describe("Resize images", () => {
+  test.each(Object.keys(imageKinds))("%s variants", async (kind) => {
+    const resized = await resizeImage(await image(1600, 500), kind);
+
+    for (const [name, [width, height]] of Object.entries(
+      imageKinds[kind].variants,
+    )) {
+      const metadata = await sharp(resized[name]).metadata();
+      expect(metadata).toMatchObject({ format: "webp", width, height });
+    }
+  });
+
+  test.each([
+    ["text", Buffer.from("not an image")],
+    ["SVG", svg],
+  ])("rejects %s", async (name, data) => {
+    await expect(resizeImage(data, "avatar")).rejects.toMatchObject({
+      errors: { image: ["must be a JPEG, PNG, WebP or GIF image"] },
+    });
+  });
+
+  test("rejects more pixels than the limit, however small the file", async () => {
+    const data = await sharp({
+      create: { width: 8000, height: 6000, channels: 3, background: "#fff" },
+    })
+      .png({ compressionLevel: 1 })
+      .toBuffer();
+
+    await expect(resizeImage(data, "cover")).rejects.toMatchObject({
+      status: 422,
+      errors: { image: ["must be at most 40 megapixels"] },
+    });
+  });
+});
+
+describe("Store images", () => {
+  test("every variant in one folder", async () => {
+    const storage = { put: vi.fn(async (key) => `/files/${key}`) };
+
+    const urls = await storeImage(storage, await image(300, 300), "avatar");
+
+    expect(Object.keys(urls)).toEqual(["small", "medium"]);
+    expect(urls.medium).toMatch(/^\/files\/avatars\/[\w-]{36}\/medium\.webp$/);
+    expect(urls.small.replace("small", "medium")).toBe(urls.medium);
+    expect(storage.put).toHaveBeenCalledWith(
+      expect.any(String),
+      expect.any(Buffer),
+      "image/webp",
+    );
+  });
+});
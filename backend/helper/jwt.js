@@ -1,13 +1,39 @@
 const jwt = require("jsonwebtoken");
+const { UnauthorizedError } = require("./customErrors");
 const privateKey = process.env.JWT_KEY;
 
-module.exports.jwtSign = async (payload) => {
+module.exports.jwtSign = async (payload, sessionId) => {
   return jwt.sign(
-    { username: payload.username, email: payload.email },
+    { username: payload.username, email: payload.email, sid: sessionId },
     privateKey,
+    { expiresIn: process.env.JWT_EXPIRES_IN || "15m" },
   );
 };
 
+// Short-lived proof of a correct password while the second factor is asked
+module.exports.jwtSignChallenge = async (user) => {
+  return jwt.sign({ sub: String(user.id), purpose: "2fa" }, privateKey, {
+    expiresIn: "5m",
+  });
+};
+
+module.exports.jwtVerifyChallenge = async (token) => {
+  try {
+    const payload = jwt.verify(token, privateKey);
+    if (payload.purpose !== "2fa") throw new Error("Not a challenge token");
+
+    return payload;
+  } catch (error) {
+    throw new UnauthorizedError("Sign in challenge is invalid or expired");
+  }
+};
+
 module.exports.jwtVerify = async (token) => {
-  return jwt.verify(token, privateKey);
+  try {
+    return jwt.verify(token, privateKey);
+  } catch (error) {
+    const expired = error instanceof jwt.TokenExpiredError;
+
+    throw new UnauthorizedError(expired ? "Token expired" : "Invalid token");
+  }
 };
@@ -0,0 +1,128 @@
+const crypto = require("crypto");
+const hljs = require("highlight.js");
+const MarkdownIt = require("markdown-it");
+const sanitizeHtml = require("sanitize-html");
+const { createCache } = require("./cache");
+const { slugify } = require("./helpers");
+
+const headingTags = ["h1", "h2", "h3", "h4", "h5", "h6"];
+
+// Fenced code is highlighted when its language is known, escaped otherwise
+const highlight = (code, language) => {
+  const known = language && hljs.getLanguage(language) ? language : null;
+  const html = known
+    ? hljs.highlight(code, { language: known, ignoreIllegals: true }).value
+    : markdown.utils.escapeHtml(code);
+  const className = known ? `hljs language-${known}` : "hljs";
+
+  return `<pre><code class="${className}">${html}</code></pre>`;
+};
+
+// Raw HTML is allowed, the sanitizer below decides what survives
+const markdown = new MarkdownIt({ html: true, linkify: true, highlight });
+
+/**
+ * Gives every heading an id from its text, `-2`, `-3`... when repeated, and
+ * lists them in `env.toc` for the table of contents. `env.mark` tells them
+ * apart from headings written in raw HTML.
+ */
+markdown.core.ruler.push("heading_ids", (state) => {
+  const used = new Map();
+  state.env.toc = [];
+
+  state.tokens.forEach((token, index) => {
+    if (token.type !== "heading_open") return;
+
+    const text = state.tokens[index + 1].children
+      .filter(({ type }) => type === "text" || type === "code_inline")
+      .map(({ content }) => content)
+      .join("")
+      .trim();
+
+    const base = slugify(text) || "section";
+    const count = (used.get(base) || 0) + 1;
+    used.set(base, count);
+
+    const id = count > 1 ? `${base}-${count}` : base;
+    token.attrSet("id", id);
+    token.attrSet("data-mark", state.env.mark);
+    state.env.toc.push({ level: Number(token.tag.slice(1)), text, id });
+  });
+});
+
+// Permalink at the end of each heading
+markdown.renderer.rules.heading_close = (tokens, index) => {
+  const id = tokens[index - 2].attrGet("id");
+
+  return `<a class="heading-anchor" href="#${id}" aria-hidden="true">#</a></${tokens[index].tag}>\n`;
+};
+
+const sanitize = (html, mark) =>
+  sanitizeHtml(html, {
+    allowedTags: [...sanitizeHtml.defaults.allowedTags, "img", "del", "s"],
+    allowedAttributes: {
+      a: ["href", "title", "class", "rel", "aria-hidden"],
+      img: ["src", "alt", "title"],
+      ...Object.fromEntries(headingTags.map((tag) => [tag, ["id"]])),
+      th: ["style"],
+      td: ["style"],
+      ol: ["start"],
+    },
+    allowedClasses: {
+      a: ["heading-anchor"],
+      code: ["hljs", "language-*"],
+      span: ["hljs-*", "language-*"],
+    },
+    allowedStyles: {
+      "*": { "text-align": [/^(left|right|center)$/] },
+    },
+    allowedSchemes: ["http", "https", "mailto"],
+    allowedSchemesByTag: { img: ["http", "https"] },
+    transformTags: {
+      a: (tagName, attribs) => ({
+        tagName: tagName,
+        attribs: attribs.href?.startsWith("#")
+          ? attribs
+          : { ...attribs, rel: "nofollow noopener noreferrer" },
+      }),
+      // Ids only come from headings written in Markdown
+      ...Object.fromEntries(
+        headingTags.map((tag) => [
+          tag,
+          (tagName, { id, "data-mark": headingMark, ...attribs }) => ({
+            tagName: tagName,
+            attribs: headingMark === mark ? { ...attribs, id } : attribs,
+          }),
+        ]),
+      ),
+    },
+  });
+
+/**
+ * Renders a Markdown body to sanitized HTML, with highlighted code blocks
+ * and anchored headings. `toc` lists the headings as `{ level, text, id }`.
+ */
+const renderMarkdown = (body = "") => {
+  const env = { mark: crypto.randomBytes(8).toString("hex") };
+  const html = markdown.render(body, env);
+
+  return { bodyHtml: sanitize(html, env.mark), toc: env.toc };
+};
+
+// Keyed by the body's hash, so each revision of an article renders once
+const renders = createCache({ maxEntries: 200, maxAge: Infinity });
+
+const renderArticle = ({ body }) => {
+  const source = body || "";
+  const key = crypto.createHash("sha1").update(source).digest("base64url");
+
+  const cached = renders.get(key);
+  if (cached) return JSON.parse(cached.body);
+
+  const rendered = renderMarkdown(source);
+  renders.set(key, JSON.stringify(rendered));
+
+  return rendered;
+};
+
+module.exports = { renderArticle, renderMarkdown, renders };
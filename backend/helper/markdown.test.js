@@ -0,0 +1,80 @@
+const { renderArticle, renderMarkdown, renders } = require("./markdown");
+
+describe("Render Markdown", () => {
+  test("strips scripts, handlers and unsafe links", () => {
+    const { bodyHtml } = renderMarkdown(
+      [
+        "<script>alert(1)</script>",
+        '<img src="/a.png" onerror="alert(1)">',
+        "[click](javascript:alert(1))",
+        '<a href="https://conduit.io" onclick="alert(1)">site</a>',
+      ].join("\n\n"),
+    );
+
+    expect(bodyHtml).not.toMatch(/<script|onerror|onclick|href="javascript/);
+    expect(bodyHtml).toContain('<img src="/a.png" />');
+    expect(bodyHtml).toContain(
+      '<a href="https://conduit.io" rel="nofollow noopener noreferrer">site</a>',
+    );
+  });
+
+  test("highlights fenced code", () => {
+    const { bodyHtml } = renderMarkdown(
+      "```js\nconst dragon = true;\n```\n\n```nope\n<b>bold</b>\n```",
+    );
+
+    expect(bodyHtml).toContain('<code class="hljs language-js">');
+    expect(bodyHtml).toContain('<span class="hljs-keyword">const</span>');
+    expect(bodyHtml).toContain("&lt;b&gt;bold&lt;/b&gt;");
+  });
+
+  test("anchors headings and lists them", () => {
+    const { bodyHtml, toc } = renderMarkdown(
+      "# Dragons\n\n## Training `fire`\n\n## Training `fire`\n\n#### !!!",
+    );
+
+    expect(toc).toEqual([
+      { level: 1, text: "Dragons", id: "dragons" },
+      { level: 2, text: "Training fire", id: "training-fire" },
+      { level: 2, text: "Training fire", id: "training-fire-2" },
+      { level: 4, text: "!!!", id: "section" },
+    ]);
+    expect(bodyHtml).toContain(
+      '<h2 id="training-fire-2">Training <code>fire</code><a class="heading-anchor" href="#training-fire-2" aria-hidden="true">#</a></h2>',
+    );
+  });
+
+  test("drops ids written in HTML", () => {
+    const { bodyHtml } = renderMarkdown('<h2 id="root">Raw</h2>');
+
+    expect(bodyHtml).toBe("<h2>Raw</h2>");
+  });
+
+  test("drops HTML ids even when a Markdown heading has them", () => {
+    const { bodyHtml } = renderMarkdown(
+      '# Dragons\n\n<h2 id="dragons" data-mark="x">Raw</h2>',
+    );
+
+    expect(bodyHtml.match(/id="dragons"/g)).toHaveLength(1);
+    expect(bodyHtml).toContain("<h2>Raw</h2>");
+    expect(bodyHtml).not.toContain("data-mark");
+  });
+});
+
+describe("Render articles", () => {
+  test("once per body", () => {
+    renders.clear();
+
+    const first = renderArticle({ body: "# Dragons" });
+    renderArticle({ body: "# Dragons" });
+    expect(renders.size()).toBe(1);
+
+    renderArticle({ body: "# Dragons, revised" });
+    expect(renders.size()).toBe(2);
+    expect(renderArticle({ body: "# Dragons" })).toEqual(first);
+  });
+
+  test("without a body", () => {
+    expect(renderArticle({ body: null })).toEqual({ bodyHtml: "", toc: [] });
+  });
+});
@@ -0,0 +1,63 @@
+const fs = require("fs");
+const path = require("path");
+const { QueryTypes } = require("sequelize");
+
+// Same folder and history table `sequelize-cli db:migrate` uses
+const migrationsPath = path.resolve(__dirname, "..", "migrations");
+const metaTable = "SequelizeMeta";
+
+// The last migration every database built by the old startup `sync` has
+// applied. Later ones check for their tables and columns first, as `sync`
+// created some of them depending on the release.
+const syncedUntil = "20220129141319-create-comment.js";
+
+const migrationFiles = () =>
+  fs
+    .readdirSync(migrationsPath)
+    .filter((file) => file.endsWith(".js"))
+    .sort();
+
+const executedMigrations = async (sequelize) => {
+  const queryInterface = sequelize.getQueryInterface();
+
+  const tables = await queryInterface.showAllTables();
+  if (!tables.includes(metaTable)) return [];
+
+  const rows = await sequelize.query(
+    `SELECT name FROM ${queryInterface.quoteIdentifier(metaTable)}`,
+    { type: QueryTypes.SELECT },
+  );
+
+  return rows.map((row) => row.name);
+};
+
+/**
+ * Every migration file with whether it ran, in the order they run. Names in
+ * the history without a file are listed too, as they can't be undone.
+ */
+const migrationStatus = async (sequelize) => {
+  const executed = await executedMigrations(sequelize);
+  const files = migrationFiles();
+
+  return [
+    ...files.map((name) => ({ name, executed: executed.includes(name) })),
+    ...executed
+      .filter((name) => !files.includes(name))
+      .map((name) => ({ name, executed: true, missing: true })),
+  ];
+};
+
+const pendingMigrations = async (sequelize) => {
+  const status = await migrationStatus(sequelize);
+
+  return status.filter(({ executed }) => !executed).map(({ name }) => name);
+};
+
+module.exports = {
+  metaTable,
+  migrationsPath,
+  migrationFiles,
+  migrationStatus,
+  pendingMigrations,
+  syncedUntil,
+};
@@ -0,0 +1,35 @@
+const { ValidationError } = require("./customErrors");
+
+const reportTypes = ["article", "comment", "profile"];
+const reportStatuses = ["open", "triaged", "resolved", "dismissed"];
+
+// What a moderator can do to the reported content when resolving a report.
+// Hidden content can be shown again by resolving one of its reports again.
+const reportActions = {
+  article: ["hide", "unhide", "suspend"],
+  comment: ["hide", "unhide", "suspend"],
+  profile: ["suspend"],
+};
+
+const validateTriage = ({ targetType }, { status, action }) => {
+  if (!reportStatuses.includes(status)) {
+    throw new ValidationError(
+      `Status must be one of ${reportStatuses.join(", ")}`,
+    );
+  }
+
+  if (!action) return;
+
+  if (status !== "resolved") {
+    throw new ValidationError("Only resolved reports can take an action");
+  }
+
+  const actions = reportActions[targetType];
+  if (!actions.includes(action)) {
+    throw new ValidationError(
+      `Action for a ${targetType} must be one of ${actions.join(", ")}`,
+    );
+  }
+};
+
+module.exports = { reportTypes, reportStatuses, reportActions, validateTriage };
@@ -0,0 +1,37 @@
+const { validateTriage } = require("./moderation");
+
+describe("Validate triage", () => {
+  const article = { targetType: "article" };
+  const profile = { targetType: "profile" };
+
+  test("accepts status changes without an action", () => {
+    expect(() => validateTriage(article, { status: "triaged" })).not.toThrow();
+    expect(() =>
+      validateTriage(profile, { status: "dismissed" }),
+    ).not.toThrow();
+  });
+
+  test("accepts the actions of each target type", () => {
+    const resolve = (report, action) =>
+      validateTriage(report, { status: "resolved", action });
+
+    expect(() => resolve(article, "hide")).not.toThrow();
+    expect(() => resolve(article, "suspend")).not.toThrow();
+    expect(() => resolve(article, "unhide")).not.toThrow();
+    expect(() => resolve(profile, "suspend")).not.toThrow();
+    expect(() => resolve(profile, "hide")).toThrow("must be one of suspend");
+    expect(() => resolve(profile, "unhide")).toThrow("must be one of suspend");
+  });
+
+  test("rejects unknown statuses", () => {
+    expect(() => validateTriage(article, { status: "closed" })).toThrow(
+      "Status must be one of",
+    );
+  });
+
+  test("only takes actions when resolving", () => {
+    expect(() =>
+      validateTriage(article, { status: "triaged", action: "hide" }),
+    ).toThrow("Only resolved reports");
+  });
+});
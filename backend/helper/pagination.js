@@ -0,0 +1,112 @@
+const { Op } = require("sequelize");
+const { ValidationError } = require("./customErrors");
+
+// Cursors point at one article by `createdAt` and `id`, so pages stay put
+// while new articles arrive. They're opaque to clients: base64url JSON.
+const encodeCursor = ({ createdAt, id }) =>
+  Buffer.from(JSON.stringify([new Date(createdAt).toISOString(), id])).toString(
+    "base64url",
+  );
+
+const decodeCursor = (cursor, field) => {
+  try {
+    const [createdAt, id] = JSON.parse(
+      Buffer.from(cursor, "base64url").toString(),
+    );
+    const date = new Date(createdAt);
+    if (isNaN(date) || !Number.isInteger(id)) throw new Error();
+
+    return { createdAt: date, id: id };
+  } catch (error) {
+    throw new ValidationError("is invalid", field);
+  }
+};
+
+const maxPageSize = 100;
+
+// Query values are strings, or arrays when repeated. Anything but a plain
+// whole number in range is rejected rather than left to parseInt.
+const queryInteger = (value, field, min, max = Infinity) => {
+  const number = /^\d+$/.test(value) ? Number(value) : NaN;
+
+  if (!(number >= min)) {
+    throw new ValidationError(
+      `must be a whole number of at least ${min}`,
+      field,
+    );
+  }
+  if (number > max) {
+    throw new ValidationError(`must be at most ${max}`, field);
+  }
+
+  return number;
+};
+
+// Page size and page number of an offset list
+const pageParams = ({ limit, offset = 0 }, defaultLimit = 3) => ({
+  limit: queryInteger(limit ?? String(defaultLimit), "limit", 1, maxPageSize),
+  offset: queryInteger(offset, "offset", 0),
+});
+
+// Newest first. `before` pages towards older articles, `after` towards newer.
+// Without a cursor the page number in `offset` is used, as it always was.
+const pageOptions = (query) => {
+  const { before, after } = query;
+  if (before && after) {
+    throw new ValidationError("can't be used with before", "after");
+  }
+  const cursor = before || after;
+  const { limit: pageSize, offset } = pageParams(query);
+
+  if (!cursor) {
+    return {
+      limit: pageSize + 1,
+      offset: offset * pageSize,
+      order: [
+        ["createdAt", "DESC"],
+        ["id", "DESC"],
+      ],
+    };
+  }
+
+  const { createdAt, id } = decodeCursor(cursor, before ? "before" : "after");
+  const compare = before ? Op.lt : Op.gt;
+  const direction = before ? "DESC" : "ASC";
+
+  return {
+    limit: pageSize + 1,
+    order: [
+      ["createdAt", direction],
+      ["id", direction],
+    ],
+    where: {
+      [Op.or]: [
+        { createdAt: { [compare]: createdAt } },
+        { createdAt: createdAt, id: { [compare]: id } },
+      ],
+    },
+  };
+};
+
+// Rows come one past the page size, that extra row tells if there's more.
+// `nextCursor` continues in the direction of the request.
+const pageOf = (rows, { limit = 3, after }) => {
+  const pageSize = Number(limit);
+  const hasMore = rows.length > pageSize;
+  const page = rows.slice(0, pageSize);
+  const last = page[page.length - 1];
+
+  if (after) page.reverse();
+
+  return { rows: page, nextCursor: hasMore ? encodeCursor(last) : null };
+};
+
+module.exports = {
+  decodeCursor,
+  encodeCursor,
+  maxPageSize,
+  pageOf,
+  pageOptions,
+  pageParams,
+  queryInteger,
+};
@@ -0,0 +1,106 @@
+const {
+  decodeCursor,
+  encodeCursor,
+  pageOf,
+  pageOptions,
+  pageParams,
+} = require("./pagination");
+
+const article = (id) => ({
+  id: id,
+  createdAt: new Date(Date.UTC(2024, 0, id)),
+});
+
+describe("Cursors", () => {
+  test("round trip", () => {
+    expect(decodeCursor(encodeCursor(article(7)))).toEqual(article(7));
+  });
+
+  test.each(["", "nonsense", Buffer.from("[1]").toString("base64url")])(
+    "rejects %p",
+    (cursor) => {
+      expect(() => decodeCursor(cursor, "before")).toThrow("before is invalid");
+    },
+  );
+});
+
+describe("Page options", () => {
+  test("offset mode keeps page numbers", () => {
+    expect(pageOptions({ limit: "5", offset: "2" })).toMatchObject({
+      limit: 6,
+      offset: 10,
+    });
+  });
+
+  test("cursor mode has no offset", () => {
+    const options = pageOptions({ before: encodeCursor(article(1)) });
+
+    expect(options.offset).toBeUndefined();
+    expect(options.order).toEqual([
+      ["createdAt", "DESC"],
+      ["id", "DESC"],
+    ]);
+  });
+
+  test("after pages towards newer articles", () => {
+    const options = pageOptions({ after: encodeCursor(article(1)) });
+
+    expect(options.order[0]).toEqual(["createdAt", "ASC"]);
+  });
+
+  test.each([
+    [{ limit: "abc" }, "limit must be a whole number of at least 1"],
+    [{ limit: "0" }, "limit must be a whole number of at least 1"],
+    [{ limit: "2.5" }, "limit must be a whole number of at least 1"],
+    [{ limit: ["2", "3"] }, "limit must be a whole number of at least 1"],
+    [{ limit: "101" }, "limit must be at most 100"],
+    [{ offset: "-1" }, "offset must be a whole number of at least 0"],
+  ])("rejects %o", (query, message) => {
+    expect(() => pageOptions(query)).toThrow(message);
+  });
+
+  test("before and after together", () => {
+    const cursor = encodeCursor(article(1));
+
+    expect(() => pageOptions({ before: cursor, after: cursor })).toThrow(
+      "after can't be used with before",
+    );
+  });
+});
+
+describe("Page params", () => {
+  test("defaults", () => {
+    expect(pageParams({})).toEqual({ limit: 3, offset: 0 });
+    expect(pageParams({}, 20)).toEqual({ limit: 20, offset: 0 });
+  });
+
+  test("parses query strings", () => {
+    expect(pageParams({ limit: "100", offset: "4" })).toEqual({
+      limit: 100,
+      offset: 4,
+    });
+  });
+});
+
+describe("Page of", () => {
+  const newestFirst = [5, 4, 3, 2].map(article);
+
+  test("extra row means there's more", () => {
+    const { rows, nextCursor } = pageOf(newestFirst, { limit: 3 });
+
+    expect(rows.map(({ id }) => id)).toEqual([5, 4, 3]);
+    expect(decodeCursor(nextCursor)).toEqual(article(3));
+  });
+
+  test("last page", () => {
+    expect(pageOf(newestFirst, { limit: 4 }).nextCursor).toBeNull();
+  });
+
+  test("after pages come back newest first", () => {
+    const oldestFirst = [2, 3, 4, 5].map(article);
+    const { rows, nextCursor } = pageOf(oldestFirst, { limit: 3, after: "x" });
+
+    expect(rows.map(({ id }) => id)).toEqual([4, 3, 2]);
+    expect(decodeCursor(nextCursor)).toEqual(article(4));
+  });
+});
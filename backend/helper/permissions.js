@@ -0,0 +1,27 @@
+const rolePermissions = {
+  user: [],
+  moderator: ["articles:delete", "comments:delete", "reports:manage"],
+  admin: [
+    "articles:delete",
+    "comments:delete",
+    "reports:manage",
+    "users:manage",
+  ],
+};
+
+const roles = Object.keys(rolePermissions);
+
+const hasPermission = (user, permission) => {
+  if (!user) return false;
+
+  return (rolePermissions[user.role] || []).includes(permission);
+};
+
+// Authors can always act on their own content, others need the permission
+const canModify = (user, ownerId, permission) => {
+  if (!user) return false;
+
+  return user.id === ownerId || hasPermission(user, permission);
+};
+
+module.exports = { roles, hasPermission, canModify };
@@ -0,0 +1,31 @@
+const { canModify, hasPermission } = require("./permissions");
+
+describe("Has permission", () => {
+  test.each([
+    ["user", "comments:delete", false],
+    ["moderator", "comments:delete", true],
+    ["moderator", "users:manage", false],
+    ["moderator", "reports:manage", true],
+    ["admin", "users:manage", true],
+    ["unknown", "comments:delete", false],
+  ])("%s - %s", (role, permission, expected) => {
+    expect(hasPermission({ role }, permission)).toBe(expected);
+  });
+
+  test("denies anonymous users", () => {
+    expect(hasPermission(undefined, "comments:delete")).toBe(false);
+  });
+});
+
+describe("Can modify", () => {
+  test("lets authors modify their own content", () => {
+    expect(canModify({ id: 1, role: "user" }, 1, "articles:delete")).toBe(true);
+  });
+
+  test("needs the permission for someone else's content", () => {
+    const permission = "articles:delete";
+
+    expect(canModify({ id: 1, role: "user" }, 2, permission)).toBe(false);
+    expect(canModify({ id: 1, role: "moderator" }, 2, permission)).toBe(true);
+  });
+});
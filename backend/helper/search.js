@@ -0,0 +1,88 @@
+const fieldWeights = { title: 3, description: 2, body: 1 };
+
+const htmlEntities = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+const escapeHTML = (string) => {
+  return string.replace(/[&<>"']/g, (char) => htmlEntities[char]);
+};
+
+const escapeRegExp = (string) => {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+};
+
+const searchTerms = (query = "") => {
+  const terms = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+
+  return [...new Set(terms)];
+};
+
+// The score of an article as SQL, so the database ranks and pages results.
+// A term's matches in a field are the characters they take up, found by
+// removing the term, divided by its length. `escape` quotes a string value.
+const rankSql = (terms, escape) => {
+  const counts = Object.entries(fieldWeights).flatMap(([field, weight]) => {
+    const text = `lower(coalesce("Article"."${field}", ''))`;
+
+    return terms.map((term) => {
+      const removed = `replace(${text}, ${escape(term)}, '')`;
+
+      return `(length(${text}) - length(${removed})) / ${
+        [...term].length
+      } * ${weight}`;
+    });
+  });
+
+  return `(${counts.join(" + ")})`;
+};
+
+const markTerms = (text, terms) => {
+  if (!terms.length) return escapeHTML(text);
+
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join("|")})`, "gi");
+
+  return text
+    .split(pattern)
+    .map((part, index) =>
+      index % 2 ? `<mark>${escapeHTML(part)}</mark>` : escapeHTML(part),
+    )
+    .join("");
+};
+
+const highlight = (text = "", terms, radius = 80) => {
+  const lowerText = text.toLowerCase();
+  const matches = terms
+    .map((term) => lowerText.indexOf(term))
+    .filter((index) => index !== -1);
+  const firstMatch = matches.length ? Math.min(...matches) : 0;
+
+  const start = Math.max(0, firstMatch - radius);
+  const end = Math.min(text.length, firstMatch + radius * 2);
+
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < text.length ? "…" : "";
+
+  return prefix + markTerms(text.slice(start, end), terms) + suffix;
+};
+
+const appendHighlights = (terms, article) => {
+  const { title, description, body } = article;
+
+  article.dataValues.highlight = {
+    title: markTerms(title, terms),
+    description: markTerms(description, terms),
+    body: highlight(body, terms),
+  };
+};
+
+module.exports = {
+  searchTerms,
+  rankSql,
+  highlight,
+  appendHighlights,
+};
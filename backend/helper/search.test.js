@@ -0,0 +1,61 @@
+// @vitest-environment node
+const { Sequelize } = require("sequelize");
+const { highlight, rankSql, searchTerms } = require("./search");
+
+describe("Search terms", () => {
+  test("splits, lowercases and dedupes the query", () => {
+    expect(searchTerms("  React HOOKS react ")).toEqual(["react", "hooks"]);
+  });
+
+  test("returns no terms for an empty query", () => {
+    expect(searchTerms(undefined)).toEqual([]);
+  });
+});
+
+describe("Rank SQL", () => {
+  const sequelize = new Sequelize({ dialect: "sqlite", logging: false });
+  const escape = (value) => sequelize.escape(value);
+
+  const rank = async (terms, { title = "", description = "", body = null }) => {
+    const [[{ score }]] = await sequelize.query(
+      `SELECT ${rankSql(terms, escape)} AS score FROM (SELECT ` +
+        `${escape(title)} AS title, ${escape(description)} AS description, ` +
+        `${escape(body)} AS body) AS "Article"`,
+    );
+
+    return score;
+  };
+
+  afterAll(() => sequelize.close());
+
+  test("weights title matches above body matches", async () => {
+    expect(await rank(["react"], { title: "React" })).toBe(3);
+    expect(await rank(["react"], { body: "react" })).toBe(1);
+  });
+
+  test("counts every match of every term", async () => {
+    const article = { title: "React hooks", body: "react, REACT and hooks" };
+
+    expect(await rank(["react", "hooks"], article)).toBe(3 + 3 + 2 + 1);
+  });
+
+  test("escapes terms", async () => {
+    expect(await rank(["it's"], { description: "It's it's" })).toBe(4);
+  });
+});
+
+describe("Highlight", () => {
+  test("marks every match and escapes HTML", () => {
+    expect(highlight("<b>React</b> and react", ["react"])).toBe(
+      "&lt;b&gt;<mark>React</mark>&lt;/b&gt; and <mark>react</mark>",
+    );
+  });
+
+  test("cuts a snippet around the first match", () => {
+    const text = `${"a ".repeat(100)}needle${" b".repeat(100)}`;
+
+    expect(highlight(text, ["needle"], 10)).toMatch(
+      /^….*<mark>needle<\/mark>.*…$/,
+    );
+  });
+});
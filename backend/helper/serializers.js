@@ -0,0 +1,113 @@
+const { User, sequelize, Sequelize } = require("../models");
+const { TagList, Favorites, Followers } = sequelize.models;
+
+// Every serializer loads what it needs for the whole list at once, so a page
+// costs the same few queries whatever its size.
+
+// What anyone may see of a user, as a profile or an author
+const profileAttributes = ["id", "username", "bio", "image"];
+
+// The public part of a user loaded in full, like the signed in one
+const asProfile = (user) =>
+  User.build(
+    Object.fromEntries(profileAttributes.map((key) => [key, user[key]])),
+    { isNewRecord: false },
+  );
+
+const countBy = async (model, key, ids) => {
+  const rows = await model.findAll({
+    attributes: [key, [Sequelize.fn("count", Sequelize.col(key)), "count"]],
+    where: { [key]: ids },
+    group: [key],
+    raw: true,
+  });
+
+  return new Map(rows.map((row) => [row[key], Number(row.count)]));
+};
+
+const idsLinkedTo = async (model, key, where) => {
+  const rows = await model.findAll({ attributes: [key], where, raw: true });
+
+  return new Set(rows.map((row) => row[key]));
+};
+
+/**
+ * Adds `following` and `followersCount` to users shown as profiles. The same
+ * user can appear several times, as the author of many comments.
+ */
+const serializeProfiles = async (loggedUser, users) => {
+  const ids = [...new Set(users.map((user) => user.id))];
+  if (!ids.length) return users;
+
+  const followersCounts = await countBy(Followers, "userId", ids);
+  const followedIds = loggedUser
+    ? await idsLinkedTo(Followers, "userId", {
+        userId: ids,
+        followerId: loggedUser.id,
+      })
+    : new Set();
+
+  for (const user of users) {
+    user.dataValues.following = followedIds.has(user.id);
+    user.dataValues.followersCount = followersCounts.get(user.id) || 0;
+  }
+
+  return users;
+};
+
+/**
+ * Adds `tagList`, `favorited` and `favoritesCount` to articles, and the
+ * profile fields to their authors, loading the authors when not included.
+ */
+const serializeArticles = async (loggedUser, articles) => {
+  const ids = articles.map((article) => article.id);
+  if (!ids.length) return articles;
+
+  const tagRows = await TagList.findAll({
+    attributes: ["articleId", "tagName"],
+    where: { articleId: ids },
+    raw: true,
+  });
+  const favoritesCounts = await countBy(Favorites, "articleId", ids);
+  const favoritedIds = loggedUser
+    ? await idsLinkedTo(Favorites, "articleId", {
+        articleId: ids,
+        userId: loggedUser.id,
+      })
+    : new Set();
+
+  const missingAuthors = articles.filter((article) => !article.author);
+  if (missingAuthors.length) {
+    const authors = await User.findAll({
+      attributes: profileAttributes,
+      where: { id: missingAuthors.map((article) => article.userId) },
+    });
+    const authorsById = new Map(authors.map((author) => [author.id, author]));
+
+    for (const article of missingAuthors) {
+      article.author = authorsById.get(article.userId);
+      article.dataValues.author = article.author;
+    }
+  }
+  await serializeProfiles(
+    loggedUser,
+    articles.map((article) => article.author),
+  );
+
+  for (const article of articles) {
+    article.dataValues.tagList = tagRows
+      .filter((row) => row.articleId === article.id)
+      .map((row) => row.tagName);
+    article.dataValues.favorited = favoritedIds.has(article.id);
+    article.dataValues.favoritesCount = favoritesCounts.get(article.id) || 0;
+  }
+
+  return articles;
+};
+
+module.exports = {
+  asProfile,
+  profileAttributes,
+  serializeArticles,
+  serializeProfiles,
+};
@@ -0,0 +1,143 @@
+// @vitest-environment node
+// Counts the queries a list costs, which mustn't grow with the number of
+// articles or comments in it.
+const { request, signUp, startServer, stopServer } = require("../test/server");
+const { Article, Comment, Tag, User } = require("../models");
+const { serializeArticles, serializeProfiles } = require("./serializers");
+
+let queries = [];
+let jake;
+let anna;
+
+const asJson = (instance) => JSON.parse(JSON.stringify(instance));
+
+const countQueries = async (callback) => {
+  queries = [];
+  await callback();
+
+  return queries.length;
+};
+
+const get = async (url, token) => {
+  const { status, data } = await request("GET", url, { token });
+  expect(status).toBe(200);
+
+  return data;
+};
+
+const signUpWithModel = async (username) => ({
+  ...(await signUp(username)),
+  model: await User.findOne({ where: { username } }),
+});
+
+beforeAll(async () => {
+  await startServer({ logging: (sql) => queries.push(sql) });
+
+  jake = await signUpWithModel("jake");
+  anna = await signUpWithModel("anna");
+  await jake.model.addFollower(anna.model);
+
+  const [dragons] = await Tag.findOrCreate({ where: { name: "dragons" } });
+  for (let index = 0; index < 6; index++) {
+    const article = await Article.create({
+      slug: `article-${index}`,
+      title: `Article ${index}`,
+      description: "About dragons",
+      body: "Dragons",
+      status: "published",
+      userId: jake.model.id,
+    });
+    await article.addTagList(dragons);
+    if (index % 2) await article.addUser(anna.model);
+
+    await Comment.create({
+      body: "Nice",
+      articleId: article.id,
+      userId: index % 2 ? anna.model.id : jake.model.id,
+    });
+  }
+});
+
+afterAll(stopServer);
+
+describe("Serialize articles", () => {
+  const findArticles = () =>
+    Article.findAll({ order: [["id", "ASC"]], limit: 2 });
+
+  test("adds tags, favorites and the author's profile", async () => {
+    const [first, second] = await serializeArticles(
+      anna.model,
+      await findArticles(),
+    );
+
+    expect(asJson(second)).toMatchObject({
+      tagList: ["dragons"],
+      favorited: true,
+      favoritesCount: 1,
+      author: { username: "jake", following: true, followersCount: 1 },
+    });
+    expect(asJson(first)).toMatchObject({ favorited: false });
+    expect(asJson(second).author.email).toBeUndefined();
+  });
+
+  test("signed out users follow and favorite nothing", async () => {
+    const [, second] = await serializeArticles(null, await findArticles());
+
+    expect(asJson(second)).toMatchObject({
+      favorited: false,
+      author: { following: false },
+    });
+  });
+
+  test("profiles", async () => {
+    const [profile] = await serializeProfiles(anna.model, [jake.model]);
+
+    expect(asJson(profile)).toMatchObject({
+      following: true,
+      followersCount: 1,
+    });
+  });
+});
+
+describe("Query count doesn't grow with the page", () => {
+  test.each([
+    ["articles", "/articles?limit=", null],
+    ["signed in articles", "/articles?limit=", "anna"],
+    ["tag", "/articles?tag=dragons&limit=", "anna"],
+    ["favorites", "/articles?favorited=anna&limit=", "anna"],
+    ["feed", "/articles/feed?limit=", "anna"],
+    ["search", "/articles/search?q=dragons&limit=", "anna"],
+  ])("%s", async (name, url, user) => {
+    const token = user && anna.token;
+
+    const small = await countQueries(() => get(`${url}1`, token));
+    const large = await countQueries(async () => {
+      const { articles } = await get(`${url}6`, token);
+      expect(articles.length).toBeGreaterThan(1);
+    });
+
+    expect(large).toBe(small);
+  });
+
+  test("comments", async () => {
+    await Comment.update(
+      {
+        articleId: (await Article.findOne({ where: { slug: "article-0" } })).id,
+      },
+      { where: {} },
+    );
+
+    const { comments } = await get("/articles/article-0/comments", anna.token);
+    expect(comments).toHaveLength(6);
+
+    const many = await countQueries(() =>
+      get("/articles/article-0/comments", anna.token),
+    );
+    const none = await countQueries(() =>
+      get("/articles/article-1/comments", anna.token),
+    );
+
+    // Empty lists skip the profile queries
+    expect(many - none).toBeLessThanOrEqual(2);
+  });
+});
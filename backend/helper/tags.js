@@ -0,0 +1,70 @@
+const { Article, Tag, Sequelize } = require("../models");
+const { publishedWhere } = require("./helpers");
+const { Op } = Sequelize;
+
+/**
+ * One spelling per tag: lowercase, words joined by hyphens, and only
+ * letters, digits and `+ # .` kept, so "Node JS" and "node-js" are the same.
+ */
+const normalizeTag = (tag) =>
+  tag
+    .normalize("NFKC")
+    .toLowerCase()
+    .trim()
+    .replace(/[\s_]+/g, "-")
+    .replace(/[^\p{L}\p{N}+#.-]/gu, "")
+    .replace(/-{2,}/g, "-")
+    .replace(/^[-.]+|[-.]+$/g, "");
+
+const normalizeTagList = (tagList) => [
+  ...new Set(tagList.map(normalizeTag).filter(Boolean)),
+];
+
+// Replaces the article's tags, creating the ones nobody used before
+const setArticleTags = async (article, tagList) => {
+  const tags = [];
+  for (const name of normalizeTagList(tagList)) {
+    const [tag] = await Tag.findOrCreate({ where: { name: name } });
+    tags.push(tag);
+  }
+
+  await article.setTagList(tags);
+};
+
+/**
+ * Tags in use with how many published articles use each, most used first.
+ * `prefix` narrows them down for autocompletion.
+ */
+const tagsUsage = async ({ prefix, limit } = {}) => {
+  const where = {};
+  if (prefix !== undefined) {
+    const start = normalizeTag(prefix);
+    if (!start) return [];
+
+    where.name = { [Op.startsWith]: start };
+  }
+
+  const count = Sequelize.fn("count", Sequelize.col("Articles.id"));
+  const rows = await Tag.findAll({
+    attributes: ["name", [count, "count"]],
+    where: where,
+    include: {
+      model: Article,
+      attributes: [],
+      through: { attributes: [] },
+      where: publishedWhere(),
+    },
+    group: ["Tag.name"],
+    order: [
+      [count, "DESC"],
+      ["name", "ASC"],
+    ],
+    limit: limit,
+    subQuery: false,
+    raw: true,
+  });
+
+  return rows.map((row) => ({ name: row.name, count: Number(row.count) }));
+};
+
+module.exports = { normalizeTag, normalizeTagList, setArticleTags, tagsUsage };
@@ -0,0 +1,162 @@
+// @vitest-environment node
+const {
+  request: sendRequest,
+  signUp,
+  startServer,
+  stopServer,
+} = require("../test/server");
+const { Article } = require("../models");
+const { normalizeTag, normalizeTagList, tagsUsage } = require("./tags");
+
+let token;
+
+// Everything here is jake's
+const request = (method, url, body) =>
+  sendRequest(method, url, { body, token });
+
+const createArticle = async (title, tagList) => {
+  const { data } = await request("POST", "/articles", {
+    article: { title, description: "About dragons", body: "Dragons", tagList },
+  });
+
+  return data.article;
+};
+
+beforeAll(async () => {
+  await startServer();
+
+  ({ token } = await signUp("jake"));
+});
+
+afterAll(stopServer);
+
+describe("Normalize tags", () => {
+  test.each([
+    ["Dragons", "dragons"],
+    ["  Node   JS ", "node-js"],
+    ["snake_case", "snake-case"],
+    ["C++", "c++"],
+    ["C#", "c#"],
+    ["--vue.js.", "vue.js"],
+    ["Ça va?", "ça-va"],
+    ["go", "go"],
+    ["!!!", ""],
+  ])("%p", (tag, normalized) => {
+    expect(normalizeTag(tag)).toBe(normalized);
+  });
+
+  test("lists drop duplicates and empty tags", () => {
+    expect(normalizeTagList(["JS", "js", " Js ", "?"])).toEqual(["js"]);
+  });
+});
+
+describe("Article tags", () => {
+  test("are normalized, short ones included", async () => {
+    const article = await createArticle("Dragons", [
+      "Dragons",
+      "dragons",
+      "JS",
+    ]);
+
+    expect(article.tagList.sort()).toEqual(["dragons", "js"]);
+  });
+
+  test("change on update, and only when sent", async () => {
+    const { slug } = await createArticle("Training", ["dragons", "training"]);
+
+    const { data: updated } = await request("PUT", `/articles/${slug}`, {
+      article: { tagList: ["Training", "Fire Breathing"] },
+    });
+    expect(updated.article.tagList.sort()).toEqual([
+      "fire-breathing",
+      "training",
+    ]);
+
+    const { data: untouched } = await request("PUT", `/articles/${slug}`, {
+      article: { body: "Dragons, again" },
+    });
+    expect(untouched.article.tagList.sort()).toEqual([
+      "fire-breathing",
+      "training",
+    ]);
+
+    const { data: cleared } = await request("PUT", `/articles/${slug}`, {
+      article: { tagList: [] },
+    });
+    expect(cleared.article.tagList).toEqual([]);
+  });
+
+  test("need a letter or a digit", async () => {
+    const { status, data } = await request("POST", "/articles", {
+      article: {
+        title: "Punctuation",
+        description: "None",
+        body: "None",
+        tagList: ["dragons", "!!!"],
+      },
+    });
+
+    expect(status).toBe(422);
+    expect(data.errors.tagList).toEqual([
+      "item 2 must contain a letter or a digit",
+    ]);
+  });
+});
+
+describe("Tags usage", () => {
+  test("counts articles, most used first", async () => {
+    await createArticle("Fire", ["fire-breathing", "dragons"]);
+
+    expect(await tagsUsage()).toEqual([
+      { name: "dragons", count: 2 },
+      { name: "fire-breathing", count: 1 },
+      { name: "js", count: 1 },
+    ]);
+  });
+
+  test("by prefix", async () => {
+    const { data } = await request("GET", "/tags?prefix=Fire Br");
+
+    expect(data).toEqual({
+      tags: ["fire-breathing"],
+      counts: { "fire-breathing": 1 },
+    });
+    expect(await tagsUsage({ prefix: "?" })).toEqual([]);
+    expect(await tagsUsage({ limit: 1 })).toHaveLength(1);
+  });
+
+  test.each([
+    ["limit=-5", "limit"],
+    ["limit=abc", "limit"],
+    ["limit=101", "limit"],
+    ["prefix=a&prefix=b", "prefix"],
+  ])("rejects %s", async (query, field) => {
+    const { status, data } = await request("GET", `/tags?${query}`);
+
+    expect(status).toBe(422);
+    expect(data.errors).toHaveProperty(field);
+  });
+
+  test("counts published articles only", async () => {
+    await request("POST", "/articles", {
+      article: {
+        title: "Plans",
+        description: "Secret",
+        body: "Secret",
+        tagList: ["secret", "dragons"],
+        status: "draft",
+      },
+    });
+    const hidden = await createArticle("Rumors", ["rumors", "dragons"]);
+    await Article.update(
+      { hiddenAt: new Date() },
+      { where: { slug: hidden.slug } },
+    );
+
+    const usage = await tagsUsage();
+
+    expect(usage).toContainEqual({ name: "dragons", count: 2 });
+    expect(usage.map(({ name }) => name)).not.toContain("secret");
+    expect(usage.map(({ name }) => name)).not.toContain("rumors");
+  });
+});
@@ -0,0 +1,91 @@
+// In-process counters, so limits apply per server instance
+const maxEntries = 10000;
+
+const secondsUntil = (time, now) => Math.ceil((time - now) / 1000);
+
+const pruneExpired = (entries, now) => {
+  if (entries.size < maxEntries) return;
+
+  for (const [key, entry] of entries) {
+    if (entry.expiresAt <= now) entries.delete(key);
+  }
+};
+
+/**
+ * Tracks failed attempts per key. After `freeAttempts` failures each new
+ * one doubles the wait, up to `maxDelay`, and `lockoutAttempts` failures lock
+ * the key for `lockoutDuration`. Failures are forgotten after `resetAfter`.
+ */
+const createAttemptTracker = ({
+  freeAttempts = 3,
+  baseDelay = 1000,
+  maxDelay = 60 * 1000,
+  lockoutAttempts = 10,
+  lockoutDuration = 15 * 60 * 1000,
+  resetAfter = 60 * 60 * 1000,
+} = {}) => {
+  const entries = new Map();
+
+  // Seconds `key` has to wait before its next attempt, 0 when it may try
+  const check = (key, now = Date.now()) => {
+    const entry = entries.get(key);
+    if (!entry || entry.expiresAt <= now) return 0;
+
+    return Math.max(0, secondsUntil(entry.blockedUntil, now));
+  };
+
+  const fail = (key, now = Date.now()) => {
+    pruneExpired(entries, now);
+
+    const previous = entries.get(key);
+    const failures =
+      previous && previous.expiresAt > now ? previous.failures + 1 : 1;
+
+    let blockedUntil = now;
+    if (failures >= lockoutAttempts) {
+      blockedUntil = now + lockoutDuration;
+    } else if (failures >= freeAttempts) {
+      const delay = baseDelay * 2 ** (failures - freeAttempts);
+      blockedUntil = now + Math.min(delay, maxDelay);
+    }
+
+    entries.set(key, {
+      failures: failures,
+      blockedUntil: blockedUntil,
+      expiresAt: Math.max(blockedUntil, now + resetAfter),
+    });
+
+    return secondsUntil(blockedUntil, now);
+  };
+
+  const reset = (key) => entries.delete(key);
+
+  return { check, fail, reset };
+};
+
+// Fixed window counter allowing `max` hits per key every `windowMs`
+const createRateLimiter = ({ max, windowMs }) => {
+  const entries = new Map();
+
+  const hit = (key, now = Date.now()) => {
+    pruneExpired(entries, now);
+
+    let entry = entries.get(key);
+    if (!entry || entry.expiresAt <= now) {
+      entry = { hits: 0, expiresAt: now + windowMs };
+      entries.set(key, entry);
+    }
+
+    entry.hits++;
+
+    return {
+      allowed: entry.hits <= max,
+      remaining: Math.max(0, max - entry.hits),
+      retryAfter: secondsUntil(entry.expiresAt, now),
+    };
+  };
+
+  return { hit };
+};
+
+module.exports = { createAttemptTracker, createRateLimiter };
@@ -0,0 +1,59 @@
+const { createAttemptTracker, createRateLimiter } = require("./throttle");
+
+describe("Attempt tracker", () => {
+  const tracker = () =>
+    createAttemptTracker({
+      freeAttempts: 2,
+      baseDelay: 1000,
+      maxDelay: 8000,
+      lockoutAttempts: 6,
+      lockoutDuration: 60 * 1000,
+    });
+
+  test("lets the first failures through", () => {
+    const attempts = tracker();
+
+    expect(attempts.fail("jake", 0)).toBe(0);
+    expect(attempts.check("jake", 0)).toBe(0);
+  });
+
+  test("doubles the wait after each failure", () => {
+    const attempts = tracker();
+    const waits = [1, 2, 3, 4, 5].map((_, i) => attempts.fail("jake", i));
+
+    expect(waits).toEqual([0, 1, 2, 4, 8]);
+    expect(attempts.check("jake", 4)).toBe(8);
+    expect(attempts.check("jake", 12 * 1000)).toBe(0);
+  });
+
+  test("locks the key out after too many failures", () => {
+    const attempts = tracker();
+    for (let i = 0; i < 6; i++) attempts.fail("jake", 0);
+
+    expect(attempts.check("jake", 0)).toBe(60);
+    expect(attempts.check("other", 0)).toBe(0);
+  });
+
+  test("forgets failures on reset", () => {
+    const attempts = tracker();
+    for (let i = 0; i < 4; i++) attempts.fail("jake", 0);
+    attempts.reset("jake");
+
+    expect(attempts.check("jake", 0)).toBe(0);
+  });
+});
+
+describe("Rate limiter", () => {
+  test("allows max hits per window", () => {
+    const limiter = createRateLimiter({ max: 2, windowMs: 10 * 1000 });
+
+    expect(limiter.hit("ip", 0).allowed).toBe(true);
+    expect(limiter.hit("ip", 1000).allowed).toBe(true);
+    expect(limiter.hit("ip", 2000)).toEqual({
+      allowed: false,
+      remaining: 0,
+      retryAfter: 8,
+    });
+    expect(limiter.hit("ip", 10 * 1000).allowed).toBe(true);
+  });
+});
@@ -0,0 +1,82 @@
+const {
+  base32Decode,
+  base32Encode,
+  generateBackupCodes,
+  hashBackupCode,
+  provisioningUri,
+  totp,
+  verifyTotp,
+} = require("./totp");
+
+// RFC 6238 test vectors for the SHA1 secret "12345678901234567890"
+const secret = base32Encode(Buffer.from("12345678901234567890"));
+
+describe("Base32", () => {
+  test("round trips bytes", () => {
+    const bytes = Buffer.from("hello world");
+
+    expect(base32Encode(bytes)).toBe("NBSWY3DPEB3W64TMMQ");
+    expect(base32Decode("NBSWY3DPEB3W64TMMQ")).toEqual(bytes);
+  });
+});
+
+describe("TOTP", () => {
+  test.each([
+    [59, "94287082"],
+    [1111111109, "07081804"],
+    [1234567890, "89005924"],
+    [2000000000, "69279037"],
+  ])("at %i seconds", (seconds, expected) => {
+    expect(totp(secret, seconds * 1000, 8)).toBe(expected);
+  });
+
+  test("accepts one step of drift", () => {
+    const time = 1234567890 * 1000;
+    const previousCode = totp(secret, time - 30 * 1000);
+
+    expect(verifyTotp(secret, previousCode, { time })).toBe(41152262);
+    expect(verifyTotp(secret, totp(secret, time - 90 * 1000), { time })).toBe(
+      null,
+    );
+  });
+
+  test.each(["12345é", "1234567", "12345", "١٢٣٤٥٦", ["123456"]])(
+    "refuses %o without throwing",
+    (code) => {
+      expect(verifyTotp(secret, code, { time: 59 * 1000 })).toBe(null);
+    },
+  );
+
+  test("refuses replayed codes", () => {
+    const time = 1234567890 * 1000;
+    const code = totp(secret, time);
+    const step = verifyTotp(secret, code, { time });
+
+    expect(verifyTotp(secret, code, { lastStep: step, time })).toBe(null);
+  });
+});
+
+describe("Provisioning URI", () => {
+  test("describes the account for authenticator apps", () => {
+    const uri = provisioningUri({
+      account: "jake@jake.jake",
+      issuer: "Conduit",
+      secret: "JBSWY3DPEHPK3PXP",
+    });
+
+    expect(uri).toBe(
+      "otpauth://totp/Conduit%3Ajake%40jake.jake?secret=JBSWY3DPEHPK3PXP&issuer=Conduit&algorithm=SHA1&digits=6&period=30",
+    );
+  });
+});
+
+describe("Backup codes", () => {
+  test("are unique and hashed ignoring formatting", () => {
+    const codes = generateBackupCodes();
+
+    expect(new Set(codes).size).toBe(8);
+    expect(hashBackupCode(codes[0])).toBe(
+      hashBackupCode(codes[0].replace("-", "").toUpperCase()),
+    );
+  });
+});
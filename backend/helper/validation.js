@@ -0,0 +1,106 @@
+const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const types = {
+  string: (value) => typeof value === "string",
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === "boolean",
+  array: (value) => Array.isArray(value),
+  date: (value) => typeof value === "string" && !isNaN(Date.parse(value)),
+};
+
+const typeNames = {
+  string: "a string",
+  integer: "an integer",
+  boolean: "true or false",
+  array: "a list",
+  date: "a valid date",
+};
+
+const isObject = (value) => {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+};
+
+const checkString = (rules, value) => {
+  if (!value.trim()) {
+    if (rules.allowBlank) return [];
+    return rules.required ? ["can't be blank"] : ["can't be empty"];
+  }
+
+  const errors = [];
+  if (rules.minLength && value.length < rules.minLength) {
+    errors.push(`is too short (minimum is ${rules.minLength} characters)`);
+  }
+  if (rules.maxLength && value.length > rules.maxLength) {
+    errors.push(`is too long (maximum is ${rules.maxLength} characters)`);
+  }
+  if (rules.format === "email" && !emailPattern.test(value)) {
+    errors.push("is not a valid email");
+  }
+  if (rules.pattern && !rules.pattern.test(value)) {
+    errors.push(rules.message || "is invalid");
+  }
+
+  return errors;
+};
+
+const checkArray = (rules, value) => {
+  const errors = [];
+  if (rules.maxItems && value.length > rules.maxItems) {
+    errors.push(`has too many items (maximum is ${rules.maxItems})`);
+  }
+  if (!rules.items) return errors;
+
+  value.forEach((item, index) => {
+    checkField(rules.items, item).forEach((message) => {
+      errors.push(`item ${index + 1} ${message}`);
+    });
+  });
+
+  return errors;
+};
+
+// Returns the list of messages for a single value, empty when it is valid
+const checkField = (rules, value) => {
+  if (value === undefined) return rules.required ? ["can't be blank"] : [];
+  if (value === null) {
+    if (rules.nullable) return [];
+    return rules.required ? ["can't be blank"] : ["can't be null"];
+  }
+
+  const allowed = [].concat(rules.type);
+  if (!allowed.some((type) => types[type](value))) {
+    const names = allowed.map((type) => typeNames[type]).join(" or ");
+    return [`must be ${names}`];
+  }
+
+  if (rules.oneOf && !rules.oneOf.includes(value)) {
+    return [`must be one of ${rules.oneOf.join(", ")}`];
+  }
+  if (typeof value === "string") return checkString(rules, value);
+  if (Array.isArray(value)) return checkArray(rules, value);
+
+  return [];
+};
+
+// Checks `data` against a map of field rules, collecting every error at once.
+// Fields the schema doesn't know about are rejected.
+const validateFields = (fields, data) => {
+  const errors = {};
+  const values = {};
+
+  Object.keys(data).forEach((key) => {
+    if (!fields[key]) errors[key] = ["is not allowed"];
+  });
+
+  Object.entries(fields).forEach(([key, rules]) => {
+    const value = data[key] === undefined ? rules.default : data[key];
+
+    const messages = checkField(rules, value);
+    if (messages.length) errors[key] = messages;
+    else if (value !== undefined) values[key] = value;
+  });
+
+  return { errors, values };
+};
+
+module.exports = { isObject, checkField, validateFields };
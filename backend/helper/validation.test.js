@@ -0,0 +1,87 @@
+const { checkField, validateFields } = require("./validation");
+const { signUp, updateUser } = require("../schemas/users");
+const { createArticle } = require("../schemas/articles");
+
+describe("Field checks", () => {
+  test("requires values only when asked to", () => {
+    expect(checkField({ type: "string", required: true }, undefined)).toEqual([
+      "can't be blank",
+    ]);
+    expect(checkField({ type: "string", required: true }, "  ")).toEqual([
+      "can't be blank",
+    ]);
+    expect(checkField({ type: "string" }, undefined)).toEqual([]);
+  });
+
+  test("checks types", () => {
+    expect(checkField({ type: "string" }, 42)).toEqual(["must be a string"]);
+    expect(checkField({ type: ["string", "integer"] }, 42)).toEqual([]);
+    expect(checkField({ type: "date" }, "not a date")).toEqual([
+      "must be a valid date",
+    ]);
+    expect(checkField({ type: "string" }, null)).toEqual(["can't be null"]);
+    expect(checkField({ type: "string", nullable: true }, null)).toEqual([]);
+  });
+
+  test("checks lengths and allowed values", () => {
+    const rules = { type: "string", minLength: 3, maxLength: 5 };
+
+    expect(checkField(rules, "ab")).toEqual([
+      "is too short (minimum is 3 characters)",
+    ]);
+    expect(checkField(rules, "abcdef")).toEqual([
+      "is too long (maximum is 5 characters)",
+    ]);
+    expect(checkField({ type: "string", oneOf: ["a", "b"] }, "c")).toEqual([
+      "must be one of a, b",
+    ]);
+  });
+
+  test("checks every item of a list", () => {
+    const rules = { type: "array", maxItems: 2, items: { type: "string" } };
+
+    expect(checkField(rules, ["a", 1, "c"])).toEqual([
+      "has too many items (maximum is 2)",
+      "item 2 must be a string",
+    ]);
+  });
+});
+
+describe("Schema validation", () => {
+  test("collects every field error at once", () => {
+    const { errors } = validateFields(signUp.fields, {
+      username: "jake smith",
+      email: "jake",
+      password: "short",
+    });
+
+    expect(Object.keys(errors)).toEqual(["username", "email", "password"]);
+    expect(errors.email).toEqual(["is not a valid email"]);
+  });
+
+  test("rejects unknown fields", () => {
+    const { errors } = validateFields(updateUser.fields, {
+      bio: "I work at statefarm",
+      role: "admin",
+    });
+
+    expect(errors).toEqual({ role: ["is not allowed"] });
+  });
+
+  test("keeps known values and fills defaults", () => {
+    const { errors, values } = validateFields(createArticle.fields, {
+      title: "How to train your dragon",
+      description: "Ever wonder how?",
+      body: "You have to believe",
+    });
+
+    expect(errors).toEqual({});
+    expect(values.tagList).toEqual([]);
+  });
+
+  test("lets a blank password through on update", () => {
+    const { errors } = validateFields(updateUser.fields, { password: "" });
+
+    expect(errors).toEqual({});
+  });
+});
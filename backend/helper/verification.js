@@ -0,0 +1,12 @@
+const { sendMail } = require("../mail");
+const { UserToken } = require("../models");
+
+const verifyTokenHours = 48;
+
+// Mails a link to confirm the user's email, earlier links stop working
+const sendVerification = async (user) => {
+  const token = await UserToken.issue(user, "verify", verifyTokenHours);
+  await sendMail("verifyEmail", user, token);
+};
+
+module.exports = { sendVerification };
@@ -1,45 +1,31 @@
 require("dotenv").config();
 const env = process.env.NODE_ENV || "development";
 const PORT = process.env.PORT || 3001;
-const express = require("express");
-const cors = require("cors");
 const { sequelize } = require("./models");
-const errorHandler = require("./middleware/errorHandler");
-
-const usersRoutes = require("./routes/users");
-const userRoutes = require("./routes/user");
-const articlesRoutes = require("./routes/articles");
-const profilesRoutes = require("./routes/profiles");
-const tagsRoutes = require("./routes/tags");
-
-const app = express();
-app.use(cors());
-app.use(express.json());
+const { pendingMigrations } = require("./helper/migrations");
+const app = require("./app");
 
 (async () => {
   try {
-    await sequelize.sync({ alter: true });
+    await sequelize.authenticate();
     console.log(`Connection with ${env} database has been established.`);
   } catch (error) {
     console.error("Unable to connect to the database:", error);
+    process.exit(1);
   }
-})();
 
-if (process.env.NODE_ENV === "production") {
-  app.use(express.static("../frontend/dist"));
-} else {
-  app.get("/", (req, res) => res.json({ status: "API is running on /api" }));
-}
-app.use("/api/users", usersRoutes);
-app.use("/api/user", userRoutes);
-app.use("/api/articles", articlesRoutes);
-app.use("/api/profiles", profilesRoutes);
-app.use("/api/tags", tagsRoutes);
-app.get("*", (req, res) =>
-  res.status(404).json({ errors: { body: ["Not found"] } }),
-);
-app.use(errorHandler);
+  // The schema only changes through migrations, never on startup
+  const pending = await pendingMigrations(sequelize);
+  if (pending.length) {
+    console.error(
+      `Refusing to start with ${pending.length} pending migration(s):\n` +
+        pending.map((name) => `  - ${name}\n`).join("") +
+        "Run `npm run migrate -w backend` first.",
+    );
+    process.exit(1);
+  }
 
-app.listen(PORT, () =>
-  console.log(`Server running on http://localhost:${PORT}`),
-);
+  app.listen(PORT, () =>
+    console.log(`Server running on http://localhost:${PORT}`),
+  );
+})();
@@ -0,0 +1,39 @@
+const templates = require("./templates");
+
+/**
+ * Transports only need a `send({ from, to, subject, text })` method. Add new
+ * ones here, or plug one in at runtime with `setTransport`.
+ */
+const transports = {
+  console: require("./transports/console"),
+  file: require("./transports/file"),
+};
+
+let transport;
+
+const getTransport = () => {
+  if (transport) return transport;
+
+  const name = process.env.MAIL_TRANSPORT || "console";
+  if (!transports[name]) throw new Error(`Unknown mail transport "${name}"`);
+
+  transport = transports[name]();
+  return transport;
+};
+
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const sendMail = async (template, user, token) => {
+  const { subject, text } = templates[template](user, token);
+
+  return getTransport().send({
+    from: process.env.MAIL_FROM || "Conduit <no-reply@conduit.local>",
+    to: user.email,
+    subject: subject,
+    text: text,
+  });
+};
+
+module.exports = { sendMail, setTransport, transports };
@@ -0,0 +1,38 @@
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { sendMail, setTransport, transports } = require(".");
+
+const user = { username: "jake", email: "jake@jake.jake" };
+
+describe("Send mail", () => {
+  afterEach(() => setTransport(undefined));
+
+  test("renders the template for the transport", async () => {
+    const sent = [];
+    setTransport({ send: async (mail) => sent.push(mail) });
+
+    await sendMail("resetPassword", user, "abc123");
+
+    expect(sent).toHaveLength(1);
+    expect(sent[0].to).toBe("jake@jake.jake");
+    expect(sent[0].subject).toBe("Reset your password");
+    expect(sent[0].text).toContain("/#/reset-password?token=abc123");
+  });
+});
+
+describe("File transport", () => {
+  test("writes each mail to the directory", async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), "mail-"));
+    setTransport(transports.file({ directory }));
+
+    const file = await sendMail("verifyEmail", user, "xyz");
+    const mail = JSON.parse(await fs.readFile(file, "utf8"));
+
+    expect(path.dirname(file)).toBe(directory);
+    expect(mail.text).toContain("/#/verify-email?token=xyz");
+
+    setTransport(undefined);
+    await fs.rm(directory, { recursive: true });
+  });
+});
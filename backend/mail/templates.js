@@ -0,0 +1,25 @@
+const appURL = () => process.env.APP_URL || "http://localhost:3000";
+
+const verifyEmail = ({ username }, token) => ({
+  subject: "Confirm your email",
+  text: [
+    `Hi ${username},`,
+    "",
+    "Confirm your email address by opening this link:",
+    `${appURL()}/#/verify-email?token=${token}`,
+  ].join("\n"),
+});
+
+const resetPassword = ({ username }, token) => ({
+  subject: "Reset your password",
+  text: [
+    `Hi ${username},`,
+    "",
+    "Someone asked to reset your password. If it was you, open this link:",
+    `${appURL()}/#/reset-password?token=${token}`,
+    "",
+    "Otherwise you can ignore this email.",
+  ].join("\n"),
+});
+
+module.exports = { verifyEmail, resetPassword };
@@ -0,0 +1,10 @@
+// Prints mail to the terminal, handy while developing
+const consoleTransport = () => ({
+  async send({ from, to, subject, text }) {
+    console.info(
+      `\n✉ From: ${from}\n  To: ${to}\n  Subject: ${subject}\n\n${text}\n`,
+    );
+  },
+});
+
+module.exports = consoleTransport;
@@ -0,0 +1,19 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// Writes every mail as a JSON file, so tests and local setups can read them
+const fileTransport = ({
+  directory = process.env.MAIL_DIR || ".mail",
+} = {}) => ({
+  async send(mail) {
+    await fs.mkdir(directory, { recursive: true });
+
+    const name = `${Date.now()}-${mail.to.replace(/[^\w.@-]/g, "_")}.json`;
+    const file = path.join(directory, name);
+    await fs.writeFile(file, JSON.stringify(mail, null, 2));
+
+    return file;
+  },
+});
+
+module.exports = fileTransport;
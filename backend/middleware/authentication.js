@@ -1,6 +1,10 @@
-const { NotFoundError } = require("../helper/customErrors");
+const {
+  ForbiddenError,
+  NotFoundError,
+  UnauthorizedError,
+} = require("../helper/customErrors");
 const { jwtVerify } = require("../helper/jwt");
-const { User } = require("../models");
+const { RefreshToken, User } = require("../models");
 
 const verifyToken = async (req, res, next) => {
   try {
@@ -8,19 +12,26 @@ const verifyToken = async (req, res, next) => {
     if (!headers.authorization) return next();
 
     const token = headers.authorization.split(" ")[1];
-    if (!token) throw new SyntaxError("Token missing or malformed");
+    if (!token) throw new UnauthorizedError("Token missing or malformed");
 
     const userVerified = await jwtVerify(token);
-    if (!userVerified) throw new Error("Invalid Token");
+    if (!userVerified.sid) throw new UnauthorizedError("Invalid token");
 
-    req.loggedUser = await User.findOne({
-      attributes: { exclude: ["email"] },
-      where: { email: userVerified.email },
-    });
+    // Found through the session, the email in the token may have changed
+    const userId = await RefreshToken.activeUserId(userVerified.sid);
+    if (!userId) throw new UnauthorizedError("Session has ended");
 
-    if (!req.loggedUser) next(new NotFoundError("User"));
+    req.loggedUser = await User.findByPk(userId);
 
-    headers.email = userVerified.email;
+    if (!req.loggedUser) throw new NotFoundError("User");
+    if (req.loggedUser.suspendedAt) {
+      throw new ForbiddenError("User", "Your account is suspended");
+    }
+
+    // The email is kept apart from the user, who can end up in responses
+    headers.email = req.loggedUser.email;
+    delete req.loggedUser.dataValues.email;
+    req.sessionId = userVerified.sid;
     req.loggedUser.dataValues.token = token;
 
     next();
@@ -0,0 +1,18 @@
+const { ForbiddenError, UnauthorizedError } = require("../helper/customErrors");
+const { hasPermission } = require("../helper/permissions");
+
+// Use after `verifyToken` to limit a route to roles with `permission`.
+const requirePermission = (permission) => (req, res, next) => {
+  const { loggedUser } = req;
+  if (!loggedUser) return next(new UnauthorizedError());
+
+  if (!hasPermission(loggedUser, permission)) {
+    return next(
+      new ForbiddenError(permission, `You need the ${permission} permission`),
+    );
+  }
+
+  next();
+};
+
+module.exports = requirePermission;
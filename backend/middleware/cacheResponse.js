@@ -0,0 +1,37 @@
+const { responseCache } = require("../helper/cache");
+
+/**
+ * Serves signed out requests from `responseCache`, storing their successful
+ * answers under the tags `tagsOf(req, body)` returns. Signed in users get
+ * personalized fields, so they skip the cache but still revalidate with the
+ * ETag. Use after `verifyToken`.
+ */
+const cacheResponse = (tagsOf) => (req, res, next) => {
+  // Browsers keep the answer but ask with If-None-Match before using it
+  res.set("Cache-Control", "private, no-cache");
+  res.vary("Authorization");
+
+  if (req.loggedUser) return next();
+
+  const key = req.originalUrl;
+  const cached = responseCache.get(key);
+  if (cached) {
+    res.set("X-Cache", "HIT");
+    res.set("ETag", cached.etag);
+    return res.type("json").send(cached.body);
+  }
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode === 200) {
+      responseCache.set(key, JSON.stringify(body), tagsOf(req, body));
+    }
+    res.set("X-Cache", "MISS");
+
+    return json(body);
+  };
+
+  next();
+};
+
+module.exports = cacheResponse;
@@ -0,0 +1,176 @@
+// @vitest-environment node
+const http = require("http");
+const {
+  request: sendRequest,
+  signUp,
+  startServer,
+  stopServer,
+} = require("../test/server");
+const { responseCache } = require("../helper/cache");
+
+let baseUrl;
+let jake;
+let anna;
+
+// fetch() adds "Cache-Control: no-cache" to requests with If-None-Match,
+// which skips revalidation, so these go through `http` like a browser cache
+const revalidate = (url, etag, token) =>
+  new Promise((resolve, reject) => {
+    const headers = {
+      "if-none-match": etag,
+      ...(token && { authorization: `Token ${token}` }),
+    };
+
+    http
+      .get(`${baseUrl}${url}`, { headers }, (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      })
+      .on("error", reject);
+  });
+
+const request = async (method, url, options) => {
+  const response = await sendRequest(method, url, options);
+
+  return {
+    ...response,
+    etag: response.headers.get("etag"),
+    cache: response.headers.get("x-cache"),
+  };
+};
+
+beforeAll(async () => {
+  baseUrl = await startServer();
+
+  jake = await signUp("jake");
+  anna = await signUp("anna");
+  await request("POST", "/articles", {
+    body: {
+      article: {
+        title: "Dragons",
+        description: "About dragons",
+        body: "Dragons",
+        tagList: ["dragons"],
+      },
+    },
+    token: jake.token,
+  });
+});
+
+beforeEach(() => responseCache.clear());
+
+afterAll(stopServer);
+
+describe("ETags", () => {
+  test("a matching If-None-Match gets a 304", async () => {
+    const { status, etag } = await request("GET", "/tags");
+    expect(status).toBe(200);
+    expect(etag).toMatch(/^"/);
+
+    expect(await revalidate("/tags", etag)).toBe(304);
+    expect(await revalidate("/tags", '"stale"')).toBe(200);
+  });
+
+  test("signed in answers revalidate too", async () => {
+    const { etag, cache } = await request("GET", "/articles/dragons", {
+      token: anna.token,
+    });
+    expect(cache).toBeNull();
+
+    expect(await revalidate("/articles/dragons", etag, anna.token)).toBe(304);
+  });
+});
+
+describe("Signed out reads are cached", () => {
+  test.each(["/tags", "/articles", "/articles/dragons", "/profiles/jake"])(
+    "%s",
+    async (url) => {
+      const first = await request("GET", url);
+      const second = await request("GET", url);
+
+      expect([first.cache, second.cache]).toEqual(["MISS", "HIT"]);
+      expect(second.data).toEqual(first.data);
+      expect(second.etag).toBe(first.etag);
+    },
+  );
+
+  test("errors aren't", async () => {
+    await request("GET", "/articles/nothing-here");
+    const { status, cache } = await request("GET", "/articles/nothing-here");
+
+    expect([status, cache]).toEqual([404, "MISS"]);
+  });
+});
+
+describe("Writes invalidate", () => {
+  test("favorites", async () => {
+    await request("GET", "/articles");
+    await request("GET", "/articles/dragons");
+
+    await request("POST", "/articles/dragons/favorite", { token: anna.token });
+
+    const list = await request("GET", "/articles");
+    const article = await request("GET", "/articles/dragons");
+    expect(list.cache).toBe("MISS");
+    expect(list.data.articles[0].favoritesCount).toBe(1);
+    expect(article.data.article.favoritesCount).toBe(1);
+  });
+
+  test("new articles and tags", async () => {
+    await request("GET", "/tags");
+    await request("GET", "/articles?limit=10");
+
+    await request("POST", "/articles", {
+      body: {
+        article: {
+          title: "Training",
+          description: "How to",
+          body: "Believe",
+          tagList: ["training"],
+        },
+      },
+      token: jake.token,
+    });
+
+    expect((await request("GET", "/tags")).data.tags).toContain("training");
+    const list = await request("GET", "/articles?limit=10");
+    expect(list.data.articlesCount).toBe(2);
+  });
+
+  test("updates and deletes", async () => {
+    await request("GET", "/articles/training");
+
+    await request("PUT", "/articles/training", {
+      body: { article: { body: "Believe harder" } },
+      token: jake.token,
+    });
+    const updated = await request("GET", "/articles/training");
+    expect(updated.data.article.body).toBe("Believe harder");
+
+    await request("DELETE", "/articles/training", { token: jake.token });
+    expect((await request("GET", "/articles/training")).status).toBe(404);
+  });
+
+  test("follows change the profile and its articles", async () => {
+    await request("GET", "/profiles/jake");
+    await request("GET", "/articles/dragons");
+
+    await request("POST", "/profiles/jake/follow", { token: anna.token });
+
+    const profile = await request("GET", "/profiles/jake");
+    const article = await request("GET", "/articles/dragons");
+    expect(profile.data.profile.followersCount).toBe(1);
+    expect(article.data.article.author.followersCount).toBe(1);
+  });
+
+  test("comments", async () => {
+    await request("GET", "/articles/dragons");
+
+    await request("POST", "/articles/dragons/comments", {
+      body: { comment: { body: "Nice" } },
+      token: anna.token,
+    });
+
+    expect((await request("GET", "/articles/dragons")).cache).toBe("MISS");
+  });
+});
@@ -1,34 +1,31 @@
-const {
-  ForbiddenError,
-  NotFoundError,
-  UnauthorizedError,
-  ValidationError,
-} = require("../helper/customErrors");
+const { MyError } = require("../helper/customErrors");
 
-const errorHandler = (error, req, res, next) => {
-  console.log("\x1b[31m%s\x1b[0m", "▼▼▼▼▼▼▼▼▼▼▼▼▼▼▼▼▼▼▼▼▼▼▼▼▼▼▼▼▼▼▼▼▼▼▼▼▼▼▼▼");
+const internalError = {
+  code: "internal_error",
+  errors: { body: ["Something went wrong, please try again later"] },
+};
 
-  if (error instanceof UnauthorizedError) {
-    console.log(error);
+const errorHandler = (error, req, res, next) => {
+  // Streaming responses (SSE) can't switch to an error body anymore
+  if (res.headersSent) return next(error);
 
-    res.status(401).json({ errors: { body: [error.message] } });
-  } else if (error instanceof ForbiddenError) {
-    console.log(error);
+  if (error instanceof MyError) {
+    if (error.retryAfter) res.set("Retry-After", String(error.retryAfter));
 
-    res.status(403).json({ errors: { body: [error.message] } });
-  } else if (error instanceof NotFoundError) {
-    console.log(error);
+    return res
+      .status(error.status)
+      .json({ code: error.code, errors: error.errors });
+  }
 
-    res.status(404).json({ errors: { body: [error.message] } });
-  } else if (error instanceof ValidationError) {
-    console.log(error);
-    res.status(422).json({ errors: { body: [error.message] } });
-  } else {
-    console.log(error);
-    res.status(500).json({ errors: { body: [error.message] } });
+  // Client errors raised by express itself, like a malformed JSON body
+  if (error.expose && error.status < 500) {
+    return res
+      .status(error.status)
+      .json({ code: "bad_request", errors: { body: [error.message] } });
   }
 
-  console.log("\x1b[31m%s\x1b[0m", "▲▲▲▲▲▲▲▲▲▲▲▲▲▲▲▲▲▲▲▲▲▲▲▲▲▲▲▲▲▲▲▲▲▲▲▲▲▲▲▲");
+  console.error(`${req.method} ${req.originalUrl}`, error);
+  res.status(500).json(internalError);
 };
 
 module.exports = errorHandler;
@@ -0,0 +1,40 @@
+const multer = require("multer");
+const {
+  FieldRequiredError,
+  UnauthorizedError,
+  ValidationError,
+} = require("../helper/customErrors");
+const { maxFileSize } = require("../helper/images");
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxFileSize, files: 1 },
+}).single("image");
+
+const megabytes = maxFileSize / 1024 / 1024;
+
+/**
+ * Reads the `image` file of a multipart body into `req.file`. Use after
+ * `verifyToken`, signed out requests are turned away before their body is read.
+ */
+const imageUpload = (req, res, next) => {
+  if (!req.loggedUser) return next(new UnauthorizedError());
+
+  upload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const message =
+        error.code === "LIMIT_FILE_SIZE"
+          ? `is too large (maximum is ${megabytes} MB)`
+          : "must be the only file in the form";
+
+      return next(new ValidationError(message, "image"));
+    }
+    if (error) return next(error);
+
+    if (!req.file) return next(new FieldRequiredError("image"));
+
+    next();
+  });
+};
+
+module.exports = imageUpload;
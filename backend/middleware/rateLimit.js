@@ -0,0 +1,29 @@
+const { TooManyRequestsError } = require("../helper/customErrors");
+const { createRateLimiter } = require("../helper/throttle");
+
+/**
+ * Limits each user, or each IP when signed out, to `max` requests every
+ * `windowMs`. Use after `verifyToken` so `req.loggedUser` is known.
+ */
+const rateLimit = ({ max = 30, windowMs = 60 * 1000 } = {}) => {
+  const limiter = createRateLimiter({ max, windowMs });
+
+  return (req, res, next) => {
+    const { loggedUser } = req;
+    const key = loggedUser ? `user:${loggedUser.id}` : `ip:${req.ip}`;
+
+    const { allowed, remaining, retryAfter } = limiter.hit(key);
+
+    res.set("RateLimit-Limit", String(max));
+    res.set("RateLimit-Remaining", String(remaining));
+    res.set("RateLimit-Reset", String(retryAfter));
+
+    if (!allowed) {
+      return next(new TooManyRequestsError(retryAfter, "Too many requests"));
+    }
+
+    next();
+  };
+};
+
+module.exports = rateLimit;
@@ -0,0 +1,30 @@
+const { Article, ArticleSlug } = require("../models");
+
+// Answers requests made with an article's previous slug with a redirect to
+// the same route under its current slug. Write requests get a 308 so the
+// client repeats them with the same method and body.
+const slugRedirect = async (req, res, next, slug) => {
+  try {
+    const article = await Article.findOne({
+      attributes: ["id"],
+      where: { slug: slug },
+    });
+    if (article) return next();
+
+    const previous = await ArticleSlug.findByPk(slug, {
+      include: { model: Article, attributes: ["slug"] },
+    });
+    if (!previous) return next();
+
+    const path = req.path.replace(`/${slug}`, `/${previous.Article.slug}`);
+    const queryIndex = req.originalUrl.indexOf("?");
+    const query = queryIndex !== -1 ? req.originalUrl.slice(queryIndex) : "";
+    const status = ["GET", "HEAD"].includes(req.method) ? 301 : 308;
+
+    res.redirect(status, `${req.baseUrl}${path}${query}`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = slugRedirect;
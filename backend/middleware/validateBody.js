@@ -0,0 +1,37 @@
+const { SchemaValidationError } = require("../helper/customErrors");
+const { isObject, validateFields } = require("../helper/validation");
+
+/**
+ * Validates `req.body[schema.wrapper]` against `schema.fields` and replaces it
+ * with the known fields only, so controllers never see unchecked input.
+ * A schema marked `optional` lets requests without a body through.
+ */
+const validateBody =
+  ({ wrapper, fields, optional = false }) =>
+  (req, res, next) => {
+    const body = req.body || {};
+
+    const errors = {};
+    Object.keys(body).forEach((key) => {
+      if (key !== wrapper) errors[key] = ["is not allowed"];
+    });
+
+    const data = body[wrapper];
+    if (data === undefined && optional) {
+      req.body = { [wrapper]: {} };
+    } else if (!isObject(data)) {
+      errors[wrapper] = ["must be an object"];
+    } else {
+      const result = validateFields(fields, data);
+      Object.assign(errors, result.errors);
+      req.body = { [wrapper]: result.values };
+    }
+
+    if (Object.keys(errors).length) {
+      return next(new SchemaValidationError(errors));
+    }
+
+    next();
+  };
+
+module.exports = validateBody;
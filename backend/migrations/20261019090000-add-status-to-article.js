@@ -0,0 +1,23 @@
+"use strict";
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const columns = await queryInterface.describeTable("Articles");
+
+    if (!columns.status) {
+      await queryInterface.addColumn("Articles", "status", {
+        type: Sequelize.STRING,
+        allowNull: false,
+        defaultValue: "published",
+      });
+    }
+    if (!columns.publishAt) {
+      await queryInterface.addColumn("Articles", "publishAt", {
+        type: Sequelize.DATE,
+      });
+    }
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn("Articles", "publishAt");
+    await queryInterface.removeColumn("Articles", "status");
+  },
+};
@@ -0,0 +1,45 @@
+"use strict";
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tables = await queryInterface.showAllTables();
+    if (tables.includes("Revisions")) return;
+
+    await queryInterface.createTable("Revisions", {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      title: {
+        type: Sequelize.STRING,
+      },
+      description: {
+        type: Sequelize.TEXT,
+      },
+      body: {
+        type: Sequelize.TEXT,
+      },
+      tagList: {
+        type: Sequelize.JSON,
+      },
+      articleId: {
+        type: Sequelize.INTEGER,
+        references: { model: "Articles", key: "id" },
+        onDelete: "CASCADE",
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        references: { model: "Users", key: "id" },
+        onDelete: "SET NULL",
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable("Revisions");
+  },
+};
@@ -0,0 +1,27 @@
+"use strict";
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tables = await queryInterface.showAllTables();
+    if (tables.includes("ArticleSlugs")) return;
+
+    await queryInterface.createTable("ArticleSlugs", {
+      slug: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        primaryKey: true,
+      },
+      articleId: {
+        type: Sequelize.INTEGER,
+        references: { model: "Articles", key: "id" },
+        onDelete: "CASCADE",
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable("ArticleSlugs");
+  },
+};
@@ -0,0 +1,16 @@
+"use strict";
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const columns = await queryInterface.describeTable("Comments");
+    if (columns.parentId) return;
+
+    await queryInterface.addColumn("Comments", "parentId", {
+      type: Sequelize.INTEGER,
+      references: { model: "Comments", key: "id" },
+      onDelete: "SET NULL",
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn("Comments", "parentId");
+  },
+};
@@ -0,0 +1,31 @@
+"use strict";
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tables = await queryInterface.showAllTables();
+    if (tables.includes("CommentEdits")) return;
+
+    await queryInterface.createTable("CommentEdits", {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      body: {
+        type: Sequelize.TEXT,
+      },
+      commentId: {
+        type: Sequelize.INTEGER,
+        references: { model: "Comments", key: "id" },
+        onDelete: "CASCADE",
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable("CommentEdits");
+  },
+};
@@ -0,0 +1,49 @@
+"use strict";
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tables = await queryInterface.showAllTables();
+    if (tables.includes("RefreshTokens")) return;
+
+    await queryInterface.createTable("RefreshTokens", {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      tokenHash: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true,
+      },
+      family: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      expiresAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      revokedAt: {
+        type: Sequelize.DATE,
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        references: { model: "Users", key: "id" },
+        onDelete: "CASCADE",
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    });
+    await queryInterface.addIndex("RefreshTokens", ["family"]);
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable("RefreshTokens");
+  },
+};
@@ -0,0 +1,16 @@
+"use strict";
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const columns = await queryInterface.describeTable("Users");
+    if (columns.role) return;
+
+    await queryInterface.addColumn("Users", "role", {
+      type: Sequelize.STRING,
+      allowNull: false,
+      defaultValue: "user",
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn("Users", "role");
+  },
+};
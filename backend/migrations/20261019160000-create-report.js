@@ -0,0 +1,61 @@
+"use strict";
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tables = await queryInterface.showAllTables();
+    if (tables.includes("Reports")) return;
+
+    await queryInterface.createTable("Reports", {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      targetType: {
+        allowNull: false,
+        type: Sequelize.STRING,
+      },
+      targetId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+      },
+      reason: {
+        allowNull: false,
+        type: Sequelize.TEXT,
+      },
+      status: {
+        allowNull: false,
+        type: Sequelize.STRING,
+        defaultValue: "open",
+      },
+      action: {
+        type: Sequelize.STRING,
+      },
+      resolvedAt: {
+        type: Sequelize.DATE,
+      },
+      reporterId: {
+        type: Sequelize.INTEGER,
+        references: { model: "Users", key: "id" },
+        onDelete: "CASCADE",
+      },
+      moderatorId: {
+        type: Sequelize.INTEGER,
+        references: { model: "Users", key: "id" },
+        onDelete: "SET NULL",
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    });
+    await queryInterface.addIndex("Reports", ["targetType", "targetId"]);
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable("Reports");
+  },
+};
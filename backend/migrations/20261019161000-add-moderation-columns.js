@@ -0,0 +1,22 @@
+"use strict";
+const moderationColumns = [
+  ["Articles", "hiddenAt"],
+  ["Comments", "hiddenAt"],
+  ["Users", "suspendedAt"],
+];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const [table, column] of moderationColumns) {
+      const columns = await queryInterface.describeTable(table);
+      if (columns[column]) continue;
+
+      await queryInterface.addColumn(table, column, { type: Sequelize.DATE });
+    }
+  },
+  async down(queryInterface, Sequelize) {
+    for (const [table, column] of [...moderationColumns].reverse()) {
+      await queryInterface.removeColumn(table, column);
+    }
+  },
+};
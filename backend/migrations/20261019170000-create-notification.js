@@ -0,0 +1,55 @@
+"use strict";
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tables = await queryInterface.showAllTables();
+    if (tables.includes("Notifications")) return;
+
+    await queryInterface.createTable("Notifications", {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      type: {
+        allowNull: false,
+        type: Sequelize.STRING,
+      },
+      readAt: {
+        type: Sequelize.DATE,
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        references: { model: "Users", key: "id" },
+        onDelete: "CASCADE",
+      },
+      actorId: {
+        type: Sequelize.INTEGER,
+        references: { model: "Users", key: "id" },
+        onDelete: "CASCADE",
+      },
+      articleId: {
+        type: Sequelize.INTEGER,
+        references: { model: "Articles", key: "id" },
+        onDelete: "CASCADE",
+      },
+      commentId: {
+        type: Sequelize.INTEGER,
+        references: { model: "Comments", key: "id" },
+        onDelete: "CASCADE",
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    });
+    await queryInterface.addIndex("Notifications", ["userId", "readAt"]);
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable("Notifications");
+  },
+};
@@ -0,0 +1,56 @@
+"use strict";
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tables = await queryInterface.showAllTables();
+    if (!tables.includes("UserTokens")) {
+      await queryInterface.createTable("UserTokens", {
+        id: {
+          allowNull: false,
+          autoIncrement: true,
+          primaryKey: true,
+          type: Sequelize.INTEGER,
+        },
+        tokenHash: {
+          type: Sequelize.STRING,
+          allowNull: false,
+          unique: true,
+        },
+        purpose: {
+          type: Sequelize.STRING,
+          allowNull: false,
+        },
+        expiresAt: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+        usedAt: {
+          type: Sequelize.DATE,
+        },
+        userId: {
+          type: Sequelize.INTEGER,
+          references: { model: "Users", key: "id" },
+          onDelete: "CASCADE",
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+      });
+    }
+
+    const columns = await queryInterface.describeTable("Users");
+    if (columns.emailVerifiedAt) return;
+
+    await queryInterface.addColumn("Users", "emailVerifiedAt", {
+      type: Sequelize.DATE,
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn("Users", "emailVerifiedAt");
+    await queryInterface.dropTable("UserTokens");
+  },
+};
@@ -0,0 +1,24 @@
+"use strict";
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const twoFactorColumns = {
+      totpSecret: Sequelize.STRING,
+      totpEnabledAt: Sequelize.DATE,
+      totpLastStep: Sequelize.INTEGER,
+      totpBackupCodes: Sequelize.JSON,
+    };
+    const columns = await queryInterface.describeTable("Users");
+
+    for (const [column, type] of Object.entries(twoFactorColumns)) {
+      if (columns[column]) continue;
+
+      await queryInterface.addColumn("Users", column, { type });
+    }
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn("Users", "totpBackupCodes");
+    await queryInterface.removeColumn("Users", "totpLastStep");
+    await queryInterface.removeColumn("Users", "totpEnabledAt");
+    await queryInterface.removeColumn("Users", "totpSecret");
+  },
+};
@@ -0,0 +1,28 @@
+"use strict";
+// Until now only `sync` created these, databases it built already have them
+const ownerKeys = [
+  ["Articles", "userId", "Users"],
+  ["Comments", "articleId", "Articles"],
+  ["Comments", "userId", "Users"],
+];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const [table, column, parent] of ownerKeys) {
+      const columns = await queryInterface.describeTable(table);
+      if (columns[column]) continue;
+
+      await queryInterface.addColumn(table, column, {
+        type: Sequelize.INTEGER,
+        references: { model: parent, key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      });
+    }
+  },
+  async down(queryInterface, Sequelize) {
+    for (const [table, column] of [...ownerKeys].reverse()) {
+      await queryInterface.removeColumn(table, column);
+    }
+  },
+};
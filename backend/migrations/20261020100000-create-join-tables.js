@@ -0,0 +1,41 @@
+"use strict";
+// Until now only `sync` created these, databases it built already have them
+const foreignKey = (type, model, key = "id") => ({
+  type: type,
+  allowNull: false,
+  primaryKey: true,
+  references: { model: model, key: key },
+  onUpdate: "CASCADE",
+  onDelete: "CASCADE",
+});
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tables = await queryInterface.showAllTables();
+    const { INTEGER, STRING } = Sequelize;
+
+    if (!tables.includes("Favorites")) {
+      await queryInterface.createTable("Favorites", {
+        articleId: foreignKey(INTEGER, "Articles"),
+        userId: foreignKey(INTEGER, "Users"),
+      });
+    }
+    if (!tables.includes("Followers")) {
+      await queryInterface.createTable("Followers", {
+        userId: foreignKey(INTEGER, "Users"),
+        followerId: foreignKey(INTEGER, "Users"),
+      });
+    }
+    if (!tables.includes("TagList")) {
+      await queryInterface.createTable("TagList", {
+        articleId: foreignKey(INTEGER, "Articles"),
+        tagName: foreignKey(STRING, "Tags", "name"),
+      });
+    }
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable("TagList");
+    await queryInterface.dropTable("Followers");
+    await queryInterface.dropTable("Favorites");
+  },
+};
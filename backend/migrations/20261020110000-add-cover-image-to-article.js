@@ -0,0 +1,11 @@
+"use strict";
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn("Articles", "coverImage", {
+      type: Sequelize.TEXT,
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn("Articles", "coverImage");
+  },
+};
@@ -0,0 +1,53 @@
+"use strict";
+
+// Same rules as `normalizeTag` in helper/tags.js when this was written
+const normalize = (tag) =>
+  tag
+    .normalize("NFKC")
+    .toLowerCase()
+    .trim()
+    .replace(/[\s_]+/g, "-")
+    .replace(/[^\p{L}\p{N}+#.-]/gu, "")
+    .replace(/-{2,}/g, "-")
+    .replace(/^[-.]+|[-.]+$/g, "");
+
+module.exports = {
+  // Merges case and spelling variants into one tag, keeping every article's
+  // tags. Tags with nothing left after normalizing are removed.
+  async up(queryInterface) {
+    const tags = await queryInterface.select(null, "Tags");
+    const names = new Set(tags.map(({ name }) => name));
+
+    for (const { name } of tags) {
+      const normalized = normalize(name);
+      if (normalized === name) continue;
+
+      if (normalized && !names.has(normalized)) {
+        await queryInterface.bulkInsert("Tags", [{ name: normalized }]);
+        names.add(normalized);
+      }
+
+      const rows = await queryInterface.select(null, "TagList", {
+        where: { tagName: name },
+      });
+      const tagged = await queryInterface.select(null, "TagList", {
+        where: { tagName: normalized },
+      });
+      const taggedIds = new Set(tagged.map(({ articleId }) => articleId));
+
+      for (const { articleId } of rows) {
+        if (normalized && !taggedIds.has(articleId)) {
+          await queryInterface.bulkInsert("TagList", [
+            { articleId: articleId, tagName: normalized },
+          ]);
+          taggedIds.add(articleId);
+        }
+      }
+
+      await queryInterface.bulkDelete("TagList", { tagName: name });
+      await queryInterface.bulkDelete("Tags", { name: name });
+    }
+  },
+  // The original spellings aren't kept, there is nothing to undo
+  async down() {},
+};
@@ -1,5 +1,6 @@
 "use strict";
 const { Model } = require("sequelize");
+const { slugify } = require("../helper/helpers");
 module.exports = (sequelize, DataTypes) => {
   class Article extends Model {
     /**
@@ -7,7 +8,7 @@ module.exports = (sequelize, DataTypes) => {
      * This method is not a part of Sequelize lifecycle.
      * The `models/index` file will call this method automatically.
      */
-    static associate({ User, Tag, Comment }) {
+    static associate({ User, Tag, Comment, Revision, ArticleSlug }) {
       // define association here
 
       // Users
@@ -16,6 +17,16 @@ module.exports = (sequelize, DataTypes) => {
       // Comments
       this.hasMany(Comment, { foreignKey: "articleId", onDelete: "cascade" });
 
+      // Revisions
+      this.hasMany(Revision, { foreignKey: "articleId", onDelete: "cascade" });
+
+      // Slug history
+      this.hasMany(ArticleSlug, {
+        as: "slugHistory",
+        foreignKey: "articleId",
+        onDelete: "cascade",
+      });
+
       // Tag list
       this.belongsToMany(Tag, {
         through: "TagList",
@@ -33,6 +44,39 @@ module.exports = (sequelize, DataTypes) => {
       });
     }
 
+    /**
+     * Finds a slug for `title` that no other article uses or used before,
+     * appending `-2`, `-3`... when the plain slug is taken.
+     */
+    static async uniqueSlug(title, article) {
+      const { ArticleSlug } = this.sequelize.models;
+      const base = slugify(title) || "article";
+
+      for (let suffix = 1; ; suffix++) {
+        const slug = suffix > 1 ? `${base}-${suffix}` : base;
+
+        const current = await this.findOne({ where: { slug: slug } });
+        const previous = await ArticleSlug.findByPk(slug);
+        const owner = current?.id ?? previous?.articleId;
+
+        if (!owner || owner === article?.id) return slug;
+      }
+    }
+
+    /**
+     * Moves the article to a new slug for `title`, keeping the old one in
+     * the slug history so links to it can be redirected.
+     */
+    async changeSlug(title) {
+      const { ArticleSlug } = this.sequelize.models;
+      const slug = await Article.uniqueSlug(title, this);
+      if (slug === this.slug) return;
+
+      await ArticleSlug.destroy({ where: { slug: slug } });
+      await ArticleSlug.create({ slug: this.slug, articleId: this.id });
+      this.slug = slug;
+    }
+
     toJSON() {
       return {
         ...this.get(),
@@ -47,6 +91,14 @@ module.exports = (sequelize, DataTypes) => {
       title: DataTypes.STRING,
       description: DataTypes.TEXT,
       body: DataTypes.TEXT,
+      coverImage: DataTypes.TEXT,
+      status: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: "published",
+      },
+      publishAt: DataTypes.DATE,
+      hiddenAt: DataTypes.DATE,
     },
     {
       sequelize,
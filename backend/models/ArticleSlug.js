@@ -0,0 +1,32 @@
+"use strict";
+const { Model } = require("sequelize");
+module.exports = (sequelize, DataTypes) => {
+  class ArticleSlug extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate({ Article }) {
+      // define association here
+
+      // Slug history
+      this.belongsTo(Article, { foreignKey: "articleId" });
+    }
+  }
+  ArticleSlug.init(
+    {
+      slug: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        primaryKey: true,
+      },
+    },
+    {
+      sequelize,
+      modelName: "ArticleSlug",
+      updatedAt: false,
+    },
+  );
+  return ArticleSlug;
+};
@@ -7,12 +7,27 @@ module.exports = (sequelize, DataTypes) => {
      * This method is not a part of Sequelize lifecycle.
      * The `models/index` file will call this method automatically.
      */
-    static associate({ User, Article }) {
+    static associate({ User, Article, Comment, CommentEdit }) {
       // define association here
 
       // Comments
       this.belongsTo(Article, { foreignKey: "articleId" });
       this.belongsTo(User, { as: "author", foreignKey: "userId" });
+
+      // Replies - kept as top level comments when their parent is deleted
+      this.belongsTo(Comment, { as: "parent", foreignKey: "parentId" });
+      this.hasMany(Comment, {
+        as: "replies",
+        foreignKey: "parentId",
+        onDelete: "SET NULL",
+      });
+
+      // Edit history
+      this.hasMany(CommentEdit, {
+        as: "edits",
+        foreignKey: "commentId",
+        onDelete: "cascade",
+      });
     }
 
     toJSON() {
@@ -32,6 +47,7 @@ module.exports = (sequelize, DataTypes) => {
         type: DataTypes.INTEGER,
       },
       body: DataTypes.TEXT,
+      hiddenAt: DataTypes.DATE,
     },
     {
       sequelize,
@@ -0,0 +1,36 @@
+"use strict";
+const { Model } = require("sequelize");
+module.exports = (sequelize, DataTypes) => {
+  class CommentEdit extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate({ Comment }) {
+      // define association here
+
+      // Comment edits
+      this.belongsTo(Comment, { foreignKey: "commentId" });
+    }
+
+    toJSON() {
+      return {
+        ...this.get(),
+        id: undefined,
+        commentId: undefined,
+      };
+    }
+  }
+  CommentEdit.init(
+    {
+      body: DataTypes.TEXT,
+    },
+    {
+      sequelize,
+      modelName: "CommentEdit",
+      updatedAt: false,
+    },
+  );
+  return CommentEdit;
+};
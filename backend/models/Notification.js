@@ -0,0 +1,80 @@
+"use strict";
+const { Model } = require("sequelize");
+module.exports = (sequelize, DataTypes) => {
+  class Notification extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate({ Article, Comment, User }) {
+      // define association here
+
+      // Recipient and the user who caused it
+      this.belongsTo(User, { foreignKey: "userId", onDelete: "CASCADE" });
+      this.belongsTo(User, {
+        as: "actor",
+        foreignKey: "actorId",
+        onDelete: "CASCADE",
+      });
+
+      // What it is about
+      this.belongsTo(Article, {
+        as: "article",
+        foreignKey: "articleId",
+        onDelete: "CASCADE",
+      });
+      this.belongsTo(Comment, {
+        as: "comment",
+        foreignKey: "commentId",
+        onDelete: "CASCADE",
+      });
+    }
+
+    /**
+     * Notifies `recipient` that `actor` did something. Users aren't notified
+     * about their own actions and an unread notification isn't repeated, so
+     * toggling a follow or favorite doesn't flood the recipient.
+     */
+    static async notify(type, { recipient, actor, article, comment }) {
+      if (!recipient || !recipient.id || recipient.id === actor.id) return null;
+
+      const [notification] = await this.findOrCreate({
+        where: {
+          type: type,
+          readAt: null,
+          userId: recipient.id,
+          actorId: actor.id,
+          articleId: article ? article.id : null,
+          commentId: comment ? comment.id : null,
+        },
+      });
+
+      return notification;
+    }
+
+    toJSON() {
+      return {
+        ...this.get(),
+        userId: undefined,
+        actorId: undefined,
+        articleId: undefined,
+        commentId: undefined,
+      };
+    }
+  }
+  Notification.init(
+    {
+      type: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      readAt: DataTypes.DATE,
+    },
+    {
+      sequelize,
+      modelName: "Notification",
+    },
+  );
+  return Notification;
+};
@@ -0,0 +1,92 @@
+"use strict";
+const crypto = require("crypto");
+const { Model } = require("sequelize");
+module.exports = (sequelize, DataTypes) => {
+  class RefreshToken extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate({ User }) {
+      // define association here
+
+      // Users
+      this.belongsTo(User, { foreignKey: "userId", onDelete: "cascade" });
+    }
+
+    static hash(token) {
+      return crypto.createHash("sha256").update(token).digest("hex");
+    }
+
+    /**
+     * Creates a new refresh token for `user`. Tokens rotated from the same
+     * login share a `family`, which is also the session id of the access
+     * tokens signed alongside them.
+     */
+    static async issue(user, family = crypto.randomUUID()) {
+      const token = crypto.randomBytes(48).toString("base64url");
+      const days = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+      await this.create({
+        tokenHash: this.hash(token),
+        family: family,
+        expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+        userId: user.id,
+      });
+
+      return { refreshToken: token, sessionId: family };
+    }
+
+    static findByToken(token) {
+      return this.findOne({ where: { tokenHash: this.hash(token) } });
+    }
+
+    // The user signed in to a session that hasn't ended, or null
+    static async activeUserId(family) {
+      const activeToken = await this.findOne({
+        attributes: ["userId"],
+        where: { family: family, revokedAt: null },
+      });
+
+      return activeToken ? activeToken.userId : null;
+    }
+
+    static revokeFamily(family) {
+      return this.update(
+        { revokedAt: new Date() },
+        { where: { family: family, revokedAt: null } },
+      );
+    }
+
+    static revokeUser(user) {
+      return this.update(
+        { revokedAt: new Date() },
+        { where: { userId: user.id, revokedAt: null } },
+      );
+    }
+  }
+  RefreshToken.init(
+    {
+      tokenHash: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+      },
+      family: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      revokedAt: DataTypes.DATE,
+    },
+    {
+      sequelize,
+      modelName: "RefreshToken",
+    },
+  );
+  return RefreshToken;
+};
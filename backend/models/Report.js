@@ -0,0 +1,62 @@
+"use strict";
+const { Model } = require("sequelize");
+module.exports = (sequelize, DataTypes) => {
+  class Report extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate({ User }) {
+      // define association here
+
+      // Reporter and the moderator who resolved the report
+      this.belongsTo(User, {
+        as: "reporter",
+        foreignKey: "reporterId",
+        onDelete: "CASCADE",
+      });
+      this.belongsTo(User, {
+        as: "moderator",
+        foreignKey: "moderatorId",
+        onDelete: "SET NULL",
+      });
+    }
+
+    toJSON() {
+      return {
+        ...this.get(),
+        reporterId: undefined,
+        moderatorId: undefined,
+      };
+    }
+  }
+  Report.init(
+    {
+      targetType: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      targetId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      reason: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+      status: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: "open",
+      },
+      action: DataTypes.STRING,
+      resolvedAt: DataTypes.DATE,
+    },
+    {
+      sequelize,
+      modelName: "Report",
+    },
+  );
+  return Report;
+};
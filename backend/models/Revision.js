@@ -0,0 +1,43 @@
+"use strict";
+const { Model } = require("sequelize");
+module.exports = (sequelize, DataTypes) => {
+  class Revision extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate({ Article, User }) {
+      // define association here
+
+      // Revisions
+      this.belongsTo(Article, { foreignKey: "articleId" });
+      this.belongsTo(User, { as: "author", foreignKey: "userId" });
+    }
+
+    toJSON() {
+      return {
+        ...this.get(),
+        articleId: undefined,
+        userId: undefined,
+      };
+    }
+  }
+  Revision.init(
+    {
+      title: DataTypes.STRING,
+      description: DataTypes.TEXT,
+      body: DataTypes.TEXT,
+      tagList: {
+        type: DataTypes.JSON,
+        defaultValue: [],
+      },
+    },
+    {
+      sequelize,
+      modelName: "Revision",
+      updatedAt: false,
+    },
+  );
+  return Revision;
+};
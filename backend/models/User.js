@@ -1,5 +1,6 @@
 "use strict";
 const { Model } = require("sequelize");
+const { hashBackupCode, verifyTotp } = require("../helper/totp");
 module.exports = (sequelize, DataTypes) => {
   class User extends Model {
     /**
@@ -7,14 +8,34 @@ module.exports = (sequelize, DataTypes) => {
      * This method is not a part of Sequelize lifecycle.
      * The `models/index` file will call this method automatically.
      */
-    static associate({ Article, Comment, User }) {
+    static associate({
+      Article,
+      Comment,
+      Notification,
+      RefreshToken,
+      Report,
+      User,
+      UserToken,
+    }) {
       // define association here
 
       // Articles
       this.hasMany(Article, { foreignKey: "userId", onDelete: "CASCADE" });
 
       // Comments
-      this.hasMany(Comment, { foreignKey: "articleId" });
+      this.hasMany(Comment, { foreignKey: "userId", onDelete: "CASCADE" });
+
+      // Sessions
+      this.hasMany(RefreshToken, { foreignKey: "userId", onDelete: "CASCADE" });
+
+      // Verification and password reset tokens
+      this.hasMany(UserToken, { foreignKey: "userId", onDelete: "CASCADE" });
+
+      // Notifications
+      this.hasMany(Notification, { foreignKey: "userId", onDelete: "CASCADE" });
+
+      // Reports
+      this.hasMany(Report, { foreignKey: "reporterId", onDelete: "CASCADE" });
 
       // Favorites
       this.belongsToMany(Article, {
@@ -39,11 +60,38 @@ module.exports = (sequelize, DataTypes) => {
       });
     }
 
+    /**
+     * Checks a code from the authenticator app, or else a backup code, which
+     * is then used up. Accepted TOTP steps are remembered against replays.
+     */
+    async verifySecondFactor(code) {
+      const step = verifyTotp(this.totpSecret, code, {
+        lastStep: this.totpLastStep ?? -1,
+      });
+
+      if (step !== null) {
+        this.totpLastStep = step;
+      } else {
+        const codeHash = hashBackupCode(String(code || ""));
+        const backupCodes = this.totpBackupCodes || [];
+        if (!backupCodes.includes(codeHash)) return false;
+
+        this.totpBackupCodes = backupCodes.filter((hash) => hash !== codeHash);
+      }
+
+      await this.save();
+      return true;
+    }
+
     toJSON() {
       return {
         ...this.get(),
         id: undefined,
         password: undefined,
+        totpSecret: undefined,
+        totpEnabledAt: undefined,
+        totpLastStep: undefined,
+        totpBackupCodes: undefined,
         updatedAt: undefined,
         createdAt: undefined,
       };
@@ -56,6 +104,17 @@ module.exports = (sequelize, DataTypes) => {
       bio: DataTypes.TEXT,
       image: DataTypes.TEXT,
       password: DataTypes.STRING,
+      role: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: "user",
+      },
+      suspendedAt: DataTypes.DATE,
+      emailVerifiedAt: DataTypes.DATE,
+      totpSecret: DataTypes.STRING,
+      totpEnabledAt: DataTypes.DATE,
+      totpLastStep: DataTypes.INTEGER,
+      totpBackupCodes: DataTypes.JSON,
     },
     {
       sequelize,
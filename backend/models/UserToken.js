@@ -0,0 +1,85 @@
+"use strict";
+const crypto = require("crypto");
+const { Model } = require("sequelize");
+module.exports = (sequelize, DataTypes) => {
+  class UserToken extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate({ User }) {
+      // define association here
+
+      // Users
+      this.belongsTo(User, { foreignKey: "userId", onDelete: "cascade" });
+    }
+
+    static hash(token) {
+      return crypto.createHash("sha256").update(token).digest("hex");
+    }
+
+    /**
+     * Creates a single use token for `purpose` ("verify" or "reset"), and
+     * drops any older unused one so only the latest link keeps working.
+     */
+    static async issue(user, purpose, hours) {
+      const token = crypto.randomBytes(32).toString("base64url");
+
+      await this.destroy({
+        where: { userId: user.id, purpose: purpose, usedAt: null },
+      });
+      await this.create({
+        tokenHash: this.hash(token),
+        purpose: purpose,
+        expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
+        userId: user.id,
+      });
+
+      return token;
+    }
+
+    // Marks a valid token as used and returns its user, or null
+    static async consume(token, purpose) {
+      const userToken = await this.findOne({
+        where: {
+          tokenHash: this.hash(token),
+          purpose: purpose,
+        },
+      });
+      if (!userToken || userToken.usedAt) return null;
+      if (userToken.expiresAt < new Date()) return null;
+
+      const [used] = await this.update(
+        { usedAt: new Date() },
+        { where: { id: userToken.id, usedAt: null } },
+      );
+      if (!used) return null;
+
+      return userToken.getUser();
+    }
+  }
+  UserToken.init(
+    {
+      tokenHash: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+      },
+      purpose: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      usedAt: DataTypes.DATE,
+    },
+    {
+      sequelize,
+      modelName: "UserToken",
+    },
+  );
+  return UserToken;
+};
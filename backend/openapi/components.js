@@ -0,0 +1,326 @@
+const { articleStatuses } = require("../helper/helpers");
+const { reportStatuses, reportTypes } = require("../helper/moderation");
+const { maxPageSize } = require("../helper/pagination");
+const { roles } = require("../helper/permissions");
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+// OpenAPI 3.0 ignores keywords next to a $ref, so references get wrapped
+const nullable = (schema) =>
+  schema.$ref
+    ? { allOf: [schema], nullable: true }
+    : { ...schema, nullable: true };
+
+const string = { type: "string" };
+const integer = { type: "integer" };
+const boolean = { type: "boolean" };
+const dateTime = { type: "string", format: "date-time" };
+const list = (items) => ({ type: "array", items: items });
+
+const object = (properties, required = Object.keys(properties)) => ({
+  type: "object",
+  required: required,
+  properties: properties,
+});
+
+const publicUser = {
+  username: string,
+  bio: nullable(string),
+  image: nullable(string),
+};
+
+const schemas = {
+  Error: {
+    type: "object",
+    required: ["code", "errors"],
+    properties: {
+      code: {
+        ...string,
+        description:
+          "Stable error code: unauthorized, forbidden, not_found, " +
+          "too_many_requests, invalid, required, taken, invalid_fields, " +
+          "bad_request or internal_error",
+      },
+      errors: {
+        type: "object",
+        description:
+          "Messages by field. Errors not about a single field use `body`",
+        additionalProperties: list(string),
+      },
+    },
+  },
+  Message: object({ message: object({ body: list(string) }) }),
+
+  User: object(
+    {
+      username: string,
+      email: string,
+      bio: nullable(string),
+      image: nullable(string),
+      role: { ...string, enum: roles },
+      suspendedAt: nullable(dateTime),
+      emailVerifiedAt: nullable(dateTime),
+      twoFactorEnabled: boolean,
+      token: { ...string, description: "Short-lived access token (JWT)" },
+      refreshToken: {
+        ...string,
+        description: "Only returned when a new session starts",
+      },
+    },
+    ["username", "email", "token"],
+  ),
+  Profile: object(
+    { ...publicUser, following: boolean, followersCount: integer },
+    ["username", "bio", "image", "following", "followersCount"],
+  ),
+  UserSummary: object({ username: string, image: nullable(string) }),
+  AdminUser: object(
+    {
+      username: string,
+      email: string,
+      bio: nullable(string),
+      image: nullable(string),
+      role: { ...string, enum: roles },
+      suspendedAt: nullable(dateTime),
+      emailVerifiedAt: nullable(dateTime),
+    },
+    ["username", "email", "role"],
+  ),
+  TwoFactorEnrollment: object({
+    secret: string,
+    otpauthUrl: string,
+    qrCode: { ...string, description: "PNG data URL of the otpauth URL" },
+  }),
+
+  Article: object(
+    {
+      slug: string,
+      title: string,
+      description: string,
+      body: string,
+      coverImage: nullable(string),
+      status: { ...string, enum: articleStatuses },
+      publishAt: nullable(dateTime),
+      hiddenAt: nullable(dateTime),
+      tagList: list(string),
+      author: ref("Profile"),
+      favorited: boolean,
+      favoritesCount: integer,
+      createdAt: dateTime,
+      updatedAt: dateTime,
+    },
+    [
+      "slug",
+      "title",
+      "description",
+      "body",
+      "status",
+      "tagList",
+      "author",
+      "favorited",
+      "favoritesCount",
+      "createdAt",
+      "updatedAt",
+    ],
+  ),
+  Upload: object({
+    url: {
+      ...string,
+      description: "The variant to save on the user or article",
+    },
+    variants: {
+      type: "object",
+      description: "URL of every size made, by name",
+      additionalProperties: string,
+    },
+  }),
+
+  RenderedBody: object({
+    bodyHtml: {
+      ...string,
+      description:
+        "Sanitized HTML of `body`, with highlighted code and anchored headings",
+    },
+    toc: list(
+      object({
+        level: { ...integer, minimum: 1, maximum: 6 },
+        text: string,
+        id: { ...string, description: "Id of the heading in `bodyHtml`" },
+      }),
+    ),
+  }),
+  RenderedArticle: { allOf: [ref("Article"), ref("RenderedBody")] },
+  SearchResult: {
+    allOf: [
+      ref("Article"),
+      object({
+        highlight: {
+          ...object({ title: string, description: string, body: string }),
+          description: "HTML escaped text with matches wrapped in <mark>",
+        },
+      }),
+    ],
+  },
+  Revision: object(
+    {
+      id: integer,
+      title: string,
+      description: string,
+      body: string,
+      tagList: list(string),
+      author: object(publicUser, ["username"]),
+      createdAt: dateTime,
+    },
+    ["id", "title", "description", "body", "tagList", "createdAt"],
+  ),
+  DiffLine: object({
+    type: { ...string, enum: ["equal", "added", "removed"] },
+    line: string,
+  }),
+  RevisionDiff: object({
+    title: list(ref("DiffLine")),
+    description: list(ref("DiffLine")),
+    body: list(ref("DiffLine")),
+    tagList: list(ref("DiffLine")),
+  }),
+
+  Comment: object(
+    {
+      id: integer,
+      body: string,
+      parentId: nullable(integer),
+      hiddenAt: nullable(dateTime),
+      author: ref("Profile"),
+      edits: list(object({ body: string, createdAt: dateTime })),
+      replies: list(ref("Comment")),
+      createdAt: dateTime,
+      updatedAt: dateTime,
+    },
+    ["id", "body", "author", "createdAt", "updatedAt"],
+  ),
+
+  Notification: object(
+    {
+      id: integer,
+      type: { ...string, enum: ["follow", "favorite", "comment", "reply"] },
+      readAt: nullable(dateTime),
+      actor: nullable(ref("UserSummary")),
+      article: nullable(object({ slug: string, title: string })),
+      comment: nullable(object({ id: integer, body: string })),
+      createdAt: dateTime,
+      updatedAt: dateTime,
+    },
+    ["id", "type", "readAt", "createdAt", "updatedAt"],
+  ),
+
+  Report: object(
+    {
+      id: integer,
+      targetType: { ...string, enum: reportTypes },
+      targetId: integer,
+      reason: string,
+      status: { ...string, enum: reportStatuses },
+      action: nullable(string),
+      resolvedAt: nullable(dateTime),
+      reporter: nullable(ref("UserSummary")),
+      moderator: nullable(ref("UserSummary")),
+      target: nullable({
+        type: "object",
+        description: "Summary of the reported article, comment or profile",
+      }),
+      createdAt: dateTime,
+      updatedAt: dateTime,
+    },
+    ["id", "targetType", "targetId", "reason", "status", "createdAt"],
+  ),
+};
+
+const pathParameter = (name, schema = string) => ({
+  name: name,
+  in: "path",
+  required: true,
+  schema: schema,
+});
+
+const parameters = {
+  slug: pathParameter("slug"),
+  username: pathParameter("username"),
+  commentId: pathParameter("commentId", integer),
+  revisionId: pathParameter("revisionId", integer),
+  reportId: pathParameter("reportId", integer),
+  notificationId: pathParameter("notificationId", integer),
+  limit: {
+    name: "limit",
+    in: "query",
+    description: "Page size",
+    schema: { ...integer, minimum: 1, maximum: maxPageSize },
+  },
+  offset: {
+    name: "offset",
+    in: "query",
+    description: "Page number, starting at 0",
+    schema: { ...integer, minimum: 0 },
+  },
+  ifNoneMatch: {
+    name: "If-None-Match",
+    in: "header",
+    description: "ETag of the copy you have, answered with a 304 if current",
+    schema: string,
+  },
+  before: {
+    name: "before",
+    in: "query",
+    description:
+      "Cursor from `nextCursor`, for older articles. Replaces `offset`",
+    schema: string,
+  },
+  after: {
+    name: "after",
+    in: "query",
+    description:
+      "Cursor from `nextCursor` of an `after` page, for newer articles",
+    schema: string,
+  },
+};
+
+const errorResponse = (description, headers) => ({
+  description: description,
+  ...(headers && { headers: headers }),
+  content: { "application/json": { schema: ref("Error") } },
+});
+
+const responses = {
+  NotModified: { description: "Your copy, from its ETag, is still current" },
+  BadRequest: errorResponse("The request body isn't valid JSON"),
+  Unauthorized: errorResponse("Missing, invalid or expired credentials"),
+  Forbidden: errorResponse("Not allowed, or the account is suspended"),
+  NotFound: errorResponse("The resource doesn't exist"),
+  Invalid: errorResponse("The request isn't valid, see `errors`"),
+  TooManyRequests: errorResponse("Too many attempts or requests", {
+    "Retry-After": {
+      description: "Seconds to wait before trying again",
+      schema: integer,
+    },
+  }),
+};
+
+const securitySchemes = {
+  Token: {
+    type: "apiKey",
+    in: "header",
+    name: "Authorization",
+    description: "`Token <access token>` from a user response",
+  },
+};
+
+module.exports = {
+  schemas,
+  parameters,
+  responses,
+  securitySchemes,
+  ref,
+  list,
+  object,
+  string,
+  integer,
+  boolean,
+};
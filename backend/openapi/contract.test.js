@@ -0,0 +1,523 @@
+// @vitest-environment node
+// Runs the real app against an in-memory SQLite database and checks every
+// response against the OpenAPI document. Undocumented routes, statuses or
+// response fields fail the test, as do documented fields that went missing.
+const { startServer, stopServer } = require("../test/server");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const sharp = require("sharp");
+const { User } = require("../models");
+const { setStorage } = require("../storage");
+const localDriver = require("../storage/drivers/local");
+const { totp } = require("../helper/totp");
+const app = require("../app");
+const openapi = require(".");
+const matchSchema = require("./matchSchema");
+
+const templates = Object.keys(openapi.paths)
+  .map((template) => ({
+    template: template,
+    pattern: new RegExp(`^${template.replace(/{\w+}/g, "[^/]+")}$`),
+    parameters: (template.match(/{/g) || []).length,
+  }))
+  // "/articles/feed" wins over "/articles/{slug}"
+  .sort((a, b) => a.parameters - b.parameters);
+
+const findOperation = (method, url) => {
+  const path = url.split("?")[0];
+  const match = templates.find(({ pattern }) => pattern.test(path));
+
+  return match && openapi.paths[match.template][method.toLowerCase()];
+};
+
+const resolveResponse = (response) => {
+  if (!response?.$ref) return response;
+
+  return openapi.components.responses[response.$ref.split("/").pop()];
+};
+
+let baseUrl;
+const mails = [];
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), "uploads-"));
+
+beforeAll(async () => {
+  baseUrl = await startServer({ send: async (mail) => mails.push(mail) });
+  setStorage(localDriver({ directory: uploadDir }));
+});
+
+afterAll(async () => {
+  setStorage(undefined);
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+  await stopServer();
+});
+
+// Sends the request and checks the answer against the documented response.
+// `form` is sent as multipart, letting fetch set the boundary.
+const call = async (method, url, { body, form, token } = {}) => {
+  const response = await fetch(baseUrl + url, {
+    method: method,
+    redirect: "manual",
+    headers: {
+      ...(!form && { "content-type": "application/json" }),
+      ...(token && { authorization: `Token ${token}` }),
+    },
+    body: form || (body && JSON.stringify(body)),
+  });
+  const isJson = response.headers.get("content-type")?.includes("json");
+  const data = isJson ? await response.json() : await response.text();
+
+  const operation = findOperation(method, url);
+  expect(operation, `${method} ${url} isn't documented`).toBeDefined();
+
+  const documented = resolveResponse(operation.responses[response.status]);
+  expect(
+    documented,
+    `${method} ${url} answered an undocumented ${response.status}`,
+  ).toBeDefined();
+
+  const schema = documented.content?.["application/json"]?.schema;
+  if (schema) {
+    const mismatches = matchSchema(openapi, schema, data, { strict: true });
+    expect(mismatches, `${method} ${url} ${response.status}`).toEqual([]);
+  }
+
+  return { status: response.status, data: data };
+};
+
+const mountPath = (layer) => {
+  if (layer.regexp.fast_slash) return "";
+
+  return layer.regexp.source
+    .replace("^\\", "")
+    .replace("\\/?(?=\\/|$)", "")
+    .replace(/\\\//g, "/");
+};
+
+const routesOf = (stack, prefix = "") =>
+  stack.flatMap((layer) => {
+    if (layer.route) {
+      return Object.keys(layer.route.methods).map((method) => [
+        method,
+        prefix + layer.route.path,
+      ]);
+    }
+    if (layer.name === "router") {
+      return routesOf(layer.handle.stack, prefix + mountPath(layer));
+    }
+
+    return [];
+  });
+
+describe("OpenAPI document", () => {
+  test("documents every route, and only existing ones", () => {
+    const routes = routesOf(app._router.stack)
+      .filter(([, path]) => path.startsWith("/api/"))
+      .map(([method, path]) => {
+        const template = path
+          .replace(/^\/api|\/$/g, "")
+          .replace(/:(\w+)/g, "{$1}");
+
+        return `${method} ${template}`;
+      });
+
+    const documented = Object.entries(openapi.paths).flatMap(
+      ([path, operations]) =>
+        Object.keys(operations).map((method) => `${method} ${path}`),
+    );
+
+    expect(documented.sort()).toEqual([...new Set(routes)].sort());
+  });
+
+  test("is served with the docs page", async () => {
+    const { data } = await call("GET", "/openapi.json");
+    expect(data).toEqual(JSON.parse(JSON.stringify(openapi)));
+
+    const { data: page } = await call("GET", "/docs");
+    expect(page).toContain("openapi.json");
+
+    for (const [, asset] of page.matchAll(/(?:src|href)="(docs\/[^"]+)"/g)) {
+      const response = await fetch(`${baseUrl}/${asset}`);
+      expect(response.status, asset).toBe(200);
+    }
+  });
+});
+
+describe("Responses match the document", () => {
+  const jake = { username: "jake", email: "jake@jake.jake" };
+  const anna = { username: "anna", email: "anna@anna.anna" };
+  const password = "jakejake";
+  let article;
+  let comment;
+
+  test("users and sessions", async () => {
+    for (const user of [jake, anna]) {
+      const { data } = await call("POST", "/users", {
+        body: { user: { ...user, password: password } },
+      });
+      user.token = data.user.token;
+      user.refreshToken = data.user.refreshToken;
+    }
+
+    await call("POST", "/users", { body: { user: { username: "x y" } } });
+    await call("POST", "/users", { body: { user: { ...jake, password } } });
+    await call("POST", "/users/login", {
+      body: { user: { email: jake.email, password: "wrong-password" } },
+    });
+    await call("POST", "/users/login", {
+      body: { user: { email: jake.email, password: password } },
+    });
+
+    await call("GET", "/user", { token: jake.token });
+    await call("GET", "/user");
+    await call("PUT", "/user", {
+      body: { user: { bio: "I work at statefarm" } },
+      token: jake.token,
+    });
+
+    const verifyToken = mails[0].text.match(/token=([\w-]+)/)[1];
+    await call("POST", "/users/verify-email", {
+      body: { user: { token: verifyToken } },
+    });
+    await call("POST", "/users/verify-email/resend", { token: jake.token });
+
+    const { data } = await call("POST", "/users/refresh", {
+      body: { user: { refreshToken: anna.refreshToken } },
+    });
+    anna.token = data.user.token;
+    await call("POST", "/users/refresh", {
+      body: { user: { refreshToken: anna.refreshToken } },
+    });
+
+    const login = await call("POST", "/users/login", {
+      body: { user: { email: anna.email, password: password } },
+    });
+    anna.token = login.data.user.token;
+    await call("POST", "/users/logout", {
+      body: { user: { refreshToken: login.data.user.refreshToken } },
+      token: anna.token,
+    });
+
+    const { data: session } = await call("POST", "/users/login", {
+      body: { user: { email: anna.email, password: password } },
+    });
+    anna.token = session.user.token;
+  });
+
+  test("password reset", async () => {
+    await call("POST", "/users/forgot-password", {
+      body: { user: { email: "nobody@jake.jake" } },
+    });
+    await call("POST", "/users/forgot-password", {
+      body: { user: { email: anna.email } },
+    });
+
+    const resetToken = mails.at(-1).text.match(/token=([\w-]+)/)[1];
+    await call("POST", "/users/reset-password", {
+      body: { user: { token: resetToken, password: password } },
+    });
+    await call("POST", "/users/reset-password", {
+      body: { user: { token: resetToken, password: password } },
+    });
+
+    const { data } = await call("POST", "/users/login", {
+      body: { user: { email: anna.email, password: password } },
+    });
+    anna.token = data.user.token;
+  });
+
+  test("two-factor authentication", async () => {
+    const { data } = await call("POST", "/user/2fa", { token: anna.token });
+    const { secret } = data.twoFactor;
+
+    await call("POST", "/user/2fa/confirm", {
+      body: { twoFactor: { code: "000000" } },
+      token: anna.token,
+    });
+    const { data: confirmed } = await call("POST", "/user/2fa/confirm", {
+      body: { twoFactor: { code: totp(secret) } },
+      token: anna.token,
+    });
+
+    const { data: challenge } = await call("POST", "/users/login", {
+      body: { user: { email: anna.email, password: password } },
+    });
+    const { data: session } = await call("POST", "/users/login/2fa", {
+      body: {
+        user: {
+          challengeToken: challenge.twoFactor.challengeToken,
+          code: confirmed.twoFactor.backupCodes[0],
+        },
+      },
+    });
+    anna.token = session.user.token;
+
+    await call("DELETE", "/user/2fa", {
+      body: { twoFactor: { code: confirmed.twoFactor.backupCodes[1] } },
+      token: anna.token,
+    });
+  });
+
+  test("profiles", async () => {
+    await call("GET", "/profiles/jake");
+    await call("POST", "/profiles/jake/follow", { token: anna.token });
+    await call("GET", "/profiles/jake", { token: anna.token });
+    await call("DELETE", "/profiles/jake/follow", { token: anna.token });
+    await call("POST", "/profiles/jake/follow", { token: anna.token });
+    await call("GET", "/profiles/nobody");
+  });
+
+  test("articles", async () => {
+    await call("POST", "/articles", {
+      body: { article: { title: "", tagList: "dragons" } },
+      token: jake.token,
+    });
+    const { data } = await call("POST", "/articles", {
+      body: {
+        article: {
+          title: "How to train your dragon",
+          description: "Ever wonder how?",
+          body: "You have to believe",
+          tagList: ["dragons", "training"],
+        },
+      },
+      token: jake.token,
+    });
+    article = data.article;
+
+    await call("POST", "/articles", {
+      body: {
+        article: {
+          title: "A draft",
+          description: "Not yet",
+          body: "Soon",
+          status: "draft",
+        },
+      },
+      token: jake.token,
+    });
+
+    await call("GET", "/articles");
+    await call("GET", "/articles?tag=dragons&limit=2&offset=0");
+    await call("GET", "/articles?author=jake&status=draft", {
+      token: jake.token,
+    });
+    await call("GET", "/articles?author=jake&status=draft&status=archived", {
+      token: jake.token,
+    });
+    await call("GET", "/articles?author=jake&status=secret", {
+      token: jake.token,
+    });
+    const { data: page } = await call("GET", "/articles?limit=1");
+    await call("GET", `/articles?limit=1&before=${page.nextCursor}`);
+    await call("GET", `/articles?after=${page.nextCursor}`);
+    await call("GET", "/articles?before=nonsense");
+    await call("GET", "/articles?limit=abc");
+    await call("GET", "/articles/feed", { token: anna.token });
+    await call("POST", "/articles/preview", {
+      body: { article: { body: "# Dragons\n\n```js\nfly();\n```" } },
+      token: jake.token,
+    });
+    await call("POST", "/articles/preview", {
+      body: { article: {} },
+      token: jake.token,
+    });
+    await call("POST", "/articles/preview", {
+      body: { article: { body: "Dragons" } },
+    });
+    await call("GET", "/articles/search?q=dragon", { token: anna.token });
+    await call("GET", "/articles/search?q=");
+    expect((await call("GET", "/articles/search?q=a&q=b")).status).toBe(422);
+    await call("GET", `/articles/${article.slug}`);
+    await call("GET", "/articles/nothing-here");
+    await call("GET", "/tags");
+    await call("GET", "/tags?prefix=Dra&limit=5");
+    await call("GET", "/tags?limit=-5");
+
+    await call("POST", `/articles/${article.slug}/favorite`, {
+      token: anna.token,
+    });
+    await call("GET", "/articles?favorited=anna", { token: anna.token });
+    await call("DELETE", `/articles/${article.slug}/favorite`, {
+      token: anna.token,
+    });
+    await call("POST", `/articles/${article.slug}/favorite`, {
+      token: anna.token,
+    });
+  });
+
+  test("uploads", async () => {
+    const png = await sharp({
+      create: { width: 40, height: 30, channels: 3, background: "#5cb85c" },
+    })
+      .png()
+      .toBuffer();
+    const imageForm = (data, name = "image") => {
+      const form = new FormData();
+      form.append(name, new Blob([data]), "image.png");
+
+      return form;
+    };
+
+    const { data: avatar } = await call("POST", "/uploads/avatar", {
+      form: imageForm(png),
+      token: jake.token,
+    });
+    await call("PUT", "/user", {
+      body: { user: { image: avatar.upload.url } },
+      token: jake.token,
+    });
+
+    const { data: cover } = await call("POST", "/uploads/cover", {
+      form: imageForm(png),
+      token: jake.token,
+    });
+    await call("PUT", `/articles/${article.slug}`, {
+      body: { article: { coverImage: cover.upload.url } },
+      token: jake.token,
+    });
+
+    await call("GET", cover.upload.url.replace("/api", ""));
+    await call("GET", "/uploads/covers/nothing/large.webp");
+    await call("POST", "/uploads/cover", {
+      form: imageForm(Buffer.from("not an image")),
+      token: jake.token,
+    });
+    await call("POST", "/uploads/cover", { form: imageForm(png, "file") });
+  });
+
+  test("revisions", async () => {
+    await call("PUT", `/articles/${article.slug}`, {
+      body: { article: { body: "You have to believe harder" } },
+      token: anna.token,
+    });
+    const { data } = await call("PUT", `/articles/${article.slug}`, {
+      body: { article: { title: "How to train your dragon 2" } },
+      token: jake.token,
+    });
+
+    // The old slug now redirects to the new one
+    await call("GET", `/articles/${article.slug}`);
+    article = data.article;
+
+    const { data: history } = await call(
+      "GET",
+      `/articles/${article.slug}/revisions`,
+      { token: jake.token },
+    );
+    const [revision] = history.revisions;
+
+    await call("GET", `/articles/${article.slug}/revisions/diff`, {
+      token: jake.token,
+    });
+    await call(
+      "GET",
+      `/articles/${article.slug}/revisions/diff?from=${revision.id}`,
+      { token: jake.token },
+    );
+    for (const query of [
+      "from=abc",
+      `from=${revision.id}&from=1`,
+      "from=1&to=x",
+    ]) {
+      const { status } = await call(
+        "GET",
+        `/articles/${article.slug}/revisions/diff?${query}`,
+        { token: jake.token },
+      );
+      expect(status, query).toBe(422);
+    }
+    const { status: notFound } = await call(
+      "POST",
+      `/articles/${article.slug}/revisions/abc/restore`,
+      { token: jake.token },
+    );
+    expect(notFound).toBe(404);
+    const { data: restored } = await call(
+      "POST",
+      `/articles/${article.slug}/revisions/${revision.id}/restore`,
+      { token: jake.token },
+    );
+    article = restored.article;
+  });
+
+  test("comments", async () => {
+    const { data } = await call("POST", `/articles/${article.slug}/comments`, {
+      body: { comment: { body: "Thank you so much!" } },
+      token: anna.token,
+    });
+    comment = data.comment;
+
+    await call("POST", `/articles/${article.slug}/comments`, {
+      body: { comment: { body: "Glad it helped", parentId: comment.id } },
+      token: jake.token,
+    });
+    await call("POST", `/articles/${article.slug}/comments`, {
+      body: { comment: { body: "" } },
+      token: jake.token,
+    });
+    await call("PUT", `/articles/${article.slug}/comments/${comment.id}`, {
+      body: { comment: { body: "Thanks a lot!" } },
+      token: anna.token,
+    });
+    await call("PUT", `/articles/${article.slug}/comments/${comment.id}`, {
+      body: { comment: { body: "Not mine" } },
+      token: jake.token,
+    });
+    await call("GET", `/articles/${article.slug}/comments`, {
+      token: anna.token,
+    });
+  });
+
+  test("notifications", async () => {
+    const { data } = await call("GET", "/notifications?unread=true", {
+      token: jake.token,
+    });
+    const [notification] = data.notifications;
+
+    await call("POST", `/notifications/${notification.id}/read`, {
+      token: jake.token,
+    });
+    await call("POST", "/notifications/read", { token: jake.token });
+    await call("GET", "/notifications", { token: jake.token });
+    await call("GET", "/notifications?limit=0", { token: jake.token });
+  });
+
+  test("moderation and admin", async () => {
+    await call("POST", "/moderation/reports", {
+      body: { report: { type: "comment", target: comment.id, reason: "Spam" } },
+      token: jake.token,
+    });
+    const { data } = await call("POST", "/moderation/reports", {
+      body: {
+        report: { type: "article", target: article.slug, reason: "Rude" },
+      },
+      token: anna.token,
+    });
+
+    await call("GET", "/moderation/reports", { token: anna.token });
+    await User.update({ role: "admin" }, { where: { username: "anna" } });
+
+    await call("GET", "/moderation/reports?status=open", { token: anna.token });
+    await call("PUT", `/moderation/reports/${data.report.id}`, {
+      body: { report: { status: "dismissed" } },
+      token: anna.token,
+    });
+
+    await call("GET", "/admin/users?role=user", { token: anna.token });
+    await call("PUT", "/admin/users/jake", {
+      body: { user: { role: "moderator" } },
+      token: anna.token,
+    });
+    await call("DELETE", "/admin/users/anna", { token: anna.token });
+  });
+
+  test("deleting", async () => {
+    await call("DELETE", `/articles/${article.slug}/comments/${comment.id}`, {
+      token: anna.token,
+    });
+    await call("DELETE", `/articles/${article.slug}`, { token: jake.token });
+    await call("GET", `/articles/${article.slug}/comments`);
+    await call("DELETE", "/admin/users/jake", { token: anna.token });
+  });
+});
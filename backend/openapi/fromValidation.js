@@ -0,0 +1,62 @@
+// Turns the request schemas in `schemas/` into OpenAPI request bodies, so the
+// document can't drift from what `validateBody` actually accepts.
+
+const typeSchemas = {
+  string: { type: "string" },
+  integer: { type: "integer" },
+  boolean: { type: "boolean" },
+  array: { type: "array" },
+  date: { type: "string", format: "date-time" },
+};
+
+const fieldSchema = (rules) => {
+  const types = [].concat(rules.type);
+  const schema =
+    types.length > 1
+      ? { oneOf: types.map((type) => typeSchemas[type]) }
+      : { ...typeSchemas[types[0]] };
+
+  if (rules.nullable) schema.nullable = true;
+  if (rules.oneOf) schema.enum = rules.oneOf;
+  if (rules.format) schema.format = rules.format;
+  if (rules.minLength && !rules.allowBlank) schema.minLength = rules.minLength;
+  if (rules.maxLength) schema.maxLength = rules.maxLength;
+  if (rules.pattern) schema.pattern = rules.pattern.source;
+  if (rules.maxItems) schema.maxItems = rules.maxItems;
+  if (rules.items) schema.items = fieldSchema(rules.items);
+  if (rules.default !== undefined) schema.default = rules.default;
+  if (rules.message) {
+    schema.description =
+      rules.message[0].toUpperCase() + rules.message.slice(1);
+  }
+
+  return schema;
+};
+
+const bodySchema = ({ wrapper, fields }) => {
+  const required = Object.keys(fields).filter((key) => fields[key].required);
+  const properties = Object.fromEntries(
+    Object.entries(fields).map(([key, rules]) => [key, fieldSchema(rules)]),
+  );
+
+  return {
+    type: "object",
+    required: [wrapper],
+    additionalProperties: false,
+    properties: {
+      [wrapper]: {
+        type: "object",
+        additionalProperties: false,
+        ...(required.length && { required: required }),
+        properties: properties,
+      },
+    },
+  };
+};
+
+const requestBody = (schema) => ({
+  required: !schema.optional,
+  content: { "application/json": { schema: bodySchema(schema) } },
+});
+
+module.exports = { fieldSchema, bodySchema, requestBody };
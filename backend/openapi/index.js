@@ -0,0 +1,27 @@
+const { version } = require("../package.json");
+const components = require("./components");
+const paths = require("./paths");
+
+// OpenAPI 3 description of every route under /api, served at
+// /api/openapi.json and checked against real responses by contract.test.js
+const openapi = {
+  openapi: "3.0.3",
+  info: {
+    title: "Conduit API",
+    version: version,
+    description:
+      "Errors always answer with `{ code, errors }`, see the `Error` schema. " +
+      "Authenticated routes take an `Authorization: Token <access token>` " +
+      "header.",
+  },
+  servers: [{ url: "/api" }],
+  components: {
+    securitySchemes: components.securitySchemes,
+    schemas: components.schemas,
+    parameters: components.parameters,
+    responses: components.responses,
+  },
+  paths: paths,
+};
+
+module.exports = openapi;
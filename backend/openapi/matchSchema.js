@@ -0,0 +1,105 @@
+// Checks a value against the JSON schema subset used in the OpenAPI document.
+// Returns the mismatches as "path: problem" strings, empty when it matches.
+// In `strict` mode objects can't have properties their schema doesn't list.
+
+const resolve = (document, schema) => {
+  if (schema.$ref) {
+    const path = schema.$ref.replace("#/", "").split("/");
+    return resolve(
+      document,
+      path.reduce((node, key) => node[key], document),
+    );
+  }
+
+  // Objects made of several parts are checked as one
+  if (schema.allOf) {
+    return schema.allOf
+      .map((part) => resolve(document, part))
+      .reduce((merged, part) => ({
+        ...merged,
+        ...part,
+        required: [...(merged.required || []), ...(part.required || [])],
+        properties: { ...merged.properties, ...part.properties },
+      }));
+  }
+
+  return schema;
+};
+
+const typeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+
+  return typeof value;
+};
+
+const matchesType = (type, value) => {
+  const actual = typeOf(value);
+  if (type === "number") return ["number", "integer"].includes(actual);
+
+  return actual === type;
+};
+
+const matchSchema = (document, rawSchema, value, options = {}) => {
+  const { path = "$", strict = false } = options;
+  const schema = resolve(document, rawSchema);
+  const at = (key) => ({ ...options, path: `${path}${key}` });
+
+  if (value === null) {
+    return rawSchema.nullable || schema.nullable || !schema.type
+      ? []
+      : [`${path}: can't be null`];
+  }
+
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(
+      (option) => !matchSchema(document, option, value, options).length,
+    );
+
+    return matches.length === 1 ? [] : [`${path}: matches no single option`];
+  }
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    return [`${path}: expected ${schema.type}, got ${typeOf(value)}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path}: ${JSON.stringify(value)} isn't one of ${schema.enum}`];
+  }
+  if (schema.format === "date-time" && isNaN(Date.parse(value))) {
+    return [`${path}: isn't a date-time`];
+  }
+
+  if (schema.type === "array" && schema.items) {
+    return value.flatMap((item, index) =>
+      matchSchema(document, schema.items, item, at(`[${index}]`)),
+    );
+  }
+
+  if (schema.type === "object") {
+    const properties = schema.properties || {};
+    const closed = strict && schema.properties;
+
+    const missing = (schema.required || [])
+      .filter((key) => value[key] === undefined)
+      .map((key) => `${path}.${key}: is missing`);
+
+    const mismatches = Object.entries(value).flatMap(([key, item]) => {
+      const itemSchema =
+        properties[key] ||
+        schema.additionalProperties ||
+        (closed ? false : true);
+
+      if (itemSchema === false) return [`${path}.${key}: isn't documented`];
+      if (itemSchema === true) return [];
+
+      return matchSchema(document, itemSchema, item, at(`.${key}`));
+    });
+
+    return [...missing, ...mismatches];
+  }
+
+  return [];
+};
+
+module.exports = matchSchema;
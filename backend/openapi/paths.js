@@ -0,0 +1,811 @@
+const { requestBody } = require("./fromValidation");
+const { boolean, integer, list, object, ref, string } = require("./components");
+const users = require("../schemas/users");
+const articles = require("../schemas/articles");
+const comments = require("../schemas/comments");
+const moderation = require("../schemas/moderation");
+const admin = require("../schemas/admin");
+const { maxFileSize, maxPixels } = require("../helper/images");
+const { maxPageSize } = require("../helper/pagination");
+
+const errorStatuses = {
+  BadRequest: 400,
+  Unauthorized: 401,
+  Forbidden: 403,
+  NotFound: 404,
+  Invalid: 422,
+  TooManyRequests: 429,
+};
+
+const json = (description, schema) => ({
+  description: description,
+  content: { "application/json": { schema: schema } },
+});
+
+const message = (description) => json(description, ref("Message"));
+
+const articlePage = json(
+  "A page of articles",
+  object({
+    articles: list(ref("Article")),
+    articlesCount: integer,
+    nextCursor: {
+      ...string,
+      nullable: true,
+      description: "Cursor for the next page, null on the last one",
+    },
+  }),
+);
+
+const queryParameter = (name, description, schema = string) => ({
+  name: name,
+  in: "query",
+  description: description,
+  schema: schema,
+});
+
+/**
+ * `auth` is "required" or "optional", signed in users get personalized
+ * fields like `following` and `favorited` on optional routes. `body` is one
+ * of the request schemas from `schemas/`, and adds the 400 and 422 errors.
+ * `cached` reads answer If-None-Match with a 304.
+ */
+const operation = ({
+  tag,
+  summary,
+  description,
+  auth,
+  parameters = [],
+  body,
+  cached,
+  responses,
+  errors = [],
+}) => {
+  const allErrors = [
+    ...(body ? ["BadRequest", "Invalid"] : []),
+    ...(auth === "required" ? ["Unauthorized"] : []),
+    ...errors,
+  ];
+
+  return {
+    tags: [tag],
+    summary: summary,
+    ...(description && { description: description }),
+    ...(auth && {
+      security: auth === "optional" ? [{}, { Token: [] }] : [{ Token: [] }],
+    }),
+    ...((parameters.length || cached) && {
+      parameters: [...parameters, ...(cached ? ["ifNoneMatch"] : [])].map(
+        (parameter) =>
+          typeof parameter === "string"
+            ? { $ref: `#/components/parameters/${parameter}` }
+            : parameter,
+      ),
+    }),
+    ...(body && { requestBody: requestBody(body) }),
+    responses: {
+      ...responses,
+      ...(cached && { 304: { $ref: "#/components/responses/NotModified" } }),
+      ...Object.fromEntries(
+        allErrors.map((name) => [
+          errorStatuses[name],
+          { $ref: `#/components/responses/${name}` },
+        ]),
+      ),
+    },
+  };
+};
+
+const userResponse = json("The user", object({ user: ref("User") }));
+const articleResponse = json(
+  "The article",
+  object({ article: ref("Article") }),
+);
+const profileResponse = json(
+  "The profile",
+  object({ profile: ref("Profile") }),
+);
+const commentResponse = json(
+  "The comment",
+  object({ comment: ref("Comment") }),
+);
+const uploadResponse = json(
+  "The stored image",
+  object({ upload: ref("Upload") }),
+);
+const imageBody = {
+  required: true,
+  content: {
+    "multipart/form-data": {
+      schema: object({
+        image: {
+          ...string,
+          format: "binary",
+          description: `JPEG, PNG, WebP or GIF, up to ${
+            maxFileSize / 1024 / 1024
+          } MB and ${maxPixels / 1000 / 1000} megapixels`,
+        },
+      }),
+    },
+  },
+};
+const reportResponse = json("The report", object({ report: ref("Report") }));
+const movedResponse = {
+  description:
+    "The slug changed, `Location` has the same route under the current one. " +
+    "Write requests get a 308 instead",
+};
+
+const paths = {
+  //> Users
+  "/users": {
+    post: operation({
+      tag: "Users",
+      summary: "Register",
+      description: "Sends a verification email to the new user",
+      body: users.signUp,
+      responses: { 201: userResponse },
+    }),
+  },
+  "/users/login": {
+    post: operation({
+      tag: "Users",
+      summary: "Login",
+      description:
+        "Users with two-factor authentication get a `challengeToken` to " +
+        "send with their code to `/users/login/2fa` instead of a session",
+      body: users.signIn,
+      responses: {
+        200: json("A new session, or the second step challenge", {
+          oneOf: [
+            object({ user: ref("User") }),
+            object({ twoFactor: object({ challengeToken: string }) }),
+          ],
+        }),
+      },
+      errors: ["Forbidden", "TooManyRequests"],
+    }),
+  },
+  "/users/login/2fa": {
+    post: operation({
+      tag: "Users",
+      summary: "Login - second step",
+      description:
+        "`code` is a code from the authenticator app or a backup code",
+      body: users.signInTwoFactor,
+      responses: { 200: userResponse },
+      errors: ["Unauthorized", "Forbidden", "TooManyRequests"],
+    }),
+  },
+  "/users/refresh": {
+    post: operation({
+      tag: "Users",
+      summary: "Refresh session",
+      description:
+        "Trades a refresh token for a new access token and refresh token. " +
+        "Reusing an old refresh token ends the whole session",
+      body: users.refreshSession,
+      responses: { 200: userResponse },
+      errors: ["Unauthorized"],
+    }),
+  },
+  "/users/logout": {
+    post: operation({
+      tag: "Users",
+      summary: "Logout",
+      auth: "required",
+      body: users.signOut,
+      responses: { 200: message("The session ended") },
+    }),
+  },
+  "/users/verify-email": {
+    post: operation({
+      tag: "Users",
+      summary: "Verify email",
+      body: users.verifyEmail,
+      responses: { 200: message("The email is verified") },
+    }),
+  },
+  "/users/verify-email/resend": {
+    post: operation({
+      tag: "Users",
+      summary: "Resend verification email",
+      auth: "required",
+      responses: { 200: message("The email was sent") },
+      errors: ["Invalid", "TooManyRequests"],
+    }),
+  },
+  "/users/forgot-password": {
+    post: operation({
+      tag: "Users",
+      summary: "Forgot password",
+      description: "Answers the same whether the email is registered or not",
+      body: users.forgotPassword,
+      responses: { 200: message("A reset link was sent if the user exists") },
+      errors: ["TooManyRequests"],
+    }),
+  },
+  "/users/reset-password": {
+    post: operation({
+      tag: "Users",
+      summary: "Reset password",
+      description: "Ends every session of the user",
+      body: users.resetPassword,
+      responses: { 200: message("The password changed") },
+    }),
+  },
+
+  //> Current user
+  "/user": {
+    get: operation({
+      tag: "User",
+      summary: "Current user",
+      auth: "required",
+      responses: { 200: userResponse },
+    }),
+    put: operation({
+      tag: "User",
+      summary: "Update user",
+      description: "A new email is unverified until its emailed link is opened",
+      auth: "required",
+      body: users.updateUser,
+      responses: { 200: userResponse },
+    }),
+  },
+  "/user/2fa": {
+    post: operation({
+      tag: "User",
+      summary: "Start two-factor setup",
+      description: "Stays pending until confirmed with a first code",
+      auth: "required",
+      responses: {
+        200: json(
+          "The secret to add to an authenticator app",
+          object({ twoFactor: ref("TwoFactorEnrollment") }),
+        ),
+      },
+      errors: ["Invalid"],
+    }),
+    delete: operation({
+      tag: "User",
+      summary: "Turn off two-factor authentication",
+      auth: "required",
+      body: users.twoFactorCode,
+      responses: { 200: message("Two-factor authentication is off") },
+    }),
+  },
+  "/user/2fa/confirm": {
+    post: operation({
+      tag: "User",
+      summary: "Confirm two-factor setup",
+      auth: "required",
+      body: users.twoFactorCode,
+      responses: {
+        200: json(
+          "Backup codes, only shown this once",
+          object({ twoFactor: object({ backupCodes: list(string) }) }),
+        ),
+      },
+    }),
+  },
+
+  //> Profiles
+  "/profiles/{username}": {
+    get: operation({
+      tag: "Profiles",
+      summary: "Profile",
+      cached: true,
+      auth: "optional",
+      parameters: ["username"],
+      responses: { 200: profileResponse },
+      errors: ["NotFound"],
+    }),
+  },
+  "/profiles/{username}/follow": {
+    post: operation({
+      tag: "Profiles",
+      summary: "Follow user",
+      auth: "required",
+      parameters: ["username"],
+      responses: { 200: profileResponse },
+      errors: ["NotFound"],
+    }),
+    delete: operation({
+      tag: "Profiles",
+      summary: "Unfollow user",
+      auth: "required",
+      parameters: ["username"],
+      responses: { 200: profileResponse },
+      errors: ["NotFound"],
+    }),
+  },
+
+  //> Articles
+  "/articles": {
+    get: operation({
+      tag: "Articles",
+      summary: "List articles",
+      cached: true,
+      description: "Most recent first",
+      auth: "optional",
+      parameters: [
+        queryParameter("tag", "Filter by tag"),
+        queryParameter("author", "Filter by author username"),
+        queryParameter("favorited", "Filter by a user's favorites"),
+        queryParameter(
+          "status",
+          "Comma separated or repeated statuses, only applies to your own " +
+            "articles (with `author` set to your username)",
+        ),
+        "limit",
+        "offset",
+        "before",
+        "after",
+      ],
+      responses: { 200: articlePage },
+      errors: ["Invalid"],
+    }),
+    post: operation({
+      tag: "Articles",
+      summary: "Create article",
+      auth: "required",
+      body: articles.createArticle,
+      responses: { 201: articleResponse },
+      errors: ["TooManyRequests"],
+    }),
+  },
+  "/articles/preview": {
+    post: operation({
+      tag: "Articles",
+      summary: "Preview article body",
+      description: "Renders Markdown the way the single article route does",
+      auth: "required",
+      body: articles.previewArticle,
+      responses: {
+        200: json(
+          "The rendered body",
+          object({ preview: ref("RenderedBody") }),
+        ),
+      },
+      errors: ["TooManyRequests"],
+    }),
+  },
+  "/articles/feed": {
+    get: operation({
+      tag: "Articles",
+      summary: "Feed",
+      description: "Articles from followed users, most recent first",
+      auth: "required",
+      parameters: ["limit", "offset", "before", "after"],
+      responses: { 200: articlePage },
+      errors: ["Invalid"],
+    }),
+  },
+  "/articles/search": {
+    get: operation({
+      tag: "Articles",
+      summary: "Search articles",
+      cached: true,
+      description: "Ranked by matches in the title, description and body",
+      auth: "optional",
+      parameters: [
+        { ...queryParameter("q", "Search terms"), required: true },
+        "limit",
+        "offset",
+      ],
+      responses: {
+        200: json(
+          "A page of results",
+          object({
+            articles: list(ref("SearchResult")),
+            articlesCount: integer,
+          }),
+        ),
+      },
+      errors: ["Invalid"],
+    }),
+  },
+  "/articles/{slug}": {
+    get: operation({
+      tag: "Articles",
+      summary: "Article",
+      cached: true,
+      description:
+        "Unpublished articles are only visible to their author. Comes with " +
+        "the body rendered to HTML and its table of contents",
+      auth: "optional",
+      parameters: ["slug"],
+      responses: {
+        200: json("The article", object({ article: ref("RenderedArticle") })),
+        301: movedResponse,
+      },
+      errors: ["NotFound"],
+    }),
+    put: operation({
+      tag: "Articles",
+      summary: "Update article",
+      description: "Saves the previous version as a revision",
+      auth: "required",
+      parameters: ["slug"],
+      body: articles.updateArticle,
+      responses: { 200: articleResponse, 308: movedResponse },
+      errors: ["Forbidden", "NotFound", "TooManyRequests"],
+    }),
+    delete: operation({
+      tag: "Articles",
+      summary: "Delete article",
+      auth: "required",
+      parameters: ["slug"],
+      responses: { 200: message("The article was deleted") },
+      errors: ["Forbidden", "NotFound", "TooManyRequests"],
+    }),
+  },
+  "/articles/{slug}/favorite": {
+    post: operation({
+      tag: "Favorites",
+      summary: "Favorite article",
+      auth: "required",
+      parameters: ["slug"],
+      responses: { 200: articleResponse },
+      errors: ["NotFound"],
+    }),
+    delete: operation({
+      tag: "Favorites",
+      summary: "Unfavorite article",
+      auth: "required",
+      parameters: ["slug"],
+      responses: { 200: articleResponse },
+      errors: ["NotFound"],
+    }),
+  },
+  "/articles/{slug}/comments": {
+    get: operation({
+      tag: "Comments",
+      summary: "Comments",
+      description: "Top level comments, with replies nested in `replies`",
+      auth: "optional",
+      parameters: ["slug"],
+      responses: {
+        200: json("The comments", object({ comments: list(ref("Comment")) })),
+      },
+      errors: ["NotFound"],
+    }),
+    post: operation({
+      tag: "Comments",
+      summary: "Create comment",
+      description: "Set `parentId` to reply to another comment",
+      auth: "required",
+      parameters: ["slug"],
+      body: comments.createComment,
+      responses: { 201: commentResponse },
+      errors: ["NotFound", "TooManyRequests"],
+    }),
+  },
+  "/articles/{slug}/comments/{commentId}": {
+    put: operation({
+      tag: "Comments",
+      summary: "Update comment",
+      description: "Previous bodies are listed in `edits`",
+      auth: "required",
+      parameters: ["slug", "commentId"],
+      body: comments.updateComment,
+      responses: { 200: commentResponse },
+      errors: ["Forbidden", "NotFound", "TooManyRequests"],
+    }),
+    delete: operation({
+      tag: "Comments",
+      summary: "Delete comment",
+      auth: "required",
+      parameters: ["slug", "commentId"],
+      responses: { 200: message("The comment was deleted") },
+      errors: ["Forbidden", "NotFound", "TooManyRequests"],
+    }),
+  },
+  "/articles/{slug}/revisions": {
+    get: operation({
+      tag: "Revisions",
+      summary: "Revisions",
+      description: "Only for the author, newest first",
+      auth: "required",
+      parameters: ["slug"],
+      responses: {
+        200: json(
+          "The revisions",
+          object({ revisions: list(ref("Revision")), revisionsCount: integer }),
+        ),
+      },
+      errors: ["Forbidden", "NotFound"],
+    }),
+  },
+  "/articles/{slug}/revisions/diff": {
+    get: operation({
+      tag: "Revisions",
+      summary: "Diff revisions",
+      description: "Compares with the current article when `to` is left out",
+      auth: "required",
+      parameters: [
+        "slug",
+        { ...queryParameter("from", "Revision id", integer), required: true },
+        queryParameter("to", "Revision id", integer),
+      ],
+      responses: {
+        200: json("Line diff by field", object({ diff: ref("RevisionDiff") })),
+      },
+      errors: ["Forbidden", "NotFound", "Invalid"],
+    }),
+  },
+  "/articles/{slug}/revisions/{revisionId}/restore": {
+    post: operation({
+      tag: "Revisions",
+      summary: "Restore revision",
+      description: "Saves the current version as a revision first",
+      auth: "required",
+      parameters: ["slug", "revisionId"],
+      responses: { 200: articleResponse },
+      errors: ["Forbidden", "NotFound"],
+    }),
+  },
+  "/articles/{slug}/events": {
+    get: operation({
+      tag: "Articles",
+      summary: "Live updates",
+      description:
+        "Server-Sent Events: `comment:created` with `{ comment }`, " +
+        "`comment:deleted` with `{ id }` and `favorites` with " +
+        "`{ favoritesCount }`",
+      parameters: ["slug"],
+      responses: {
+        200: {
+          description: "An event stream",
+          content: { "text/event-stream": { schema: string } },
+        },
+      },
+      errors: ["NotFound"],
+    }),
+  },
+
+  //> Tags
+  "/tags": {
+    get: operation({
+      tag: "Tags",
+      summary: "Tags",
+      description: "Tags in use, most used first",
+      cached: true,
+      parameters: [
+        queryParameter(
+          "prefix",
+          "Only tags starting with it once normalized, for autocompletion",
+        ),
+        queryParameter(
+          "limit",
+          `How many tags, 10 by default with \`prefix\`, at most ${maxPageSize}`,
+          { ...integer, minimum: 1, maximum: maxPageSize },
+        ),
+      ],
+      responses: {
+        200: json(
+          "The tags",
+          object({
+            tags: list(string),
+            counts: {
+              type: "object",
+              description: "How many published articles use each tag",
+              additionalProperties: integer,
+            },
+          }),
+        ),
+      },
+      errors: ["Invalid"],
+    }),
+  },
+
+  //> Uploads
+  "/uploads/avatar": {
+    post: {
+      ...operation({
+        tag: "Uploads",
+        summary: "Upload avatar",
+        description: "Cropped to 64 and 256 pixel squares, `url` is the larger",
+        auth: "required",
+        responses: { 201: uploadResponse },
+        errors: ["Invalid", "TooManyRequests"],
+      }),
+      requestBody: imageBody,
+    },
+  },
+  "/uploads/cover": {
+    post: {
+      ...operation({
+        tag: "Uploads",
+        summary: "Upload article cover",
+        description:
+          "Cropped to 16:9, 480 and 1200 pixels wide, `url` is the larger",
+        auth: "required",
+        responses: { 201: uploadResponse },
+        errors: ["Invalid", "TooManyRequests"],
+      }),
+      requestBody: imageBody,
+    },
+  },
+  "/uploads/{folder}/{id}/{file}": {
+    get: operation({
+      tag: "Uploads",
+      summary: "Uploaded image",
+      description: "Only when files are stored on this server",
+      parameters: ["folder", "id", "file"].map((name) => ({
+        name: name,
+        in: "path",
+        required: true,
+        schema: string,
+      })),
+      responses: {
+        200: {
+          description: "The image, cacheable for good",
+          content: {
+            "image/webp": { schema: { ...string, format: "binary" } },
+          },
+        },
+      },
+      errors: ["NotFound"],
+    }),
+  },
+
+  //> Notifications
+  "/notifications": {
+    get: operation({
+      tag: "Notifications",
+      summary: "Notifications",
+      description: "Most recent first",
+      auth: "required",
+      parameters: [
+        queryParameter("unread", "Only unread notifications", boolean),
+        "limit",
+        "offset",
+      ],
+      responses: {
+        200: json(
+          "A page of notifications",
+          object({
+            notifications: list(ref("Notification")),
+            notificationsCount: integer,
+            unreadCount: integer,
+          }),
+        ),
+      },
+      errors: ["Invalid"],
+    }),
+  },
+  "/notifications/read": {
+    post: operation({
+      tag: "Notifications",
+      summary: "Mark all as read",
+      auth: "required",
+      responses: { 200: message("Every notification is read") },
+    }),
+  },
+  "/notifications/{notificationId}/read": {
+    post: operation({
+      tag: "Notifications",
+      summary: "Mark as read",
+      auth: "required",
+      parameters: ["notificationId"],
+      responses: {
+        200: json(
+          "The notification",
+          object({ notification: ref("Notification") }),
+        ),
+      },
+      errors: ["NotFound"],
+    }),
+  },
+
+  //> Moderation
+  "/moderation/reports": {
+    get: operation({
+      tag: "Moderation",
+      summary: "Reports",
+      description: "Needs the `reports:manage` permission. Oldest first",
+      auth: "required",
+      parameters: [
+        queryParameter("status", "Comma separated statuses"),
+        "limit",
+        "offset",
+      ],
+      responses: {
+        200: json(
+          "A page of reports",
+          object({ reports: list(ref("Report")), reportsCount: integer }),
+        ),
+      },
+      errors: ["Forbidden", "Invalid"],
+    }),
+    post: operation({
+      tag: "Moderation",
+      summary: "Report content",
+      description:
+        "`target` is the article slug, comment id or username to report",
+      auth: "required",
+      body: moderation.createReport,
+      responses: { 201: reportResponse },
+      errors: ["NotFound"],
+    }),
+  },
+  "/moderation/reports/{reportId}": {
+    put: operation({
+      tag: "Moderation",
+      summary: "Triage or resolve report",
+      description:
+        "Needs the `reports:manage` permission. Resolved reports can `hide` " +
+        "articles and comments, `unhide` them again or `suspend` their author",
+      auth: "required",
+      parameters: ["reportId"],
+      body: moderation.updateReport,
+      responses: { 200: reportResponse },
+      errors: ["Forbidden", "NotFound"],
+    }),
+  },
+
+  //> Admin
+  "/admin/users": {
+    get: operation({
+      tag: "Admin",
+      summary: "Users",
+      description: "Needs the `users:manage` permission",
+      auth: "required",
+      parameters: [queryParameter("role", "Filter by role"), "limit", "offset"],
+      responses: {
+        200: json(
+          "A page of users",
+          object({ users: list(ref("AdminUser")), usersCount: integer }),
+        ),
+      },
+      errors: ["Forbidden", "Invalid"],
+    }),
+  },
+  "/admin/users/{username}": {
+    put: operation({
+      tag: "Admin",
+      summary: "Change role",
+      description: "Needs the `users:manage` permission",
+      auth: "required",
+      parameters: ["username"],
+      body: admin.updateUserRole,
+      responses: {
+        200: json("The user", object({ user: ref("AdminUser") })),
+      },
+      errors: ["Forbidden", "NotFound"],
+    }),
+    delete: operation({
+      tag: "Admin",
+      summary: "Delete user",
+      description: "Needs the `users:manage` permission",
+      auth: "required",
+      parameters: ["username"],
+      responses: { 200: message("The user was deleted") },
+      errors: ["Forbidden", "NotFound", "Invalid"],
+    }),
+  },
+
+  //> Docs
+  "/openapi.json": {
+    get: operation({
+      tag: "Docs",
+      summary: "This document",
+      responses: { 200: json("OpenAPI 3 document", { type: "object" }) },
+    }),
+  },
+  "/docs": {
+    get: operation({
+      tag: "Docs",
+      summary: "Interactive docs",
+      responses: {
+        200: {
+          description: "HTML page",
+          content: { "text/html": { schema: string } },
+        },
+      },
+    }),
+  },
+};
+
+module.exports = paths;
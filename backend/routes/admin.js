@@ -0,0 +1,26 @@
+const express = require("express");
+const router = express.Router();
+const verifyToken = require("../middleware/authentication");
+const requirePermission = require("../middleware/authorization");
+const validateBody = require("../middleware/validateBody");
+const schemas = require("../schemas/admin");
+const {
+  allUsers,
+  updateUserRole,
+  deleteUser,
+} = require("../controllers/admin");
+
+router.use(verifyToken, requirePermission("users:manage"));
+
+//? All Users
+router.get("/users", allUsers);
+//* Update User Role
+router.put(
+  "/users/:username",
+  validateBody(schemas.updateUserRole),
+  updateUserRole,
+);
+//* Delete User
+router.delete("/users/:username", deleteUser);
+
+module.exports = router;
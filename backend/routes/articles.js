@@ -1,34 +1,83 @@
 const express = require("express");
 const router = express.Router();
 const verifyToken = require("../middleware/authentication");
+const cacheResponse = require("../middleware/cacheResponse");
+const slugRedirect = require("../middleware/slugRedirect");
+const rateLimit = require("../middleware/rateLimit");
+const validateBody = require("../middleware/validateBody");
+const schemas = require("../schemas/articles");
+const { articleTags } = require("../helper/cache");
 const {
   allArticles,
+  searchArticles,
   createArticle,
+  previewArticle,
   singleArticle,
   updateArticle,
   deleteArticle,
   articlesFeed,
 } = require("../controllers/articles");
 
+router.param("slug", slugRedirect);
+
+const writeLimit = rateLimit({ max: 20, windowMs: 60 * 1000 });
+const previewLimit = rateLimit({ max: 60, windowMs: 60 * 1000 });
+
+const cacheList = cacheResponse((req, { articles }) => [
+  "articles",
+  ...articleTags(articles),
+]);
+const cacheArticle = cacheResponse((req, { article }) =>
+  articleTags([article]),
+);
+
 //? All Articles - by Author/by Tag/Favorited by user
-router.get("/", verifyToken, allArticles);
+router.get("/", verifyToken, cacheList, allArticles);
 //* Create Article
-router.post("/", verifyToken, createArticle);
+router.post(
+  "/",
+  verifyToken,
+  writeLimit,
+  validateBody(schemas.createArticle),
+  createArticle,
+);
+//* Preview Article body
+router.post(
+  "/preview",
+  verifyToken,
+  previewLimit,
+  validateBody(schemas.previewArticle),
+  previewArticle,
+);
 //* Feed
 router.get("/feed", verifyToken, articlesFeed);
+//? Search Articles - by Title/Description/Body
+router.get("/search", verifyToken, cacheList, searchArticles);
 // Single Article by slug
-router.get("/:slug", verifyToken, singleArticle);
+router.get("/:slug", verifyToken, cacheArticle, singleArticle);
 //* Update Article
-router.put("/:slug", verifyToken, updateArticle);
+router.put(
+  "/:slug",
+  verifyToken,
+  writeLimit,
+  validateBody(schemas.updateArticle),
+  updateArticle,
+);
 //* Delete Article
-router.delete("/:slug", verifyToken, deleteArticle);
+router.delete("/:slug", verifyToken, writeLimit, deleteArticle);
 
 const favoritesRoutes = require("./articles/favorites");
 const commentsRoutes = require("./articles/comments");
+const revisionsRoutes = require("./articles/revisions");
+const eventsRoutes = require("./articles/events");
 
 //> Favorites routes
 router.use("/", favoritesRoutes);
 //> Comments routes
 router.use("/", commentsRoutes);
+//> Revisions routes
+router.use("/", revisionsRoutes);
+//> Events routes
+router.use("/", eventsRoutes);
 
 module.exports = router;
@@ -1,17 +1,45 @@
 const express = require("express");
 const router = express.Router();
 const verifyToken = require("../../middleware/authentication");
+const slugRedirect = require("../../middleware/slugRedirect");
+const rateLimit = require("../../middleware/rateLimit");
+const validateBody = require("../../middleware/validateBody");
+const schemas = require("../../schemas/comments");
 const {
   allComments,
   createComment,
+  updateComment,
   deleteComment,
 } = require("../../controllers/comments");
 
+router.param("slug", slugRedirect);
+
+const writeLimit = rateLimit({ max: 30, windowMs: 60 * 1000 });
+
 //? All Comments for Article
 router.get("/:slug/comments", verifyToken, allComments);
 //* Create Comment for Article
-router.post("/:slug/comments", verifyToken, createComment);
+router.post(
+  "/:slug/comments",
+  verifyToken,
+  writeLimit,
+  validateBody(schemas.createComment),
+  createComment,
+);
+//* Update Comment for Article
+router.put(
+  "/:slug/comments/:commentId",
+  verifyToken,
+  writeLimit,
+  validateBody(schemas.updateComment),
+  updateComment,
+);
 //* Delete Comment for Article
-router.delete("/:slug/comments/:commentId", verifyToken, deleteComment);
+router.delete(
+  "/:slug/comments/:commentId",
+  verifyToken,
+  writeLimit,
+  deleteComment,
+);
 
 module.exports = router;
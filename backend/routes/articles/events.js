@@ -0,0 +1,11 @@
+const express = require("express");
+const router = express.Router();
+const slugRedirect = require("../../middleware/slugRedirect");
+const { articleEvents } = require("../../controllers/events");
+
+router.param("slug", slugRedirect);
+
+//? Article Events
+router.get("/:slug/events", articleEvents);
+
+module.exports = router;
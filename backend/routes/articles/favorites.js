@@ -1,8 +1,11 @@
 const express = require("express");
 const router = express.Router();
 const verifyToken = require("../../middleware/authentication");
+const slugRedirect = require("../../middleware/slugRedirect");
 const { favoriteToggler } = require("../../controllers/favorites");
 
+router.param("slug", slugRedirect);
+
 //* Favorite Article
 router.post("/:slug/favorite", verifyToken, favoriteToggler);
 //* Unfavorite Article
@@ -0,0 +1,24 @@
+const express = require("express");
+const router = express.Router();
+const verifyToken = require("../../middleware/authentication");
+const slugRedirect = require("../../middleware/slugRedirect");
+const {
+  allRevisions,
+  revisionsDiff,
+  restoreRevision,
+} = require("../../controllers/revisions");
+
+router.param("slug", slugRedirect);
+
+//? All Revisions for Article
+router.get("/:slug/revisions", verifyToken, allRevisions);
+//? Diff between Revisions
+router.get("/:slug/revisions/diff", verifyToken, revisionsDiff);
+//* Restore Revision
+router.post(
+  "/:slug/revisions/:revisionId/restore",
+  verifyToken,
+  restoreRevision,
+);
+
+module.exports = router;
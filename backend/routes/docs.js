@@ -0,0 +1,19 @@
+const express = require("express");
+const path = require("path");
+const swaggerUi = require("swagger-ui-dist");
+const router = express.Router();
+const openapi = require("../openapi");
+
+// OpenAPI document
+router.get("/openapi.json", (req, res) => res.json(openapi));
+// Interactive docs
+router.get("/docs", (req, res) => {
+  res.sendFile(path.join(__dirname, "../openapi/docs.html"));
+});
+// Swagger UI, from the installed package rather than a CDN
+router.use(
+  "/docs/assets",
+  express.static(swaggerUi.getAbsoluteFSPath(), { index: false, maxAge: "1d" }),
+);
+
+module.exports = router;
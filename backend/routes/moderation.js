@@ -0,0 +1,33 @@
+const express = require("express");
+const router = express.Router();
+const verifyToken = require("../middleware/authentication");
+const requirePermission = require("../middleware/authorization");
+const validateBody = require("../middleware/validateBody");
+const schemas = require("../schemas/moderation");
+const {
+  allReports,
+  createReport,
+  updateReport,
+} = require("../controllers/moderation");
+
+const canManage = requirePermission("reports:manage");
+
+//? All Reports
+router.get("/reports", verifyToken, canManage, allReports);
+//* Create Report
+router.post(
+  "/reports",
+  verifyToken,
+  validateBody(schemas.createReport),
+  createReport,
+);
+//* Triage/Resolve Report
+router.put(
+  "/reports/:reportId",
+  verifyToken,
+  canManage,
+  validateBody(schemas.updateReport),
+  updateReport,
+);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require("express");
+const router = express.Router();
+const verifyToken = require("../middleware/authentication");
+const {
+  allNotifications,
+  readNotification,
+  readAllNotifications,
+} = require("../controllers/notifications");
+
+//? All Notifications
+router.get("/", verifyToken, allNotifications);
+//* Mark all Notifications as read
+router.post("/read", verifyToken, readAllNotifications);
+//* Mark Notification as read
+router.post("/:notificationId/read", verifyToken, readNotification);
+
+module.exports = router;
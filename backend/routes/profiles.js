@@ -1,10 +1,16 @@
 const express = require("express");
 const router = express.Router();
 const verifyToken = require("../middleware/authentication");
+const cacheResponse = require("../middleware/cacheResponse");
 const { getProfile, followToggler } = require("../controllers/profiles");
 
 //? Profile
-router.get("/:username", verifyToken, getProfile);
+router.get(
+  "/:username",
+  verifyToken,
+  cacheResponse((req) => [`profile:${req.params.username}`]),
+  getProfile,
+);
 
 //* Follow Profile
 router.post("/:username/follow", verifyToken, followToggler);
@@ -0,0 +1,23 @@
+const express = require("express");
+const router = express.Router();
+const verifyToken = require("../middleware/authentication");
+const imageUpload = require("../middleware/imageUpload");
+const rateLimit = require("../middleware/rateLimit");
+const { getStorage } = require("../storage");
+const { uploadAvatar, uploadCover } = require("../controllers/uploads");
+
+const uploadLimit = rateLimit({ max: 10, windowMs: 60 * 1000 });
+
+//? Uploaded file - when the storage driver keeps them on this server
+router.get("/:folder/:id/:file", (req, res, next) => {
+  const { serve } = getStorage();
+  if (!serve) return next();
+
+  serve(req, res, next);
+});
+//* Upload Avatar
+router.post("/avatar", verifyToken, uploadLimit, imageUpload, uploadAvatar);
+//* Upload Article cover
+router.post("/cover", verifyToken, uploadLimit, imageUpload, uploadCover);
+
+module.exports = router;
@@ -1,11 +1,35 @@
 const express = require("express");
 const router = express.Router();
 const verifyToken = require("../middleware/authentication");
+const validateBody = require("../middleware/validateBody");
+const schemas = require("../schemas/users");
 const { currentUser, updateUser } = require("../controllers/user");
+const {
+  enrollTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+} = require("../controllers/twoFactor");
 
 //* Current User
 router.get("/", verifyToken, currentUser);
 //* Update User
-router.put("/", verifyToken, updateUser);
+router.put("/", verifyToken, validateBody(schemas.updateUser), updateUser);
+
+//* Enroll Two-Factor
+router.post("/2fa", verifyToken, enrollTwoFactor);
+//* Confirm Two-Factor
+router.post(
+  "/2fa/confirm",
+  verifyToken,
+  validateBody(schemas.twoFactorCode),
+  confirmTwoFactor,
+);
+//* Disable Two-Factor
+router.delete(
+  "/2fa",
+  verifyToken,
+  validateBody(schemas.twoFactorCode),
+  disableTwoFactor,
+);
 
 module.exports = router;
@@ -1,10 +1,54 @@
 const express = require("express");
 const router = express.Router();
-const { signUp, signIn } = require("../controllers/users");
+const verifyToken = require("../middleware/authentication");
+const rateLimit = require("../middleware/rateLimit");
+const validateBody = require("../middleware/validateBody");
+const schemas = require("../schemas/users");
+const {
+  signUp,
+  signIn,
+  signInTwoFactor,
+  refreshSession,
+  signOut,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+} = require("../controllers/users");
+
+// Each of these sends an email
+const mailLimit = rateLimit({ max: 5, windowMs: 15 * 60 * 1000 });
 
 // Register
-router.post("/", signUp);
+router.post("/", validateBody(schemas.signUp), signUp);
 // Login
-router.post("/login", signIn);
+router.post("/login", validateBody(schemas.signIn), signIn);
+// Login - second step
+router.post(
+  "/login/2fa",
+  validateBody(schemas.signInTwoFactor),
+  signInTwoFactor,
+);
+// Refresh
+router.post("/refresh", validateBody(schemas.refreshSession), refreshSession);
+// Logout
+router.post("/logout", verifyToken, validateBody(schemas.signOut), signOut);
+// Verify Email
+router.post("/verify-email", validateBody(schemas.verifyEmail), verifyEmail);
+// Resend Verification Email
+router.post("/verify-email/resend", verifyToken, mailLimit, resendVerification);
+// Forgot Password
+router.post(
+  "/forgot-password",
+  mailLimit,
+  validateBody(schemas.forgotPassword),
+  forgotPassword,
+);
+// Reset Password
+router.post(
+  "/reset-password",
+  validateBody(schemas.resetPassword),
+  resetPassword,
+);
 
 module.exports = router;
@@ -0,0 +1,8 @@
+const { roles } = require("../helper/permissions");
+
+const updateUserRole = {
+  wrapper: "user",
+  fields: { role: { type: "string", required: true, oneOf: roles } },
+};
+
+module.exports = { updateUserRole };
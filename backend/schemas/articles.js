@@ -0,0 +1,55 @@
+const { articleStatuses } = require("../helper/helpers");
+const { imageUrl } = require("./common");
+
+const title = { type: "string", maxLength: 255 };
+const description = { type: "string", maxLength: 1000 };
+const body = { type: "string", maxLength: 100000 };
+const tagList = {
+  type: "array",
+  maxItems: 10,
+  items: {
+    type: "string",
+    required: true,
+    maxLength: 32,
+    // Anything else is dropped when tags are normalized
+    pattern: /[\p{L}\p{N}]/u,
+    message: "must contain a letter or a digit",
+  },
+};
+const status = { type: "string", oneOf: articleStatuses };
+const publishAt = { type: "date", nullable: true };
+
+const createArticle = {
+  wrapper: "article",
+  fields: {
+    title: { ...title, required: true },
+    description: { ...description, required: true },
+    body: { ...body, required: true },
+    tagList: { ...tagList, default: [] },
+    status: status,
+    publishAt: publishAt,
+    coverImage: imageUrl,
+  },
+};
+
+const updateArticle = {
+  wrapper: "article",
+  fields: {
+    title: title,
+    description: description,
+    body: body,
+    tagList: tagList,
+    status: status,
+    publishAt: publishAt,
+    coverImage: imageUrl,
+  },
+};
+
+const previewArticle = {
+  wrapper: "article",
+  fields: {
+    body: { ...body, required: true },
+  },
+};
+
+module.exports = { createArticle, updateArticle, previewArticle };
@@ -0,0 +1,13 @@
+const body = { type: "string", required: true, maxLength: 5000 };
+
+const createComment = {
+  wrapper: "comment",
+  fields: { body: body, parentId: { type: "integer", nullable: true } },
+};
+
+const updateComment = {
+  wrapper: "comment",
+  fields: { body: body },
+};
+
+module.exports = { createComment, updateComment };
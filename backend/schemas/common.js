@@ -0,0 +1,11 @@
+// Remote images, or files from the upload routes
+const imageUrl = {
+  type: "string",
+  nullable: true,
+  allowBlank: true,
+  maxLength: 2048,
+  pattern: /^(https?:\/\/\S+|\/api\/uploads\/[\w/-]+\.\w+)$/,
+  message: "must be a http(s) URL or an uploaded image",
+};
+
+module.exports = { imageUrl };
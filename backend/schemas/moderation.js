@@ -0,0 +1,27 @@
+const {
+  reportActions,
+  reportStatuses,
+  reportTypes,
+} = require("../helper/moderation");
+
+const actions = [...new Set(Object.values(reportActions).flat())];
+
+const createReport = {
+  wrapper: "report",
+  fields: {
+    type: { type: "string", required: true, oneOf: reportTypes },
+    target: { type: ["string", "integer"], required: true },
+    reason: { type: "string", required: true, maxLength: 1000 },
+  },
+};
+
+// Which action fits which report is checked against the report itself
+const updateReport = {
+  wrapper: "report",
+  fields: {
+    status: { type: "string", required: true, oneOf: reportStatuses },
+    action: { type: "string", nullable: true, oneOf: actions },
+  },
+};
+
+module.exports = { createReport, updateReport };
@@ -0,0 +1,100 @@
+const { imageUrl } = require("./common");
+
+const username = {
+  type: "string",
+  minLength: 3,
+  maxLength: 32,
+  pattern: /^[\w.-]+$/,
+  message: "can only contain letters, numbers, dots, dashes and underscores",
+};
+const email = { type: "string", format: "email", maxLength: 255 };
+const password = { type: "string", minLength: 8, maxLength: 72 };
+const bio = {
+  type: "string",
+  nullable: true,
+  allowBlank: true,
+  maxLength: 1000,
+};
+const token = { type: "string", required: true, maxLength: 255 };
+const code = { type: "string", required: true, maxLength: 32 };
+
+const signUp = {
+  wrapper: "user",
+  fields: {
+    username: { ...username, required: true },
+    email: { ...email, required: true },
+    password: { ...password, required: true },
+    bio: bio,
+    image: imageUrl,
+  },
+};
+
+// No length rules here, older passwords may not follow the current ones
+const signIn = {
+  wrapper: "user",
+  fields: {
+    email: { type: "string", required: true },
+    password: { type: "string", required: true },
+  },
+};
+
+const signInTwoFactor = {
+  wrapper: "user",
+  fields: { challengeToken: { type: "string", required: true }, code: code },
+};
+
+const refreshSession = {
+  wrapper: "user",
+  fields: { refreshToken: token },
+};
+
+const signOut = {
+  wrapper: "user",
+  optional: true,
+  fields: { refreshToken: { type: "string" } },
+};
+
+const verifyEmail = {
+  wrapper: "user",
+  fields: { token: token },
+};
+
+const forgotPassword = {
+  wrapper: "user",
+  fields: { email: { ...email, required: true } },
+};
+
+const resetPassword = {
+  wrapper: "user",
+  fields: { token: token, password: { ...password, required: true } },
+};
+
+// A blank password keeps the current one
+const updateUser = {
+  wrapper: "user",
+  fields: {
+    username: username,
+    email: email,
+    password: { ...password, allowBlank: true },
+    bio: bio,
+    image: imageUrl,
+  },
+};
+
+const twoFactorCode = {
+  wrapper: "twoFactor",
+  fields: { code: code },
+};
+
+module.exports = {
+  signUp,
+  signIn,
+  signInTwoFactor,
+  refreshSession,
+  signOut,
+  verifyEmail,
+  forgotPassword,
+  resetPassword,
+  updateUser,
+  twoFactorCode,
+};
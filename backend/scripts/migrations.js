@@ -0,0 +1,68 @@
+// Usage: node scripts/migrations.js status|baseline
+require("dotenv").config();
+const { sequelize, Sequelize } = require("../models");
+const {
+  metaTable,
+  migrationFiles,
+  migrationStatus,
+  syncedUntil,
+} = require("../helper/migrations");
+
+const status = async () => {
+  const migrations = await migrationStatus(sequelize);
+
+  for (const { name, executed, missing } of migrations) {
+    const state = executed ? "up  " : "down";
+    console.log(`${state} ${name}${missing ? " (file missing)" : ""}`);
+  }
+
+  const pending = migrations.filter(({ executed }) => !executed).length;
+  console.log(pending ? `\n${pending} pending` : "\nUp to date");
+};
+
+/**
+ * Records the migrations creating the tables every database built by `sync`
+ * has, so only the later ones run. Those skip whatever the release that
+ * built the database already created. Refuses when the history isn't empty.
+ */
+const baseline = async () => {
+  const migrations = await migrationStatus(sequelize);
+  if (migrations.some(({ executed }) => executed)) {
+    throw new Error("This database already has a migration history");
+  }
+
+  const queryInterface = sequelize.getQueryInterface();
+  await queryInterface.createTable(metaTable, {
+    name: { type: Sequelize.STRING, allowNull: false, primaryKey: true },
+  });
+
+  const names = migrationFiles().filter((name) => name <= syncedUntil);
+  await queryInterface.bulkInsert(
+    metaTable,
+    names.map((name) => ({ name })),
+  );
+
+  console.log(`Recorded ${names.length} migrations as executed.`);
+  console.log("Run `npm run migrate -w backend` for the rest.");
+};
+
+const commands = { status, baseline };
+
+(async () => {
+  const command = commands[process.argv[2]];
+  if (!command) {
+    console.error(
+      `Usage: node scripts/migrations.js ${Object.keys(commands).join("|")}`,
+    );
+    process.exit(1);
+  }
+
+  try {
+    await command();
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+})();
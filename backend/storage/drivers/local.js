@@ -0,0 +1,32 @@
+const express = require("express");
+const fs = require("fs/promises");
+const path = require("path");
+
+// Keeps files on this server's disk and serves them under `baseUrl`
+const localDriver = ({
+  directory = process.env.UPLOAD_DIR || "uploads",
+  baseUrl = "/api/uploads",
+} = {}) => {
+  const fileOf = (key) => path.join(directory, ...key.split("/"));
+
+  return {
+    async put(key, data) {
+      await fs.mkdir(path.dirname(fileOf(key)), { recursive: true });
+      await fs.writeFile(fileOf(key), data);
+
+      return `${baseUrl}/${key}`;
+    },
+
+    async remove(key) {
+      await fs.rm(fileOf(key), { force: true });
+    },
+
+    // Names are random and never reused, so files can be cached for good
+    serve: express.static(directory, {
+      immutable: true,
+      maxAge: "1y",
+    }),
+  };
+};
+
+module.exports = localDriver;
@@ -0,0 +1,26 @@
+/**
+ * Drivers need `put(key, data, contentType)`, resolving to the file's public
+ * URL, and `remove(key)`. Those storing files on this server also have a
+ * `serve` middleware. Add new ones here, or plug one in with `setStorage`.
+ */
+const drivers = {
+  local: require("./drivers/local"),
+};
+
+let storage;
+
+const getStorage = () => {
+  if (storage) return storage;
+
+  const name = process.env.STORAGE_DRIVER || "local";
+  if (!drivers[name]) throw new Error(`Unknown storage driver "${name}"`);
+
+  storage = drivers[name]();
+  return storage;
+};
+
+const setStorage = (customStorage) => {
+  storage = customStorage;
+};
+
+module.exports = { drivers, getStorage, setStorage };
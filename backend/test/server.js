@@ -0,0 +1,65 @@
+// Runs the real app against an in-memory SQLite database for the tests that
+// go through HTTP. Require it before anything that loads the models.
+process.env.TEST_DB_DIALECT = "sqlite";
+process.env.JWT_KEY = process.env.JWT_KEY || "test";
+
+const { sequelize } = require("../models");
+const { setTransport } = require("../mail");
+const app = require("../app");
+
+let baseUrl;
+let server;
+
+/**
+ * Creates the tables and listens on a free port. `send` receives every mail
+ * the app sends, `logging` every query it runs.
+ */
+const startServer = async ({ send = async () => {}, logging = false } = {}) => {
+  sequelize.options.logging = logging;
+  await sequelize.sync();
+
+  setTransport({ send });
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  return baseUrl;
+};
+
+const stopServer = async () => {
+  setTransport(undefined);
+  server.close();
+  await sequelize.close();
+};
+
+// Redirects are returned, not followed, so tests can check them
+const request = async (method, url, { body, token } = {}) => {
+  const response = await fetch(`${baseUrl}${url}`, {
+    method: method,
+    redirect: "manual",
+    headers: {
+      "content-type": "application/json",
+      ...(token && { authorization: `Token ${token}` }),
+    },
+    body: body && JSON.stringify(body),
+  });
+  const text = await response.text();
+
+  return {
+    status: response.status,
+    headers: response.headers,
+    data: text && JSON.parse(text),
+  };
+};
+
+// Signs a user up as `<username>@conduit.io`, returning the user with its token
+const signUp = async (username) => {
+  const { data } = await request("POST", "/users", {
+    body: {
+      user: { username, email: `${username}@conduit.io`, password: "password" },
+    },
+  });
+
+  return data.user;
+};
+
+module.exports = { request, signUp, startServer, stopServer };
@@ -2,7 +2,16 @@ import { Link, useNavigate } from "react-router-dom";
 import { useAuth } from "../../context/AuthContext";
 import deleteArticle from "../../services/deleteArticle";
 
-function ArticleAuthorButtons({ body, description, slug, tagList, title }) {
+function ArticleAuthorButtons({
+  body,
+  description,
+  moderate,
+  publishAt,
+  slug,
+  status,
+  tagList,
+  title,
+}) {
   const { headers, isAuth } = useAuth();
   const navigate = useNavigate();
 
@@ -26,15 +35,24 @@ function ArticleAuthorButtons({ body, description, slug, tagList, title }) {
       >
         <i className="ion-trash-a"></i> Delete Article
       </button>{" "}
-      <button className="btn btn-sm" style={{ color: "#777" }}>
-        <Link
-          className="nav-link"
-          state={{ body, description, tagList, title }}
-          to={`/editor/${slug}`}
-        >
-          <i className="ion-edit"></i> Edit Article
-        </Link>
-      </button>{" "}
+      {!moderate && (
+        <>
+          <button className="btn btn-sm" style={{ color: "#777" }}>
+            <Link
+              className="nav-link"
+              state={{ body, description, publishAt, status, tagList, title }}
+              to={`/editor/${slug}`}
+            >
+              <i className="ion-edit"></i> Edit Article
+            </Link>
+          </button>{" "}
+          <button className="btn btn-sm" style={{ color: "#777" }}>
+            <Link className="nav-link" to={`/article/${slug}/revisions`}>
+              <i className="ion-clock"></i> History
+            </Link>
+          </button>{" "}
+        </>
+      )}
     </>
   );
 }
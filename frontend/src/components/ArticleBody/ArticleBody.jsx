@@ -0,0 +1,25 @@
+import ArticleToc from "../ArticleToc";
+
+// Routes live in the URL hash, so links to headings scroll instead. Links
+// to routes (`#/...`) are left to the router.
+const scrollToHeading = (e) => {
+  const href = e.target.closest("a")?.getAttribute("href");
+  if (!href?.startsWith("#") || href.startsWith("#/")) return;
+
+  e.preventDefault();
+  document.getElementById(href.slice(1))?.scrollIntoView();
+};
+
+// Body rendered by the API, shared by the article page and the editor preview
+function ArticleBody({ bodyHtml, children, toc }) {
+  return (
+    <div className="article-body" onClick={scrollToHeading}>
+      <ArticleToc toc={toc} />
+      {/* Sanitized by the API */}
+      {bodyHtml && <div dangerouslySetInnerHTML={{ __html: bodyHtml }} />}
+      {children}
+    </div>
+  );
+}
+
+export default ArticleBody;
@@ -1,22 +1,91 @@
 import { useEffect, useState } from "react";
 import { useLocation, useNavigate, useParams } from "react-router-dom";
 import { useAuth } from "../../context/AuthContext";
+import { clearDraft, draftKey, loadDraft } from "../../helpers/drafts";
+import formErrors from "../../helpers/formErrors";
+import imageVariant from "../../helpers/imageVariant";
+import useAutosave from "../../hooks/useAutosave";
+import useUnsavedChanges from "../../hooks/useUnsavedChanges";
 import getArticle from "../../services/getArticle";
+import previewArticle from "../../services/previewArticle";
 import setArticle from "../../services/setArticle";
+import ArticleBody from "../ArticleBody";
+import FieldErrors from "../FieldErrors";
 import FormFieldset from "../FormFieldset";
+import ImageUpload from "../ImageUpload";
+import TagInput from "../TagInput";
 
-const emptyForm = { title: "", description: "", body: "", tagList: "" };
+const fieldNames = [
+  "body",
+  "coverImage",
+  "description",
+  "publishAt",
+  "status",
+  "tagList",
+  "title",
+];
 
+const emptyForm = {
+  title: "",
+  description: "",
+  body: "",
+  coverImage: "",
+  tagList: [],
+  status: "published",
+  publishAt: "",
+};
+
+const submitText = {
+  archived: "Archive Article",
+  draft: "Save Draft",
+  scheduled: "Schedule Article",
+};
+
+// Formats a date the way `<input type="datetime-local">` expects it.
+const toDateTimeLocal = (date) => {
+  if (!date) return "";
+
+  const localDate = new Date(date);
+  localDate.setMinutes(localDate.getMinutes() - localDate.getTimezoneOffset());
+
+  return localDate.toISOString().slice(0, 16);
+};
+
+// Only the fields the form edits, so drafts and comparisons leave out the rest
+const toForm = (article) => ({
+  ...emptyForm,
+  ...Object.fromEntries(
+    Object.keys(emptyForm)
+      .filter((name) => article[name])
+      .map((name) => [name, article[name]]),
+  ),
+  publishAt: toDateTimeLocal(article.publishAt),
+});
+
+const isSame = (form, other) => JSON.stringify(form) === JSON.stringify(other);
+
+// Mounted once per article, see `ArticleEditor`
 function ArticleEditorForm() {
   const { state } = useLocation();
-  const [{ title, description, body, tagList }, setForm] = useState(
-    state || emptyForm,
-  );
-  const [errorMessage, setErrorMessage] = useState("");
   const { isAuth, headers, loggedUser } = useAuth();
+  const { slug } = useParams();
+  const key = draftKey(loggedUser.username, slug);
 
+  // Last saved version, the form has unsaved changes while it differs
+  const [saved, setSaved] = useState(() => (state ? toForm(state) : emptyForm));
+  const [draft, setDraft] = useState(() => loadDraft(key));
+  const [form, setForm] = useState(() => draft?.form || saved);
+  const { title, description, body, coverImage, tagList, status, publishAt } =
+    form;
+
+  const [{ fields, message }, setErrors] = useState({ fields: {} });
+  const [previewing, setPreviewing] = useState(false);
+  const [preview, setPreview] = useState(null);
   const navigate = useNavigate();
-  const { slug } = useParams();
+
+  const dirty = !isSame(form, saved);
+  const autosavedAt = useAutosave({ dirty, form, key });
+  useUnsavedChanges(dirty);
 
   useEffect(() => {
     const redirect = () => navigate("/", { replace: true, state: null });
@@ -25,15 +94,25 @@ function ArticleEditorForm() {
     if (state || !slug) return;
 
     getArticle({ headers, slug })
-      .then(({ author: { username }, body, description, tagList, title }) => {
+      .then(({ author: { username }, ...article }) => {
         if (username !== loggedUser.username) redirect();
 
-        setForm({ body, description, tagList, title });
+        const loaded = toForm(article);
+        setSaved(loaded);
+        // A restored draft wins over the saved article
+        setForm((form) => (loadDraft(key) ? form : loaded));
       })
       .catch(console.error);
+  }, [headers, isAuth, key, loggedUser.username, navigate, slug, state]);
+
+  useEffect(() => {
+    if (!previewing) return;
 
-    return () => setForm(emptyForm);
-  }, [headers, isAuth, loggedUser.username, navigate, slug, state]);
+    setPreview(null);
+    previewArticle({ body, headers })
+      .then(setPreview)
+      .catch((error) => setPreview({ error: error.message }));
+  }, [body, headers, previewing]);
 
   const inputHandler = (e) => {
     const type = e.target.name;
@@ -42,27 +121,63 @@ function ArticleEditorForm() {
     setForm((form) => ({ ...form, [type]: value }));
   };
 
-  const tagsInputHandler = (e) => {
-    const value = e.target.value;
+  const coverHandler = (url) => {
+    setForm((form) => ({ ...form, coverImage: url }));
+  };
+
+  const tagsHandler = (tagList) => {
+    setForm((form) => ({ ...form, tagList }));
+  };
 
-    setForm((form) => ({ ...form, tagList: value.split(/,| /) }));
+  const discardDraft = () => {
+    clearDraft(key);
+    setDraft(null);
+    setForm(saved);
   };
 
   const formSubmit = (e) => {
     e.preventDefault();
 
-    setArticle({ headers, slug, body, description, tagList, title })
-      .then((slug) => navigate(`/article/${slug}`))
-      .catch(setErrorMessage);
+    setArticle({
+      headers,
+      slug,
+      body,
+      coverImage,
+      description,
+      tagList,
+      title,
+      status,
+      publishAt: publishAt ? new Date(publishAt).toISOString() : null,
+    })
+      .then((slug) => {
+        clearDraft(key);
+        setSaved(form);
+        navigate(`/article/${slug}`);
+      })
+      .catch((error) => setErrors(formErrors(error, fieldNames)));
   };
 
   return (
     <form onSubmit={formSubmit}>
       <fieldset>
-        {errorMessage && <span className="error-messages">{errorMessage}</span>}
+        {draft && dirty && (
+          <div className="draft-notice">
+            Restored unsaved changes from{" "}
+            {new Date(draft.savedAt).toLocaleString()}.
+            <button
+              className="btn btn-sm btn-link"
+              onClick={discardDraft}
+              type="button"
+            >
+              Discard them
+            </button>
+          </div>
+        )}
+        {message && <span className="error-messages">{message}</span>}
         <FormFieldset
           placeholder="Article Title"
           name="title"
+          errors={fields.title}
           required
           value={title}
           handler={inputHandler}
@@ -72,36 +187,115 @@ function ArticleEditorForm() {
           normal
           placeholder="What's this article about?"
           name="description"
+          errors={fields.description}
           required
           value={description}
           handler={inputHandler}
         ></FormFieldset>
 
-        <fieldset className="form-group">
-          <textarea
+        {coverImage && (
+          <div className="cover-preview">
+            <img alt="Cover" src={imageVariant(coverImage, "small")} />
+            <button
+              className="btn btn-sm btn-outline-danger"
+              onClick={() => coverHandler("")}
+              type="button"
+            >
+              <i className="ion-trash-a"></i> Remove cover
+            </button>
+          </div>
+        )}
+        <ImageUpload
+          errors={fields.coverImage}
+          kind="cover"
+          label={coverImage ? "Change cover image" : "Upload a cover image"}
+          onUpload={coverHandler}
+        />
+
+        <ul className="nav nav-pills outline-active editor-tabs">
+          {[
+            ["Write", false],
+            ["Preview", true],
+          ].map(([text, value]) => (
+            <li className="nav-item" key={text}>
+              <button
+                className={`nav-link ${previewing === value ? "active" : ""}`}
+                onClick={() => setPreviewing(value)}
+                type="button"
+              >
+                {text}
+              </button>
+            </li>
+          ))}
+        </ul>
+
+        <fieldset className={`form-group ${fields.body ? "has-danger" : ""}`}>
+          {previewing ? (
+            <div className="article-content editor-preview">
+              {!preview ? (
+                "Loading preview..."
+              ) : preview.error ? (
+                <span className="error-messages">{preview.error}</span>
+              ) : (
+                <ArticleBody bodyHtml={preview.bodyHtml} toc={preview.toc} />
+              )}
+            </div>
+          ) : (
+            <textarea
+              className="form-control"
+              rows="8"
+              placeholder="Write your article (in markdown)"
+              name="body"
+              required
+              value={body}
+              onChange={inputHandler}
+            ></textarea>
+          )}
+          <FieldErrors errors={fields.body} />
+        </fieldset>
+
+        <TagInput
+          errors={fields.tagList}
+          onChange={tagsHandler}
+          tags={tagList}
+        />
+
+        <fieldset className={`form-group ${fields.status ? "has-danger" : ""}`}>
+          <select
             className="form-control"
-            rows="8"
-            placeholder="Write your article (in markdown)"
-            name="body"
-            required
-            value={body}
+            name="status"
+            value={status}
             onChange={inputHandler}
-          ></textarea>
+          >
+            <option value="published">Published</option>
+            <option value="draft">Draft</option>
+            <option value="scheduled">Scheduled</option>
+            <option value="archived">Archived</option>
+          </select>
+          <FieldErrors errors={fields.status} />
         </fieldset>
 
-        <FormFieldset
-          normal
-          placeholder="Enter tags"
-          name="tags"
-          value={tagList}
-          handler={tagsInputHandler}
-        >
-          <div className="tag-list"></div>
-        </FormFieldset>
+        {status === "scheduled" && (
+          <FormFieldset
+            normal
+            placeholder="Publish at"
+            name="publishAt"
+            errors={fields.publishAt}
+            required
+            type="datetime-local"
+            value={publishAt}
+            handler={inputHandler}
+          ></FormFieldset>
+        )}
 
         <button className="btn btn-lg pull-xs-right btn-primary" type="submit">
-          {slug ? "Update Article" : "Publish Article"}
+          {submitText[status] || (slug ? "Update Article" : "Publish Article")}
         </button>
+        {dirty && autosavedAt && (
+          <span className="autosave-status">
+            Draft saved at {autosavedAt.toLocaleTimeString()}
+          </span>
+        )}
       </fieldset>
     </form>
   );
@@ -0,0 +1,23 @@
+// Table of contents, left out of short articles
+const minHeadings = 3;
+
+function ArticleToc({ toc }) {
+  if (!toc || toc.length < minHeadings) return null;
+
+  const topLevel = Math.min(...toc.map(({ level }) => level));
+
+  return (
+    <nav className="article-toc">
+      <h6>Contents</h6>
+      <ul>
+        {toc.map(({ id, level, text }) => (
+          <li key={id} style={{ marginLeft: `${level - topLevel}rem` }}>
+            <a href={`#${id}`}>{text}</a>
+          </li>
+        ))}
+      </ul>
+    </nav>
+  );
+}
+
+export default ArticleToc;
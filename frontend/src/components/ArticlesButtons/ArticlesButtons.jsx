@@ -1,8 +1,10 @@
 import { useParams } from "react-router-dom";
 import { useAuth } from "../../context/AuthContext";
+import canModerate from "../../helpers/canModerate";
 import ArticleAuthorButtons from "../ArticleAuthorButtons";
 import FavButton from "../FavButton";
 import FollowButton from "../FollowButton";
+import ReportButton from "../ReportButton";
 
 function ArticlesButtons({ article, setArticle }) {
   const { author: { username } = {}, author } = article || {};
@@ -22,7 +24,9 @@ function ArticlesButtons({ article, setArticle }) {
   ) : (
     <>
       <FollowButton {...author} handler={followHandler} />
-      <FavButton {...article} handler={handleFav} text />
+      <FavButton {...article} handler={handleFav} live text />
+      <ReportButton target={slug} type="article" />{" "}
+      {canModerate(loggedUser) && <ArticleAuthorButtons moderate slug={slug} />}
     </>
   );
 }
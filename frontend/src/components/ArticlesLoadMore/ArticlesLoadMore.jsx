@@ -0,0 +1,15 @@
+function ArticlesLoadMore({ hasMore, loadMore, loadingMore }) {
+  return (
+    hasMore && (
+      <button
+        className="btn btn-sm btn-outline-primary load-more"
+        disabled={loadingMore}
+        onClick={loadMore}
+      >
+        {loadingMore ? "Loading..." : "Load more"}
+      </button>
+    )
+  );
+}
+
+export default ArticlesLoadMore;
@@ -5,6 +5,7 @@ import getArticles from "../../services/getArticles";
 function ArticlesPagination({
   articlesCount,
   location,
+  query,
   tagName,
   updateArticles,
   username,
@@ -13,7 +14,7 @@ function ArticlesPagination({
   const { headers } = useAuth();
 
   const handlePageChange = ({ selected: page }) => {
-    getArticles({ headers, location, page, username, tagName })
+    getArticles({ headers, location, page, query, username, tagName })
       .then(updateArticles)
       .catch(console.error);
   };
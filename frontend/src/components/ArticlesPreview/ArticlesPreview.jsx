@@ -1,4 +1,5 @@
 import { Link } from "react-router-dom";
+import imageVariant from "../../helpers/imageVariant";
 import ArticleMeta from "../ArticleMeta";
 import ArticleTags from "../ArticleTags";
 import FavButton from "../FavButton";
@@ -32,9 +33,41 @@ function ArticlesPreview({ articles, loading, updateArticles }) {
             state={article}
             className="preview-link"
           >
-            <h1>{article.title}</h1>
-            <p>{article.description}</p>
+            {article.coverImage && (
+              <img
+                alt=""
+                className="preview-cover"
+                loading="lazy"
+                src={imageVariant(article.coverImage, "small")}
+              />
+            )}
+            {article.highlight ? (
+              <>
+                <h1
+                  dangerouslySetInnerHTML={{ __html: article.highlight.title }}
+                />
+                <p
+                  dangerouslySetInnerHTML={{
+                    __html: article.highlight.description,
+                  }}
+                />
+                <p
+                  className="search-snippet"
+                  dangerouslySetInnerHTML={{ __html: article.highlight.body }}
+                />
+              </>
+            ) : (
+              <>
+                <h1>{article.title}</h1>
+                <p>{article.description}</p>
+              </>
+            )}
             <span>Read more...</span>
+            {article.status && article.status !== "published" && (
+              <span className="tag-default tag-pill tag-outline pull-xs-right">
+                {article.status}
+              </span>
+            )}
             <ArticleTags tagList={article.tagList} />
           </Link>
         </div>
@@ -1,7 +1,7 @@
 import { Link } from "react-router-dom";
 import ContainerRow from "../ContainerRow";
 
-function AuthPageContainer({ children, error, path, text, title }) {
+function AuthPageContainer({ children, error, message, path, text, title }) {
   return (
     <div className="auth-page">
       <ContainerRow type="page">
@@ -17,6 +17,8 @@ function AuthPageContainer({ children, error, path, text, title }) {
             </ul>
           )}
 
+          {message && <p className="auth-message">{message}</p>}
+
           {children}
         </div>
       </ContainerRow>
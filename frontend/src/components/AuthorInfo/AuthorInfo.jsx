@@ -5,11 +5,12 @@ import { useAuth } from "../../context/AuthContext";
 import getProfile from "../../services/getProfile";
 import Avatar from "../Avatar";
 import FollowButton from "../FollowButton";
+import ReportButton from "../ReportButton";
 
 function AuthorInfo() {
   const { state } = useLocation();
   const [{ bio, followersCount, following, image }, setAuthor] = useState(
-    state || {}
+    state || {},
   );
   const { headers, loggedUser } = useAuth();
   const { username } = useParams();
@@ -32,7 +33,7 @@ function AuthorInfo() {
 
   return (
     <div className="col-xs-12 col-md-10 offset-md-1">
-      <Avatar alt={username} className="user-img" src={image} />
+      <Avatar alt={username} className="user-img" large src={image} />
       <h4>{username}</h4>
 
       {bio && <Markdown options={{ forceBlock: true }}>{bio}</Markdown>}
@@ -45,12 +46,15 @@ function AuthorInfo() {
           <i className="ion-gear-a"></i> Edit Profile Settings
         </Link>
       ) : (
-        <FollowButton
-          followersCount={followersCount}
-          following={following}
-          handler={followHandler}
-          username={username}
-        />
+        <>
+          <FollowButton
+            followersCount={followersCount}
+            following={following}
+            handler={followHandler}
+            username={username}
+          />
+          <ReportButton target={username} type="profile" />
+        </>
       )}
     </div>
   );
@@ -1,11 +1,13 @@
 import avatar from "../../assets/smiley-cyrus.jpeg";
+import imageVariant from "../../helpers/imageVariant";
 
-function Avatar({ alt, className, src }) {
+// Uploaded pictures come in two sizes, `large` is for the profile page
+function Avatar({ alt, className, large, src }) {
   return (
     <img
       alt={alt || "placeholder"}
       className={className || ""}
-      src={src || avatar}
+      src={imageVariant(src, large ? "medium" : "small") || avatar}
     />
   );
 }
@@ -2,10 +2,11 @@ import { useState } from "react";
 import { Link, useParams } from "react-router-dom";
 import { useAuth } from "../../context/AuthContext";
 import postComment from "../../services/postComment";
+import updateComment from "../../services/updateComment";
 import Avatar from "../Avatar";
 
-function CommentEditor({ updateComments }) {
-  const [{ body }, setForm] = useState({ body: "" });
+function CommentEditor({ comment, parentId, updateComments }) {
+  const [{ body }, setForm] = useState({ body: comment?.body || "" });
   const { headers, isAuth, loggedUser } = useAuth();
   const { username, image } = loggedUser || {};
   const { slug } = useParams();
@@ -15,7 +16,11 @@ function CommentEditor({ updateComments }) {
 
     if (body.trim() === "") return;
 
-    postComment({ body, headers, slug })
+    const request = comment
+      ? updateComment({ body, commentId: comment.id, headers, slug })
+      : postComment({ body, headers, parentId, slug });
+
+    request
       .then(updateComments)
       .then(setForm({ body: "" }))
       .catch(console.error);
@@ -31,7 +36,7 @@ function CommentEditor({ updateComments }) {
         <textarea
           className="form-control"
           onChange={handleChange}
-          placeholder="Write a comment..."
+          placeholder={parentId ? "Write a reply..." : "Write a comment..."}
           rows="3"
           value={body}
         ></textarea>
@@ -39,7 +44,13 @@ function CommentEditor({ updateComments }) {
 
       <div className="card-footer">
         <Avatar alt={username} className="comment-author-img" src={image} />
-        <button className="btn btn-sm btn-primary">Post Comment</button>
+        <button className="btn btn-sm btn-primary">
+          {comment
+            ? "Update Comment"
+            : parentId
+            ? "Post Reply"
+            : "Post Comment"}
+        </button>
       </div>
     </form>
   ) : (
@@ -1,7 +1,15 @@
 import { Link } from "react-router-dom";
+import dateFormatter from "../../helpers/dateFormatter";
 import Avatar from "../Avatar";
 
-function CommentAuthor({ bio, followersCount, following, image, username }) {
+function CommentAuthor({
+  bio,
+  edits,
+  followersCount,
+  following,
+  image,
+  username,
+}) {
   return (
     <>
       <Link
@@ -18,6 +26,19 @@ function CommentAuthor({ bio, followersCount, following, image, username }) {
       >
         {username}
       </Link>
+      {edits?.length > 0 && (
+        <details className="comment-history">
+          <summary>edited</summary>
+          <ul>
+            {edits.map(({ body, createdAt }, index) => (
+              <li key={index}>
+                <span className="date-posted">{dateFormatter(createdAt)}</span>{" "}
+                {body}
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
     </>
   );
 }
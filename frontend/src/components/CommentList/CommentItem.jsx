@@ -0,0 +1,94 @@
+import { useState } from "react";
+import { useAuth } from "../../context/AuthContext";
+import canModerate from "../../helpers/canModerate";
+import dateFormatter from "../../helpers/dateFormatter";
+import CommentEditor from "../CommentEditor";
+import ReportButton from "../ReportButton";
+import CommentAuthor from "./CommentAuthor";
+
+// Deeper replies stay at this indentation so long threads remain readable
+const maxDepth = 4;
+
+function CommentItem({ comment, depth = 0, handleDelete, updateComments }) {
+  const { author, body, createdAt, edits, id, replies } = comment;
+  const [replying, setReplying] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const { isAuth, loggedUser } = useAuth();
+  const isAuthor = isAuth && loggedUser.username === author.username;
+
+  const handleReply = (reply) => {
+    setReplying(false);
+    updateComments(reply);
+  };
+
+  const handleEdit = (edited) => {
+    setEditing(false);
+    updateComments(edited);
+  };
+
+  return (
+    <div
+      className="comment-thread"
+      style={{ marginLeft: depth > 0 && depth <= maxDepth ? "2rem" : 0 }}
+    >
+      {editing ? (
+        <CommentEditor comment={comment} updateComments={handleEdit} />
+      ) : (
+        <div className="card">
+          <div className="card-block">
+            <p className="card-text">{body}</p>
+          </div>
+          <div className="card-footer">
+            <CommentAuthor {...author} edits={edits} />
+            <span className="date-posted">{dateFormatter(createdAt)}</span>
+            {(isAuthor || canModerate(loggedUser)) && (
+              <button
+                className="btn btn-sm btn-outline-secondary pull-xs-right"
+                onClick={() => handleDelete(id)}
+              >
+                <i className="ion-trash-a"></i>
+              </button>
+            )}
+            {isAuthor && (
+              <button
+                className="btn btn-sm btn-outline-secondary pull-xs-right"
+                onClick={() => setEditing(true)}
+              >
+                <i className="ion-edit"></i>
+              </button>
+            )}
+            {isAuth && !isAuthor && (
+              <ReportButton
+                className="pull-xs-right"
+                target={id}
+                type="comment"
+              />
+            )}
+            {isAuth && (
+              <button
+                className="btn btn-sm btn-link pull-xs-right"
+                onClick={() => setReplying((prev) => !prev)}
+              >
+                <i className="ion-reply"></i> Reply
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {replying && <CommentEditor parentId={id} updateComments={handleReply} />}
+
+      {replies?.map((reply) => (
+        <CommentItem
+          comment={reply}
+          depth={depth + 1}
+          handleDelete={handleDelete}
+          key={reply.id}
+          updateComments={updateComments}
+        />
+      ))}
+    </div>
+  );
+}
+
+export default CommentItem;
@@ -1,20 +1,12 @@
-import { useEffect, useState } from "react";
 import { useParams } from "react-router-dom";
 import { useAuth } from "../../context/AuthContext";
-import dateFormatter from "../../helpers/dateFormatter";
 import deleteComment from "../../services/deleteComment";
-import getComments from "../../services/getComments";
-import CommentAuthor from "./CommentAuthor";
+import CommentItem from "./CommentItem";
 
-function CommentList({ triggerUpdate, updateComments }) {
-  const [comments, setComments] = useState([]);
-  const { headers, isAuth, loggedUser } = useAuth();
+function CommentList({ comments, removeComment, updateComments }) {
+  const { headers, isAuth } = useAuth();
   const { slug } = useParams();
 
-  useEffect(() => {
-    getComments({ slug }).then(setComments).catch(console.error);
-  }, [slug, triggerUpdate]);
-
   const handleClick = (commentId) => {
     if (!isAuth) alert("You need to login first");
 
@@ -22,32 +14,19 @@ function CommentList({ triggerUpdate, updateComments }) {
     if (!confirmation) return;
 
     deleteComment({ commentId, headers, slug })
-      .then(updateComments)
+      .then(() => removeComment(commentId))
       .catch(console.error);
   };
 
   return comments?.length > 0 ? (
-    comments.map(({ author, author: { username }, body, createdAt, id }) => {
-      return (
-        <div className="card" key={id}>
-          <div className="card-block">
-            <p className="card-text">{body}</p>
-          </div>
-          <div className="card-footer">
-            <CommentAuthor {...author} />
-            <span className="date-posted">{dateFormatter(createdAt)}</span>
-            {isAuth && loggedUser.username === username && (
-              <button
-                className="btn btn-sm btn-outline-secondary pull-xs-right"
-                onClick={() => handleClick(id)}
-              >
-                <i className="ion-trash-a"></i>
-              </button>
-            )}
-          </div>
-        </div>
-      );
-    })
+    comments.map((comment) => (
+      <CommentItem
+        comment={comment}
+        handleDelete={handleClick}
+        key={comment.id}
+        updateComments={updateComments}
+      />
+    ))
   ) : (
     <div>There are no comments yet...</div>
   );
@@ -1,11 +1,26 @@
 import { useState } from "react";
 import { useAuth } from "../../context/AuthContext";
+import useArticleEvents from "../../hooks/useArticleEvents";
 import toggleFav from "../../services/toggleFav";
 
-function FavButton({ favorited, favoritesCount, handler, right, slug, text }) {
+function FavButton({
+  favorited,
+  favoritesCount,
+  handler,
+  live,
+  right,
+  slug,
+  text,
+}) {
   const [loading, setLoading] = useState(false);
   const { headers, isAuth } = useAuth();
 
+  useArticleEvents({
+    event: "favorites",
+    listener: ({ favoritesCount }) => handler({ favorited, favoritesCount }),
+    slug: live && slug,
+  });
+
   const buttonPosition = right ? "pull-xs-right" : "";
   const buttonStyle = favorited ? "active" : "";
   const buttonText = text ? "Favorite" : !isAuth ? "" : "";
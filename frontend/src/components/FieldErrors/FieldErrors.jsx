@@ -0,0 +1,13 @@
+function FieldErrors({ errors }) {
+  if (!errors?.length) return null;
+
+  return (
+    <ul className="field-errors">
+      {errors.map((error) => (
+        <li key={error}>{error}</li>
+      ))}
+    </ul>
+  );
+}
+
+export default FieldErrors;
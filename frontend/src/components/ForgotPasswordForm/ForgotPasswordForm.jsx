@@ -0,0 +1,32 @@
+import { useState } from "react";
+import forgotPassword from "../../services/forgotPassword";
+import FormFieldset from "../FormFieldset";
+
+function ForgotPasswordForm({ onError, onSuccess }) {
+  const [email, setEmail] = useState("");
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    forgotPassword({ email }).then(onSuccess).catch(onError);
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <FormFieldset
+        type="email"
+        name="email"
+        required
+        placeholder="Email"
+        value={email}
+        handler={(e) => setEmail(e.target.value)}
+        autoFocus
+      ></FormFieldset>
+      <button className="btn btn-lg btn-primary pull-xs-right">
+        Send reset link
+      </button>
+    </form>
+  );
+}
+
+export default ForgotPasswordForm;
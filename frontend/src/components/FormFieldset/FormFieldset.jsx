@@ -1,6 +1,9 @@
+import FieldErrors from "../FieldErrors";
+
 function FormFieldset({
   autoFocus,
   children,
+  errors,
   handler,
   minLength,
   name,
@@ -11,7 +14,7 @@ function FormFieldset({
   value,
 }) {
   return (
-    <fieldset className="form-group">
+    <fieldset className={`form-group ${errors?.length ? "has-danger" : ""}`}>
       <input
         autoFocus={autoFocus}
         className={`form-control ${normal ? "" : "form-control-lg"}`}
@@ -23,6 +26,7 @@ function FormFieldset({
         type={type}
         value={value}
       />
+      <FieldErrors errors={errors} />
       {children}
     </fieldset>
   );
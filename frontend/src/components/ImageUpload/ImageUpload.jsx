@@ -0,0 +1,52 @@
+import { useState } from "react";
+import { useAuth } from "../../context/AuthContext";
+import uploadImage from "../../services/uploadImage";
+import FieldErrors from "../FieldErrors";
+
+// File picker that uploads right away and hands the stored URL to `onUpload`
+function ImageUpload({ errors, kind, label, onUpload }) {
+  const { headers } = useAuth();
+  const [uploading, setUploading] = useState(false);
+  const [uploadErrors, setUploadErrors] = useState();
+
+  const changeHandler = (e) => {
+    const input = e.target;
+    const [file] = input.files;
+    if (!file) return;
+
+    setUploading(true);
+    uploadImage({ file, headers, kind })
+      .then(({ url }) => {
+        setUploadErrors();
+        onUpload(url);
+      })
+      .catch((error) => setUploadErrors(error.fields?.image || [error.message]))
+      .finally(() => {
+        setUploading(false);
+        input.value = "";
+      });
+  };
+
+  const messages = uploadErrors || errors;
+
+  return (
+    <fieldset
+      className={`form-group image-upload ${
+        messages?.length ? "has-danger" : ""
+      }`}
+    >
+      <label className="btn btn-sm btn-outline-secondary">
+        <i className="ion-image"></i> {uploading ? "Uploading..." : label}
+        <input
+          accept="image/jpeg,image/png,image/webp,image/gif"
+          disabled={uploading}
+          onChange={changeHandler}
+          type="file"
+        />
+      </label>
+      <FieldErrors errors={messages} />
+    </fieldset>
+  );
+}
+
+export default ImageUpload;
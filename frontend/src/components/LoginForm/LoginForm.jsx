@@ -1,21 +1,47 @@
 import { useState } from "react";
 import { useNavigate } from "react-router-dom";
 import { useAuth } from "../../context/AuthContext";
+import formErrors from "../../helpers/formErrors";
 import userLogin from "../../services/userLogin";
+import userLoginTwoFactor from "../../services/userLoginTwoFactor";
 import FormFieldset from "../FormFieldset";
 
+const fieldNames = ["code", "email", "password"];
+
 function LoginForm({ onError }) {
-  const [{ email, password }, setForm] = useState({ email: "", password: "" });
+  const [{ code, email, password }, setForm] = useState({
+    code: "",
+    email: "",
+    password: "",
+  });
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [errors, setErrors] = useState({});
   const { setAuthState } = useAuth();
   const navigate = useNavigate();
 
   const handleSubmit = (e) => {
     e.preventDefault();
 
-    userLogin({ email, password })
-      .then(setAuthState)
-      .then(() => navigate("/"))
-      .catch(onError);
+    const request = challengeToken
+      ? userLoginTwoFactor({ challengeToken, code })
+      : userLogin({ email, password });
+
+    request
+      .then((result) => {
+        setErrors({});
+        onError();
+        if (result.challengeToken)
+          return setChallengeToken(result.challengeToken);
+
+        setAuthState(result);
+        navigate("/");
+      })
+      .catch((error) => {
+        const { fields, message } = formErrors(error, fieldNames);
+
+        setErrors(fields);
+        onError(message);
+      });
   };
 
   const inputHandler = (e) => {
@@ -25,11 +51,30 @@ function LoginForm({ onError }) {
     setForm((form) => ({ ...form, [name]: value }));
   };
 
+  if (challengeToken) {
+    return (
+      <form onSubmit={handleSubmit}>
+        <p>Enter the code from your authenticator app, or a backup code.</p>
+        <FormFieldset
+          name="code"
+          errors={errors.code}
+          required
+          placeholder="Authentication code"
+          value={code}
+          handler={inputHandler}
+          autoFocus
+        ></FormFieldset>
+        <button className="btn btn-lg btn-primary pull-xs-right">Verify</button>
+      </form>
+    );
+  }
+
   return (
     <form onSubmit={handleSubmit}>
       <FormFieldset
         type="email"
         name="email"
+        errors={errors.email}
         required
         placeholder="Email"
         value={email}
@@ -39,6 +84,7 @@ function LoginForm({ onError }) {
 
       <FormFieldset
         name="password"
+        errors={errors.password}
         type="password"
         required
         placeholder="Password"
@@ -1,16 +1,17 @@
 import { useState } from "react";
 import { useAuth } from "../../context/AuthContext";
+import canModerate from "../../helpers/canModerate";
 import userLogout from "../../services/userLogout";
 import Avatar from "../Avatar";
 import DropdownItem from "./DropdownItem";
 
 function DropdownMenu() {
   const [dropdown, setDropdown] = useState(false);
-  const { loggedUser, setAuthState } = useAuth();
+  const { headers, loggedUser, refreshToken, setAuthState } = useAuth();
   const { username, image } = loggedUser || {};
 
   const logout = () => {
-    setAuthState(userLogout);
+    userLogout({ headers, refreshToken }).then(setAuthState);
   };
 
   const handleClick = () => {
@@ -39,6 +40,9 @@ function DropdownMenu() {
           state={loggedUser}
         />
         <DropdownItem icon="ion-gear-a" text="Settings" url="/settings" />
+        {canModerate(loggedUser) && (
+          <DropdownItem icon="ion-flag" text="Moderation" url="/moderation" />
+        )}
         <div className="dropdown-divider"></div>
         <DropdownItem icon="ion-log-out" text="Logout" handler={logout} />
       </div>
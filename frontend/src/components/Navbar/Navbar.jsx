@@ -1,6 +1,8 @@
 import { Link } from "react-router-dom";
 import { useAuth } from "../../context/AuthContext";
 import NavItem from "../NavItem";
+import NotificationsBell from "../NotificationsBell";
+import SearchBox from "../SearchBox";
 import SourceCodeLink from "../SourceCodeLink";
 import DropdownMenu from "./DropdownMenu";
 
@@ -17,11 +19,13 @@ function Navbar() {
         <SourceCodeLink left />
 
         <ul className="nav navbar-nav pull-xs-right">
+          <SearchBox />
           <NavItem text="Home" icon="ion-compose" url="/" />
 
           {isAuth && (
             <>
               <NavItem text="New Article" icon="ion-compose" url="/editor" />
+              <NotificationsBell />
               <DropdownMenu />
             </>
           )}
@@ -0,0 +1,52 @@
+import { useEffect, useState } from "react";
+import { NavLink, useLocation } from "react-router-dom";
+import { useAuth } from "../../context/AuthContext";
+import getNotifications from "../../services/getNotifications";
+
+// Dispatched on `window` by the notifications page after marking them read
+export const notificationsReadEvent = "notifications:read";
+
+const refreshInterval = 60 * 1000;
+
+function NotificationsBell() {
+  const [unreadCount, setUnreadCount] = useState(0);
+  const { headers } = useAuth();
+  const { pathname } = useLocation();
+
+  useEffect(() => {
+    const updateCount = () => {
+      getNotifications({ headers, limit: 1, unread: true })
+        .then(({ unreadCount }) => setUnreadCount(unreadCount))
+        .catch(console.error);
+    };
+    const clearCount = () => setUnreadCount(0);
+
+    updateCount();
+    const interval = setInterval(updateCount, refreshInterval);
+    window.addEventListener(notificationsReadEvent, clearCount);
+
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener(notificationsReadEvent, clearCount);
+    };
+  }, [headers, pathname]);
+
+  const activeClass = ({ isActive }) => `nav-link ${isActive ? "active" : ""}`;
+
+  return (
+    <li className="nav-item">
+      <NavLink
+        className={activeClass}
+        title={`${unreadCount} unread notifications`}
+        to="/notifications"
+      >
+        <i className="ion-android-notifications"></i>
+        {unreadCount > 0 && (
+          <span className="notifications-count">{unreadCount}</span>
+        )}
+      </NavLink>
+    </li>
+  );
+}
+
+export default NotificationsBell;
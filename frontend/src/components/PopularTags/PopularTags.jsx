@@ -9,8 +9,8 @@ function PopularTags() {
   useEffect(() => {
     setLoading(true);
 
-    getTags()
-      .then(setTags)
+    getTags({ limit: 50 })
+      .then(({ tags }) => setTags(tags))
       .catch(console.error)
       .finally(() => setLoading(false));
   }, []);
@@ -0,0 +1,54 @@
+import { useState } from "react";
+import { useAuth } from "../../context/AuthContext";
+import postReport from "../../services/postReport";
+
+function ReportButton({ className = "", target, type }) {
+  const [reporting, setReporting] = useState(false);
+  const [reason, setReason] = useState("");
+  const [sent, setSent] = useState(false);
+  const { headers, isAuth } = useAuth();
+
+  if (!isAuth) return null;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (reason.trim() === "") return;
+
+    postReport({ headers, reason, target, type })
+      .then(() => {
+        setSent(true);
+        setReporting(false);
+        setReason("");
+      })
+      .catch((error) => alert(error.message));
+  };
+
+  return (
+    <span className={`report-button ${className}`}>
+      <button
+        className="btn btn-sm btn-outline-secondary"
+        disabled={sent}
+        onClick={() => setReporting((prev) => !prev)}
+        title={`Report this ${type}`}
+      >
+        <i className="ion-flag"></i> {sent ? "Reported" : "Report"}
+      </button>
+
+      {reporting && (
+        <form className="report-form card" onSubmit={handleSubmit}>
+          <textarea
+            className="form-control"
+            onChange={(e) => setReason(e.target.value)}
+            placeholder={`Why should this ${type} be reviewed?`}
+            rows="2"
+            value={reason}
+          ></textarea>
+          <button className="btn btn-sm btn-danger">Send report</button>
+        </form>
+      )}
+    </span>
+  );
+}
+
+export default ReportButton;
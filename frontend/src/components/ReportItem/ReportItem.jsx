@@ -0,0 +1,97 @@
+import { Link } from "react-router-dom";
+import dateFormatter from "../../helpers/dateFormatter";
+
+const targetLinks = {
+  article: ({ slug }) => `/article/${slug}`,
+  comment: ({ slug }) => `/article/${slug}`,
+  profile: ({ username }) => `/profile/${username}`,
+};
+
+function ReportTarget({ target, targetType }) {
+  if (!target) return <em>This {targetType} no longer exists.</em>;
+
+  const { author, body, hiddenAt, title } = target;
+
+  return (
+    <>
+      <Link to={targetLinks[targetType](target)}>
+        {title || body || `@${author.username}`}
+      </Link>{" "}
+      by <Link to={`/profile/${author.username}`}>{author.username}</Link>
+      {hiddenAt && (
+        <span className="tag-default tag-pill tag-outline">hidden</span>
+      )}
+      {author.suspendedAt && (
+        <span className="tag-default tag-pill tag-outline">suspended</span>
+      )}
+    </>
+  );
+}
+
+function ReportItem({ handleUpdate, report }) {
+  const { action, createdAt, id, moderator, reason, reporter, status } = report;
+  const pending = ["open", "triaged"].includes(status);
+  const hidden = Boolean(report.target?.hiddenAt);
+
+  const update = (status, action) => () => handleUpdate(id, status, action);
+
+  return (
+    <li className="list-group-item report-item">
+      <p>
+        <strong>{report.targetType}</strong>{" "}
+        <ReportTarget target={report.target} targetType={report.targetType} />
+      </p>
+      <blockquote>{reason}</blockquote>
+      <small className="text-muted">
+        Reported by {reporter?.username} on {dateFormatter(createdAt)}
+        {moderator && ` - ${status} by ${moderator.username}`}
+        {action && ` (${action})`}
+      </small>
+
+      {pending && (
+        <div className="report-actions">
+          {status === "open" && (
+            <button
+              className="btn btn-sm btn-outline-secondary"
+              onClick={update("triaged")}
+            >
+              Triage
+            </button>
+          )}{" "}
+          {report.targetType !== "profile" && (
+            <button
+              className="btn btn-sm btn-outline-danger"
+              onClick={update("resolved", "hide")}
+            >
+              <i className="ion-eye-disabled"></i> Hide content
+            </button>
+          )}{" "}
+          <button
+            className="btn btn-sm btn-outline-danger"
+            onClick={update("resolved", "suspend")}
+          >
+            <i className="ion-locked"></i> Suspend author
+          </button>{" "}
+          <button
+            className="btn btn-sm btn-outline-secondary"
+            onClick={update("dismissed")}
+          >
+            Dismiss
+          </button>
+        </div>
+      )}
+      {!pending && hidden && (
+        <div className="report-actions">
+          <button
+            className="btn btn-sm btn-outline-secondary"
+            onClick={update("resolved", "unhide")}
+          >
+            <i className="ion-eye"></i> Unhide content
+          </button>
+        </div>
+      )}
+    </li>
+  );
+}
+
+export default ReportItem;
@@ -0,0 +1,55 @@
+import { useState } from "react";
+import resetPassword from "../../services/resetPassword";
+import FormFieldset from "../FormFieldset";
+
+function ResetPasswordForm({ onError, onSuccess, token }) {
+  const [{ password, confirmation }, setForm] = useState({
+    password: "",
+    confirmation: "",
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (password !== confirmation) return onError("Passwords don't match");
+
+    resetPassword({ password, token }).then(onSuccess).catch(onError);
+  };
+
+  const inputHandler = (e) => {
+    const name = e.target.name;
+    const value = e.target.value;
+
+    setForm((form) => ({ ...form, [name]: value }));
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <FormFieldset
+        name="password"
+        type="password"
+        required
+        placeholder="New password"
+        value={password}
+        handler={inputHandler}
+        minLength="5"
+        autoFocus
+      ></FormFieldset>
+
+      <FormFieldset
+        name="confirmation"
+        type="password"
+        required
+        placeholder="Confirm new password"
+        value={confirmation}
+        handler={inputHandler}
+        minLength="5"
+      ></FormFieldset>
+      <button className="btn btn-lg btn-primary pull-xs-right">
+        Reset password
+      </button>
+    </form>
+  );
+}
+
+export default ResetPasswordForm;
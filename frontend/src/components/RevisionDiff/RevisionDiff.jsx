@@ -0,0 +1,34 @@
+const fields = [
+  ["title", "Title"],
+  ["description", "Description"],
+  ["body", "Body"],
+  ["tagList", "Tags"],
+];
+
+const linePrefix = { added: "+", equal: " ", removed: "-" };
+
+function RevisionDiff({ diff }) {
+  return fields.map(([field, label]) => {
+    const changes = diff[field] || [];
+    const changed = changes.some(({ type }) => type !== "equal");
+
+    return (
+      <div className="revision-diff" key={field}>
+        <h6>
+          {label} {!changed && <small>(unchanged)</small>}
+        </h6>
+        {changed && (
+          <pre>
+            {changes.map(({ line, type }, index) => (
+              <div className={`diff-line diff-${type}`} key={index}>
+                {linePrefix[type]} {line}
+              </div>
+            ))}
+          </pre>
+        )}
+      </div>
+    );
+  });
+}
+
+export default RevisionDiff;
@@ -0,0 +1,41 @@
+import { useEffect, useState } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+
+function SearchBox() {
+  const [searchParams] = useSearchParams();
+  const [query, setQuery] = useState(searchParams.get("q") || "");
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    setQuery(searchParams.get("q") || "");
+  }, [searchParams]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (query.trim() === "") return;
+
+    navigate(`/search?q=${encodeURIComponent(query.trim())}`);
+  };
+
+  const handleChange = (e) => {
+    setQuery(e.target.value);
+  };
+
+  return (
+    <li className="nav-item">
+      <form className="search-box" onSubmit={handleSubmit}>
+        <input
+          aria-label="Search articles"
+          className="form-control form-control-sm"
+          onChange={handleChange}
+          placeholder="Search articles"
+          type="search"
+          value={query}
+        />
+      </form>
+    </li>
+  );
+}
+
+export default SearchBox;
@@ -1,11 +1,18 @@
 import { useEffect, useState } from "react";
 import { useNavigate } from "react-router-dom";
 import { useAuth } from "../../context/AuthContext";
+import formErrors from "../../helpers/formErrors";
 import userUpdate from "../../services/userUpdate";
+import Avatar from "../Avatar";
+import FieldErrors from "../FieldErrors";
 import FormFieldset from "../FormFieldset";
+import ImageUpload from "../ImageUpload";
+import TwoFactorSettings from "../TwoFactorSettings";
+
+const fieldNames = ["bio", "email", "image", "password", "username"];
 
 function SettingsForm() {
-  const { headers, isAuth, loggedUser, setAuthState } = useAuth();
+  const { headers, isAuth, loggedUser, refreshToken, setAuthState } = useAuth();
   const [{ bio, email, image, password, username }, setForm] = useState({
     bio: loggedUser.bio || "",
     email: loggedUser.email,
@@ -14,6 +21,7 @@ function SettingsForm() {
     username: loggedUser.username,
   });
 
+  const [{ fields, message }, setErrors] = useState({ fields: {} });
   const [inactive, setInactive] = useState(false);
   const navigate = useNavigate();
 
@@ -29,73 +37,118 @@ function SettingsForm() {
     setInactive(false);
   };
 
+  const uploadHandler = (url) => {
+    setForm((form) => ({ ...form, image: url }));
+    setInactive(false);
+  };
+
   const formSubmit = async (e) => {
     e.preventDefault();
 
     if (inactive) return;
 
-    userUpdate({ headers, bio, email, image, password, username })
-      .then(setAuthState)
-      .catch(console.error);
+    userUpdate({
+      headers,
+      bio,
+      email,
+      image,
+      password,
+      refreshToken,
+      username,
+    })
+      .then((loggedIn) => {
+        setErrors({ fields: {} });
+        setAuthState(loggedIn);
+      })
+      .catch((error) => {
+        setErrors(formErrors(error, fieldNames));
+        setInactive(false);
+      });
     setInactive(true);
   };
 
   return (
     isAuth && (
-      <form onSubmit={formSubmit}>
-        <fieldset>
-          <FormFieldset
-            placeholder="URL of profile picture"
-            name="image"
-            value={image}
-            handler={inputHandler}
-          ></FormFieldset>
-
-          <FormFieldset
-            placeholder="Your Name"
-            name="username"
-            required
-            value={username}
-            handler={inputHandler}
-          ></FormFieldset>
-
-          <fieldset className="form-group">
-            <textarea
-              className="form-control form-control-lg"
-              rows="8"
-              placeholder="Short bio about you"
-              name="bio"
-              value={bio}
-              onChange={inputHandler}
-            ></textarea>
-          </fieldset>
+      <>
+        <form onSubmit={formSubmit}>
+          {message && (
+            <ul className="error-messages">
+              <li>{message}</li>
+            </ul>
+          )}
+          <fieldset>
+            <div className="settings-avatar">
+              <Avatar alt={username} large src={image} />
+              <ImageUpload
+                kind="avatar"
+                label="Upload a picture"
+                onUpload={uploadHandler}
+              />
+            </div>
+
+            <FormFieldset
+              placeholder="URL of profile picture"
+              name="image"
+              errors={fields.image}
+              value={image}
+              handler={inputHandler}
+            ></FormFieldset>
 
-          <FormFieldset
-            placeholder="Email"
-            name="email"
-            required
-            value={email}
-            handler={inputHandler}
-          ></FormFieldset>
-
-          <FormFieldset
-            type="password"
-            name="password"
-            value={password}
-            placeholder="Password"
-            handler={inputHandler}
-          ></FormFieldset>
-
-          {!inactive && (
-            <button
-              type="submit"
-              className="btn btn-lg btn-primary pull-xs-right"
+            <FormFieldset
+              placeholder="Your Name"
+              name="username"
+              errors={fields.username}
+              required
+              value={username}
+              handler={inputHandler}
+            ></FormFieldset>
+
+            <fieldset
+              className={`form-group ${fields.bio ? "has-danger" : ""}`}
             >
-              Update Settings
-            </button>
-          )}
-        </fieldset>
-      </form>
+              <textarea
+                className="form-control form-control-lg"
+                rows="8"
+                placeholder="Short bio about you"
+                name="bio"
+                value={bio}
+                onChange={inputHandler}
+              ></textarea>
+              <FieldErrors errors={fields.bio} />
+            </fieldset>
+
+            <FormFieldset
+              placeholder="Email"
+              name="email"
+              errors={fields.email}
+              required
+              value={email}
+              handler={inputHandler}
+            ></FormFieldset>
+
+            <FormFieldset
+              type="password"
+              name="password"
+              errors={fields.password}
+              value={password}
+              placeholder="Password"
+              handler={inputHandler}
+            ></FormFieldset>
+
+            {!inactive && (
+              <button
+                type="submit"
+                className="btn btn-lg btn-primary pull-xs-right"
+              >
+                Update Settings
+              </button>
+            )}
+          </fieldset>
+        </form>
+
+        <hr />
+        <TwoFactorSettings />
+      </>
     )
   );
 }
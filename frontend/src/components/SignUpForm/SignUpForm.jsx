@@ -1,15 +1,19 @@
 import { useState } from "react";
 import { useNavigate } from "react-router-dom";
 import { useAuth } from "../../context/AuthContext";
+import formErrors from "../../helpers/formErrors";
 import userSignUp from "../../services/userSignUp";
 import FormFieldset from "../FormFieldset";
 
+const fieldNames = ["email", "password", "username"];
+
 function SignUpForm({ onError }) {
   const [{ username, email, password }, setForm] = useState({
     username: "",
     email: "",
     password: "",
   });
+  const [errors, setErrors] = useState({});
   const { setAuthState } = useAuth();
   const navigate = useNavigate();
 
@@ -18,8 +22,13 @@ function SignUpForm({ onError }) {
 
     userSignUp({ username, email, password })
       .then(setAuthState)
-      .then(() => navigate("/"))
-      .catch(onError);
+      .then(() => navigate("/verify-email", { state: { email } }))
+      .catch((error) => {
+        const { fields, message } = formErrors(error, fieldNames);
+
+        setErrors(fields);
+        onError(message);
+      });
   };
 
   const inputHandler = (e) => {
@@ -33,6 +42,7 @@ function SignUpForm({ onError }) {
     <form onSubmit={handleSubmit}>
       <FormFieldset
         name="username"
+        errors={errors.username}
         required
         placeholder="Your Name"
         value={username}
@@ -41,6 +51,7 @@ function SignUpForm({ onError }) {
 
       <FormFieldset
         name="email"
+        errors={errors.email}
         type="email"
         required
         placeholder="Email"
@@ -50,6 +61,7 @@ function SignUpForm({ onError }) {
 
       <FormFieldset
         name="password"
+        errors={errors.password}
         type="password"
         required
         placeholder="Password"
@@ -0,0 +1,128 @@
+import { useEffect, useState } from "react";
+import normalizeTag from "../../helpers/normalizeTag";
+import getTags from "../../services/getTags";
+import FieldErrors from "../FieldErrors";
+
+const maxTags = 10;
+const suggestDelay = 200;
+const separators = ["Enter", ",", "Tab"];
+
+// Tags as removable chips, suggesting the ones other articles already use
+function TagInput({ errors, onChange, tags }) {
+  const [text, setText] = useState("");
+  const [{ counts, suggestions }, setSuggestions] = useState({
+    counts: {},
+    suggestions: [],
+  });
+  const [selected, setSelected] = useState(-1);
+
+  const prefix = normalizeTag(text);
+
+  useEffect(() => {
+    setSelected(-1);
+    if (!prefix) {
+      setSuggestions({ counts: {}, suggestions: [] });
+      return;
+    }
+
+    // Waits for a pause in typing before asking
+    const timer = setTimeout(() => {
+      getTags({ prefix, limit: 8 })
+        .then(({ tags: found, counts }) =>
+          setSuggestions({
+            counts,
+            suggestions: found.filter((tag) => !tags.includes(tag)),
+          }),
+        )
+        .catch(console.error);
+    }, suggestDelay);
+
+    return () => clearTimeout(timer);
+  }, [prefix, tags]);
+
+  const addTag = (tag) => {
+    const name = normalizeTag(tag);
+    setText("");
+
+    if (!name || tags.includes(name) || tags.length >= maxTags) return;
+    onChange([...tags, name]);
+  };
+
+  const removeTag = (name) => onChange(tags.filter((tag) => tag !== name));
+
+  const keyHandler = (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      const count = suggestions.length;
+      // -1 is the typed text, then each suggestion
+      return setSelected(
+        (index) => ((index + 1 + step + count + 1) % (count + 1)) - 1,
+      );
+    }
+
+    if (separators.includes(e.key) && (text.trim() || selected >= 0)) {
+      // Tab still moves on when there is nothing to add
+      e.preventDefault();
+      return addTag(selected >= 0 ? suggestions[selected] : text);
+    }
+
+    if (e.key === "Backspace" && !text && tags.length) {
+      removeTag(tags[tags.length - 1]);
+    }
+  };
+
+  return (
+    <fieldset
+      className={`form-group tag-input ${errors?.length ? "has-danger" : ""}`}
+    >
+      <input
+        aria-label="Tags"
+        autoComplete="off"
+        className="form-control"
+        disabled={tags.length >= maxTags}
+        onBlur={() => text.trim() && addTag(text)}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={keyHandler}
+        placeholder={
+          tags.length >= maxTags ? `At most ${maxTags} tags` : "Enter tags"
+        }
+        value={text}
+      />
+      {prefix && suggestions.length > 0 && (
+        <ul className="tag-suggestions" role="listbox">
+          {suggestions.map((tag, index) => (
+            <li
+              aria-selected={index === selected}
+              className={index === selected ? "active" : ""}
+              key={tag}
+              // Before the input's blur adds the typed text instead
+              onMouseDown={(e) => {
+                e.preventDefault();
+                addTag(tag);
+              }}
+              role="option"
+            >
+              {tag} <span className="tag-count">{counts[tag]}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+      <FieldErrors errors={errors} />
+      <div className="tag-list">
+        {tags.map((tag) => (
+          <span className="tag-default tag-pill" key={tag}>
+            <i
+              className="ion-close-round"
+              onClick={() => removeTag(tag)}
+              title={`Remove ${tag}`}
+            ></i>{" "}
+            {tag}
+          </span>
+        ))}
+      </div>
+    </fieldset>
+  );
+}
+
+export default TagInput;
@@ -0,0 +1,125 @@
+import { useState } from "react";
+import { useAuth } from "../../context/AuthContext";
+import confirmTwoFactor from "../../services/confirmTwoFactor";
+import disableTwoFactor from "../../services/disableTwoFactor";
+import enrollTwoFactor from "../../services/enrollTwoFactor";
+import FormFieldset from "../FormFieldset";
+
+function TwoFactorSettings() {
+  const { headers, loggedUser, setAuthState } = useAuth();
+  const [enrollment, setEnrollment] = useState(null);
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [code, setCode] = useState("");
+  const [error, setError] = useState();
+  const enabled = loggedUser.twoFactorEnabled;
+
+  const setEnabled = (twoFactorEnabled) => {
+    setAuthState((prev) => ({
+      ...prev,
+      loggedUser: { ...prev.loggedUser, twoFactorEnabled },
+    }));
+  };
+
+  const handleEnroll = () => {
+    setError();
+
+    enrollTwoFactor({ headers }).then(setEnrollment).catch(setError);
+  };
+
+  const handleConfirm = (e) => {
+    e.preventDefault();
+
+    confirmTwoFactor({ code, headers })
+      .then((backupCodes) => {
+        setBackupCodes(backupCodes);
+        setEnrollment(null);
+        setCode("");
+        setEnabled(true);
+      })
+      .catch(setError);
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+
+    disableTwoFactor({ code, headers })
+      .then(() => {
+        setBackupCodes(null);
+        setCode("");
+        setEnabled(false);
+      })
+      .catch(setError);
+  };
+
+  return (
+    <div className="two-factor-settings">
+      <h4>Two-factor authentication</h4>
+
+      {error && (
+        <ul className="error-messages">
+          <li>{error.message}</li>
+        </ul>
+      )}
+
+      {backupCodes && (
+        <div>
+          <p>
+            Two-factor authentication is on. Keep these backup codes somewhere
+            safe, each one signs you in once if you lose your device:
+          </p>
+          <ul className="backup-codes">
+            {backupCodes.map((backupCode) => (
+              <li key={backupCode}>
+                <code>{backupCode}</code>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {enrollment ? (
+        <form onSubmit={handleConfirm}>
+          <p>
+            Scan this QR code with your authenticator app, then enter the code
+            it shows to finish.
+          </p>
+          <img alt="Authenticator QR code" src={enrollment.qrCode} />
+          <p>
+            Can't scan it? Enter this key instead:{" "}
+            <code>{enrollment.secret}</code>
+          </p>
+          <FormFieldset
+            name="code"
+            required
+            placeholder="6-digit code"
+            value={code}
+            handler={(e) => setCode(e.target.value)}
+            normal
+          ></FormFieldset>
+          <button className="btn btn-primary">Confirm</button>
+        </form>
+      ) : enabled ? (
+        <form onSubmit={handleDisable}>
+          <p>Enter a current code or a backup code to turn it off.</p>
+          <FormFieldset
+            name="code"
+            required
+            placeholder="Authentication code"
+            value={code}
+            handler={(e) => setCode(e.target.value)}
+            normal
+          ></FormFieldset>
+          <button className="btn btn-outline-danger">
+            Turn off two-factor authentication
+          </button>
+        </form>
+      ) : (
+        <button className="btn btn-outline-primary" onClick={handleEnroll}>
+          Set up an authenticator app
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default TwoFactorSettings;
@@ -1,5 +1,8 @@
-import { createContext, useContext, useEffect, useState } from "react";
+import axios from "axios";
+import { createContext, useContext, useEffect, useRef, useState } from "react";
+import { loadSession, renewSession } from "../helpers/session";
 import getUser from "../services/getUser";
+import userLogout from "../services/userLogout";
 
 const AuthContext = createContext();
 
@@ -7,7 +10,7 @@ export function useAuth() {
   return useContext(AuthContext);
 }
 
-const loggedIn = JSON.parse(localStorage.getItem("loggedUser"));
+const loggedIn = loadSession();
 
 const authState = {
   headers: null,
@@ -19,12 +22,13 @@ const authState = {
     token: "",
     username: "",
   },
+  refreshToken: null,
 };
 
 function AuthProvider({ children }) {
-  const [{ headers, isAuth, loggedUser }, setAuthState] = useState(
-    loggedIn || authState,
-  );
+  const [{ headers, isAuth, loggedUser, refreshToken }, setAuthState] =
+    useState(loggedIn || authState);
+  const refreshing = useRef(null);
 
   useEffect(() => {
     if (!headers) return;
@@ -34,8 +38,63 @@ function AuthProvider({ children }) {
       .catch(console.error);
   }, [headers, setAuthState]);
 
+  // Signing in, refreshing or out in another tab applies here too
+  useEffect(() => {
+    const syncSession = ({ key }) => {
+      if (key !== null && key !== "loggedUser") return;
+
+      setAuthState(loadSession() || authState);
+    };
+
+    window.addEventListener("storage", syncSession);
+
+    return () => window.removeEventListener("storage", syncSession);
+  }, []);
+
+  useEffect(() => {
+    if (!isAuth) return;
+
+    // Access tokens are short-lived: when one is rejected, renew the session
+    // once and replay the request with it.
+    const interceptor = axios.interceptors.response.use(
+      (response) => response,
+      (error) => {
+        const { config, response } = error;
+        const isRefresh = config?.url === "api/users/refresh";
+
+        if (response?.status !== 401 || config._retry || isRefresh) {
+          return Promise.reject(error);
+        }
+        config._retry = true;
+
+        if (!refreshing.current) {
+          refreshing.current = renewSession(
+            config.headers?.Authorization,
+          ).finally(() => (refreshing.current = null));
+        }
+
+        return refreshing.current
+          .then((session) => {
+            setAuthState(session);
+            config.headers.Authorization = session.headers.Authorization;
+
+            return axios(config);
+          })
+          .catch(() => {
+            userLogout().then(setAuthState);
+
+            return Promise.reject(error);
+          });
+      },
+    );
+
+    return () => axios.interceptors.response.eject(interceptor);
+  }, [isAuth]);
+
   return (
-    <AuthContext.Provider value={{ headers, isAuth, loggedUser, setAuthState }}>
+    <AuthContext.Provider
+      value={{ headers, isAuth, loggedUser, refreshToken, setAuthState }}
+    >
       {children}
     </AuthContext.Provider>
   );
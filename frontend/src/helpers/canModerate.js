@@ -0,0 +1,5 @@
+const moderatorRoles = ["moderator", "admin"];
+
+export default function canModerate(user) {
+  return moderatorRoles.includes(user?.role);
+}
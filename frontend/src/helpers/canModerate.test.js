@@ -0,0 +1,12 @@
+import canModerate from "./canModerate";
+
+describe("Can moderate", () => {
+  test.each([
+    [{ role: "admin" }, true],
+    [{ role: "moderator" }, true],
+    [{ role: "user" }, false],
+    [undefined, false],
+  ])("%o", (user, expected) => {
+    expect(canModerate(user)).toBe(expected);
+  });
+});
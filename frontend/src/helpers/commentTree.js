@@ -0,0 +1,63 @@
+// Comments nest in their parent's `replies`, oldest first, as the API lists
+// them. These update the tree the way the API would after the change.
+
+const findComment = (comments, id) => {
+  for (const comment of comments) {
+    if (comment.id === id) return comment;
+
+    const reply = findComment(comment.replies || [], id);
+    if (reply) return reply;
+  }
+
+  return null;
+};
+
+const byCreation = (a, b) => a.createdAt.localeCompare(b.createdAt);
+
+// Calls `update` on every comment, and on the replies it returns
+const mapTree = (comments, update) =>
+  comments.flatMap((comment) =>
+    update(comment).map((updated) => ({
+      ...updated,
+      replies: mapTree(updated.replies || [], update),
+    })),
+  );
+
+// Adds a new comment under its parent, or replaces an edited one keeping its
+// replies. Our own comments come back as events, so they may be there already.
+export function saveComment(comments, comment) {
+  if (findComment(comments, comment.id)) {
+    return mapTree(comments, (current) => [
+      current.id === comment.id
+        ? { ...comment, replies: current.replies }
+        : current,
+    ]);
+  }
+
+  const added = { ...comment, replies: [] };
+  if (!findComment(comments, added.parentId)) {
+    return [...comments, added].sort(byCreation);
+  }
+
+  return mapTree(comments, (current) => [
+    current.id === added.parentId
+      ? { ...current, replies: [...(current.replies || []), added] }
+      : current,
+  ]);
+}
+
+// Replies of a deleted comment are kept as top level comments
+export function removeComment(comments, id) {
+  const removed = findComment(comments, id);
+  if (!removed) return comments;
+
+  const orphans = (removed.replies || []).map((reply) => ({
+    ...reply,
+    parentId: null,
+  }));
+  const remaining = mapTree(comments, (current) =>
+    current.id === id ? [] : [current],
+  );
+
+  return [...remaining, ...orphans].sort(byCreation);
+}
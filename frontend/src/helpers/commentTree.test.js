@@ -0,0 +1,71 @@
+import { removeComment, saveComment } from "./commentTree";
+
+const comment = (id, parentId = null, replies = []) => ({
+  id,
+  parentId,
+  body: `Comment ${id}`,
+  createdAt: `2026-10-19T12:00:0${id}.000Z`,
+  replies,
+});
+
+const ids = (comments) => comments.map(({ id, replies }) => [id, ids(replies)]);
+
+describe("Save comment", () => {
+  test("adds a reply under its parent", () => {
+    const tree = [comment(1, null, [comment(2, 1)]), comment(3)];
+
+    const saved = saveComment(tree, { ...comment(4, 2), replies: undefined });
+
+    expect(ids(saved)).toEqual([
+      [1, [[2, [[4, []]]]]],
+      [3, []],
+    ]);
+    expect(ids(tree)).toEqual([
+      [1, [[2, []]]],
+      [3, []],
+    ]);
+  });
+
+  test("adds top level comments in order", () => {
+    const saved = saveComment([comment(1), comment(3)], comment(2));
+
+    expect(ids(saved)).toEqual([
+      [1, []],
+      [2, []],
+      [3, []],
+    ]);
+  });
+
+  test("replaces one already there, keeping its replies", () => {
+    const tree = [comment(1, null, [comment(2, 1)])];
+
+    const saved = saveComment(tree, { ...comment(1), body: "Edited" });
+
+    expect(saved[0].body).toBe("Edited");
+    expect(ids(saved)).toEqual([[1, [[2, []]]]]);
+  });
+});
+
+describe("Remove comment", () => {
+  test("keeps its replies as top level comments", () => {
+    const tree = [
+      comment(1, null, [comment(2, 1, [comment(5, 2)])]),
+      comment(3),
+    ];
+
+    const removed = removeComment(tree, 2);
+
+    expect(ids(removed)).toEqual([
+      [1, []],
+      [3, []],
+      [5, []],
+    ]);
+    expect(removed[2].parentId).toBeNull();
+  });
+
+  test("ignores unknown ids", () => {
+    const tree = [comment(1)];
+
+    expect(removeComment(tree, 9)).toBe(tree);
+  });
+});
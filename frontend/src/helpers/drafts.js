@@ -0,0 +1,24 @@
+// Unsaved editor changes, kept in local storage until the article is saved
+
+export function draftKey(username, slug) {
+  return `draft:${username}:${slug || "new"}`;
+}
+
+export function loadDraft(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key));
+  } catch {
+    return null;
+  }
+}
+
+export function saveDraft(key, form, savedAt = new Date()) {
+  localStorage.setItem(
+    key,
+    JSON.stringify({ form, savedAt: savedAt.toISOString() }),
+  );
+}
+
+export function clearDraft(key) {
+  localStorage.removeItem(key);
+}
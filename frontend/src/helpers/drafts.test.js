@@ -0,0 +1,27 @@
+import { clearDraft, draftKey, loadDraft, saveDraft } from "./drafts";
+
+afterEach(() => localStorage.clear());
+
+it("should keep drafts apart by user and article", () => {
+  expect(draftKey("jake", "dragons")).toBe("draft:jake:dragons");
+  expect(draftKey("jake")).toBe("draft:jake:new");
+});
+
+it("should round trip a draft", () => {
+  const savedAt = new Date("2026-10-19T12:00:00.000Z");
+  saveDraft("draft:jake:new", { title: "Dragons" }, savedAt);
+
+  expect(loadDraft("draft:jake:new")).toEqual({
+    form: { title: "Dragons" },
+    savedAt: "2026-10-19T12:00:00.000Z",
+  });
+
+  clearDraft("draft:jake:new");
+  expect(loadDraft("draft:jake:new")).toBeNull();
+});
+
+it("should ignore unreadable drafts", () => {
+  localStorage.setItem("draft:jake:new", "{");
+
+  expect(loadDraft("draft:jake:new")).toBeNull();
+});
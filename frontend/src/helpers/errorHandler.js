@@ -1,11 +1,26 @@
+// Thrown for every failed API call. `code` is the stable error code from the
+// API and `fields` holds per field messages when the request was invalid.
+export class ResponseError extends Error {
+  constructor({ code, errors = {} } = {}, status) {
+    const messages = Object.entries(errors).map(([field, [message]]) =>
+      field === "body" ? message : `${field} ${message}`,
+    );
+
+    super(messages.join(", ") || "Something went wrong");
+    this.name = "ResponseError";
+    this.code = code;
+    this.status = status;
+    this.fields = status === 422 ? errors : {};
+  }
+}
+
 function errorHandler(error) {
   if (!error.response) return console.log(error);
 
   const { status, data } = error.response;
 
-  if ([401, 403, 404, 422, 500].includes(status)) {
-    console.log(error.response, data.errors.body[0]);
-    throw data.errors.body[0];
+  if ([400, 401, 403, 404, 422, 429, 500].includes(status)) {
+    throw new ResponseError(data, status);
   }
 
   console.dir(error);
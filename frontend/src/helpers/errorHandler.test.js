@@ -1,7 +1,7 @@
 import errorHandler from "./errorHandler";
 
 describe("Catching errors", () => {
-  const errors = [401, 403, 404, 422, 500];
+  const errors = [401, 403, 404, 422, 429, 500];
 
   test.each(errors)("Status %p should throw an error", (statusCode) => {
     const resError = {
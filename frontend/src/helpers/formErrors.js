@@ -0,0 +1,18 @@
+// Splits an API error into messages for the form's own fields and a general
+// message for everything the form can't show next to a field.
+function formErrors(error, fieldNames) {
+  const fields = {};
+  const others = [];
+
+  Object.entries(error.fields || {}).forEach(([field, messages]) => {
+    if (fieldNames.includes(field)) fields[field] = messages;
+    else
+      others.push(field === "body" ? messages[0] : `${field} ${messages[0]}`);
+  });
+
+  if (!Object.keys(fields).length) return { fields, message: error.message };
+
+  return { fields, message: others.join(", ") || undefined };
+}
+
+export default formErrors;
@@ -0,0 +1,40 @@
+import { ResponseError } from "./errorHandler";
+import formErrors from "./formErrors";
+
+describe("Form errors", () => {
+  test("shows field errors next to their fields", () => {
+    const error = new ResponseError(
+      { code: "invalid_fields", errors: { email: ["is not a valid email"] } },
+      422,
+    );
+
+    expect(formErrors(error, ["email", "password"])).toEqual({
+      fields: { email: ["is not a valid email"] },
+      message: undefined,
+    });
+  });
+
+  test("keeps errors for other fields as a general message", () => {
+    const error = new ResponseError(
+      {
+        code: "invalid_fields",
+        errors: { email: ["can't be blank"], role: ["is not allowed"] },
+      },
+      422,
+    );
+
+    expect(formErrors(error, ["email"]).message).toBe("role is not allowed");
+  });
+
+  test("falls back to the error message", () => {
+    const error = new ResponseError(
+      { code: "unauthorized", errors: { body: ["You need to login first!"] } },
+      401,
+    );
+
+    expect(formErrors(error, ["body"])).toEqual({
+      fields: {},
+      message: "You need to login first!",
+    });
+  });
+});
@@ -0,0 +1,6 @@
+const uploaded = /^(\/api\/uploads\/\w+\/[\w-]+\/)\w+\.webp$/;
+
+// Swaps an uploaded image for another of its sizes, remote images stay as is
+export default function imageVariant(url, variant) {
+  return url?.replace(uploaded, `$1${variant}.webp`);
+}
@@ -0,0 +1,16 @@
+import imageVariant from "./imageVariant";
+
+it("should swap the size of uploaded images", () => {
+  const url = "/api/uploads/avatars/0b9f6a4e-3a1c/medium.webp";
+
+  expect(imageVariant(url, "small")).toBe(
+    "/api/uploads/avatars/0b9f6a4e-3a1c/small.webp",
+  );
+});
+
+it("should leave remote images alone", () => {
+  const url = "https://example.com/avatars/medium.webp";
+
+  expect(imageVariant(url, "small")).toBe(url);
+  expect(imageVariant(null, "small")).toBeUndefined();
+});
@@ -0,0 +1,11 @@
+// Same rules the API applies, so chips show tags the way they'll be saved
+export default function normalizeTag(tag) {
+  return tag
+    .normalize("NFKC")
+    .toLowerCase()
+    .trim()
+    .replace(/[\s_]+/g, "-")
+    .replace(/[^\p{L}\p{N}+#.-]/gu, "")
+    .replace(/-{2,}/g, "-")
+    .replace(/^[-.]+|[-.]+$/g, "");
+}
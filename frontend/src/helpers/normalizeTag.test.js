@@ -0,0 +1,13 @@
+import normalizeTag from "./normalizeTag";
+
+it("should lowercase and join words with hyphens", () => {
+  expect(normalizeTag("  Node   JS ")).toBe("node-js");
+  expect(normalizeTag("snake_case")).toBe("snake-case");
+});
+
+it("should keep letters, digits and + # .", () => {
+  expect(normalizeTag("C++")).toBe("c++");
+  expect(normalizeTag("--Vue.js.")).toBe("vue.js");
+  expect(normalizeTag("Ça va?")).toBe("ça-va");
+  expect(normalizeTag("!!!")).toBe("");
+});
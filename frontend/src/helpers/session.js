@@ -0,0 +1,33 @@
+import refreshSession from "../services/refreshSession";
+
+// Every tab shares the session kept in local storage. A refresh token can
+// only be used once, so the stored session is read again right before a
+// refresh: if another tab already rotated it, its session is taken as is.
+
+export function loadSession() {
+  try {
+    return JSON.parse(localStorage.getItem("loggedUser"));
+  } catch {
+    return null;
+  }
+}
+
+// `rejectedAuthorization` is the header of the request that got the 401
+export function renewSession(rejectedAuthorization) {
+  const renew = async () => {
+    const session = loadSession();
+
+    if (!session?.refreshToken) throw new Error("Signed out");
+    if (session.headers?.Authorization !== rejectedAuthorization) {
+      return session;
+    }
+
+    return refreshSession({ refreshToken: session.refreshToken });
+  };
+
+  // Tabs take turns where the browser can lock, so none reads a token that
+  // another is about to rotate.
+  return navigator.locks
+    ? navigator.locks.request("renewSession", renew)
+    : renew();
+}
@@ -0,0 +1,61 @@
+import refreshSession from "../services/refreshSession";
+import { loadSession, renewSession } from "./session";
+
+vi.mock("../services/refreshSession");
+
+const session = (token, refreshToken) => ({
+  headers: { Authorization: `Token ${token}` },
+  isAuth: true,
+  loggedUser: { username: "jake", token },
+  refreshToken,
+});
+
+const store = (value) =>
+  localStorage.setItem("loggedUser", JSON.stringify(value));
+
+afterEach(() => {
+  localStorage.clear();
+  vi.resetAllMocks();
+  delete navigator.locks;
+});
+
+it("should ignore an unreadable session", () => {
+  localStorage.setItem("loggedUser", "{");
+
+  expect(loadSession()).toBeNull();
+});
+
+it("should refresh with the stored refresh token", async () => {
+  store(session("old", "first"));
+  refreshSession.mockResolvedValue(session("new", "second"));
+
+  await expect(renewSession("Token old")).resolves.toEqual(
+    session("new", "second"),
+  );
+  expect(refreshSession).toHaveBeenCalledWith({ refreshToken: "first" });
+});
+
+it("should take the session another tab already refreshed", async () => {
+  store(session("newer", "second"));
+
+  await expect(renewSession("Token old")).resolves.toEqual(
+    session("newer", "second"),
+  );
+  expect(refreshSession).not.toHaveBeenCalled();
+});
+
+it("should fail once signed out", async () => {
+  await expect(renewSession("Token old")).rejects.toThrow("Signed out");
+  expect(refreshSession).not.toHaveBeenCalled();
+});
+
+it("should refresh under a lock where there is one", async () => {
+  const request = vi.fn((name, callback) => callback());
+  navigator.locks = { request };
+  store(session("old", "first"));
+  refreshSession.mockResolvedValue(session("new", "second"));
+
+  await renewSession("Token old");
+
+  expect(request).toHaveBeenCalledWith("renewSession", expect.any(Function));
+});
@@ -0,0 +1,19 @@
+import { useEffect, useRef } from "react";
+import subscribeArticleEvents from "../services/articleEvents";
+
+function useArticleEvents({ event, listener, slug }) {
+  const listenerRef = useRef(listener);
+  listenerRef.current = listener;
+
+  useEffect(() => {
+    if (!slug) return;
+
+    return subscribeArticleEvents({
+      event,
+      listener: (data) => listenerRef.current(data),
+      slug,
+    });
+  }, [event, slug]);
+}
+
+export default useArticleEvents;
@@ -2,12 +2,14 @@ import { useEffect, useState } from "react";
 import { useAuth } from "../context/AuthContext";
 import getArticles from "../services/getArticles";
 
-function useArticles({ location, tabName, tagName, username }) {
-  const [{ articles, articlesCount }, setArticlesData] = useState({
+function useArticles({ location, query, tabName, tagName, username }) {
+  const [{ articles, articlesCount, nextCursor }, setArticlesData] = useState({
     articles: [],
     articlesCount: 0,
+    nextCursor: null,
   });
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const { headers } = useAuth();
 
   useEffect(() => {
@@ -15,13 +17,37 @@ function useArticles({ location, tabName, tagName, username }) {
 
     setLoading(true);
 
-    getArticles({ headers, location, tabName, tagName, username })
+    getArticles({ headers, location, query, tabName, tagName, username })
       .then(setArticlesData)
       .catch(console.error)
       .finally(() => setLoading(false));
-  }, [headers, location, tabName, tagName, username]);
+  }, [headers, location, query, tabName, tagName, username]);
 
-  return { articles, articlesCount, loading, setArticlesData };
+  const loadMore = () => {
+    if (!nextCursor || loadingMore) return;
+
+    setLoadingMore(true);
+
+    getArticles({ before: nextCursor, headers, location, tagName, username })
+      .then((page) =>
+        setArticlesData((prev) => ({
+          ...page,
+          articles: [...prev.articles, ...page.articles],
+        })),
+      )
+      .catch(console.error)
+      .finally(() => setLoadingMore(false));
+  };
+
+  return {
+    articles,
+    articlesCount,
+    hasMore: !!nextCursor,
+    loadMore,
+    loading,
+    loadingMore,
+    setArticlesData,
+  };
 }
 
 export default useArticles;
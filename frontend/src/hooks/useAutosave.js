@@ -0,0 +1,43 @@
+import { useEffect, useRef, useState } from "react";
+import { clearDraft, saveDraft } from "../helpers/drafts";
+
+const interval = 5000;
+
+/**
+ * Saves `form` as a draft under `key` every few seconds while it is `dirty`,
+ * and when the page is hidden. Drafts matching the saved article are dropped.
+ */
+function useAutosave({ dirty, form, key }) {
+  const [savedAt, setSavedAt] = useState(null);
+  const formRef = useRef(form);
+  formRef.current = form;
+
+  useEffect(() => {
+    if (!dirty) {
+      clearDraft(key);
+      return;
+    }
+
+    let lastSaved;
+    const save = () => {
+      const json = JSON.stringify(formRef.current);
+      if (json === lastSaved) return;
+
+      saveDraft(key, formRef.current);
+      lastSaved = json;
+      setSavedAt(new Date());
+    };
+
+    const timer = setInterval(save, interval);
+    window.addEventListener("pagehide", save);
+
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener("pagehide", save);
+    };
+  }, [dirty, key]);
+
+  return savedAt;
+}
+
+export default useAutosave;
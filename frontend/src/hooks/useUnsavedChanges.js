@@ -0,0 +1,41 @@
+import { useEffect } from "react";
+
+const message = "You have unsaved changes. Leave anyway?";
+
+/**
+ * Asks before leaving while `dirty`: the browser asks on reload or close, and
+ * clicks on links are confirmed before the router sees them. The back button
+ * can't be stopped with a hash router, autosaved drafts cover it.
+ */
+function useUnsavedChanges(dirty) {
+  useEffect(() => {
+    if (!dirty) return;
+
+    const beforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = "";
+    };
+
+    const confirmLeave = (e) => {
+      const link = e.target.closest?.("a[href]");
+      const href = link?.getAttribute("href");
+      // Links to headings stay on the page
+      if (!href || (href.startsWith("#") && !href.startsWith("#/"))) return;
+      if (link.target === "_blank" || window.confirm(message)) return;
+
+      e.preventDefault();
+      e.stopPropagation();
+    };
+
+    window.addEventListener("beforeunload", beforeUnload);
+    // Capture runs before React's own listeners on the root
+    document.addEventListener("click", confirmLeave, true);
+
+    return () => {
+      window.removeEventListener("beforeunload", beforeUnload);
+      document.removeEventListener("click", confirmLeave, true);
+    };
+  }, [dirty]);
+}
+
+export default useUnsavedChanges;
@@ -7,16 +7,24 @@ import "./index.css";
 import reportWebVitals from "./reportWebVitals";
 import Article from "./routes/Article/Article";
 import CommentsSection from "./routes/Article/CommentsSection";
+import RevisionsSection from "./routes/Article/RevisionsSection";
 import ArticleEditor from "./routes/ArticleEditor";
+import ForgotPassword from "./routes/ForgotPassword";
 import Home from "./routes/Home";
 import HomeArticles from "./routes/HomeArticles";
 import Login from "./routes/Login";
+import Moderation from "./routes/Moderation";
 import NotFound from "./routes/NotFound";
+import Notifications from "./routes/Notifications";
 import Profile from "./routes/Profile/Profile";
+import ResetPassword from "./routes/ResetPassword";
 import ProfileArticles from "./routes/Profile/ProfileArticles";
+import ProfileDrafts from "./routes/Profile/ProfileDrafts";
 import ProfileFavArticles from "./routes/Profile/ProfileFavArticles";
+import Search from "./routes/Search";
 import Settings from "./routes/Settings";
 import SignUp from "./routes/SignUp";
+import VerifyEmail from "./routes/VerifyEmail";
 
 ReactDOM.createRoot(document.getElementById("root")).render(
   <React.StrictMode>
@@ -30,20 +38,31 @@ ReactDOM.createRoot(document.getElementById("root")).render(
 
             <Route path="login" element={<Login />} />
             <Route path="register" element={<SignUp />} />
+            <Route path="verify-email" element={<VerifyEmail />} />
+            <Route path="forgot-password" element={<ForgotPassword />} />
+            <Route path="reset-password" element={<ResetPassword />} />
 
             <Route path="settings" element={<Settings />} />
 
+            <Route path="search" element={<Search />} />
+
+            <Route path="moderation" element={<Moderation />} />
+
+            <Route path="notifications" element={<Notifications />} />
+
             <Route path="editor" element={<ArticleEditor />}>
               <Route path=":slug" element={<ArticleEditor />} />
             </Route>
 
             <Route path="article/:slug" element={<Article />}>
               <Route index element={<CommentsSection />} />
+              <Route path="revisions" element={<RevisionsSection />} />
             </Route>
 
             <Route path="profile/:username" element={<Profile />}>
               <Route index element={<ProfileArticles />} />
               <Route path="favorites" element={<ProfileFavArticles />} />
+              <Route path="drafts" element={<ProfileDrafts />} />
             </Route>
           </Route>
           <Route path="*" element={<NotFound />} />
@@ -51,7 +70,7 @@ ReactDOM.createRoot(document.getElementById("root")).render(
       </AuthProvider>
     </HashRouter>
   </React.StrictMode>,
-  );
+);
 
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
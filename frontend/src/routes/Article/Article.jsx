@@ -1,6 +1,6 @@
-import Markdown from "markdown-to-jsx";
 import { useEffect, useState } from "react";
 import { Outlet, useLocation, useNavigate, useParams } from "react-router-dom";
+import ArticleBody from "../../components/ArticleBody";
 import ArticleMeta from "../../components/ArticleMeta";
 import ArticlesButtons from "../../components/ArticlesButtons";
 import ArticleTags from "../../components/ArticleTags";
@@ -11,16 +11,28 @@ import getArticle from "../../services/getArticle";
 function Article() {
   const { state } = useLocation();
   const [article, setArticle] = useState(state || {});
-  const { title, body, tagList, createdAt, author } = article || {};
+  const { title, bodyHtml, coverImage, tagList, createdAt, author, toc } =
+    article || {};
   const { headers, isAuth } = useAuth();
   const navigate = useNavigate();
   const { slug } = useParams();
 
   useEffect(() => {
-    if (state) return;
+    // Lists link here with the article, but only this route renders its body
+    if (state?.bodyHtml) return;
 
     getArticle({ slug, headers })
-      .then(setArticle)
+      .then((article) => {
+        setArticle(article);
+
+        // Old slugs are redirected by the API, keep the URL in sync with it
+        if (article.slug !== slug) {
+          navigate(`/article/${article.slug}`, {
+            replace: true,
+            state: article,
+          });
+        }
+      })
       .catch((error) => {
         console.error(error);
         navigate("/not-found", { replace: true });
@@ -39,7 +51,10 @@ function Article() {
       <div className="container page">
         <div className="row article-content">
           <div className="col-md-12">
-            {body && <Markdown options={{ forceBlock: true }}>{body}</Markdown>}
+            {coverImage && (
+              <img alt="" className="article-cover" src={coverImage} />
+            )}
+            <ArticleBody bodyHtml={bodyHtml} toc={toc} />
             <ArticleTags tagList={tagList} />
           </div>
         </div>
@@ -1,19 +1,68 @@
-import { useState } from "react";
+import { useCallback, useEffect, useRef, useState } from "react";
+import { useParams } from "react-router-dom";
 import CommentEditor from "../../components/CommentEditor";
 import CommentList from "../../components/CommentList";
+import { useAuth } from "../../context/AuthContext";
+import { removeComment, saveComment } from "../../helpers/commentTree";
+import useArticleEvents from "../../hooks/useArticleEvents";
+import getComments from "../../services/getComments";
 
 function CommentsSection() {
-  const [comment, setComment] = useState({});
+  const [comments, setComments] = useState([]);
+  const disconnected = useRef(false);
+  const { headers } = useAuth();
+  const { slug } = useParams();
 
-  const handleUpdates = (e) => {
-    setComment(e);
+  // Signed in, so authors see the comments on their drafts
+  const loadComments = useCallback(() => {
+    getComments({ headers, slug }).then(setComments).catch(console.error);
+  }, [headers, slug]);
+
+  useEffect(loadComments, [loadComments]);
+
+  const handleSave = (comment) => {
+    setComments((prev) => saveComment(prev, comment));
   };
 
+  const handleRemove = (id) => {
+    setComments((prev) => removeComment(prev, id));
+  };
+
+  // Comments from other readers are added as they come. Those sent while the
+  // connection was down are only caught up on by loading them all again.
+  useArticleEvents({
+    event: "comment:created",
+    listener: ({ comment }) => handleSave(comment),
+    slug,
+  });
+  useArticleEvents({
+    event: "comment:deleted",
+    listener: ({ id }) => handleRemove(id),
+    slug,
+  });
+  useArticleEvents({
+    event: "error",
+    listener: () => (disconnected.current = true),
+    slug,
+  });
+  useArticleEvents({
+    event: "open",
+    listener: () => {
+      if (disconnected.current) loadComments();
+      disconnected.current = false;
+    },
+    slug,
+  });
+
   return (
     <div className="row">
       <div className="col-xs-12 col-md-8 offset-md-2">
-        <CommentEditor updateComments={handleUpdates} />
-        <CommentList triggerUpdate={comment} updateComments={handleUpdates} />
+        <CommentEditor updateComments={handleSave} />
+        <CommentList
+          comments={comments}
+          removeComment={handleRemove}
+          updateComments={handleSave}
+        />
       </div>
     </div>
   );
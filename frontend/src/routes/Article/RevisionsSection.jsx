@@ -0,0 +1,116 @@
+import { useEffect, useState } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import RevisionDiff from "../../components/RevisionDiff";
+import { useAuth } from "../../context/AuthContext";
+import dateFormatter from "../../helpers/dateFormatter";
+import getRevisions from "../../services/getRevisions";
+import getRevisionsDiff from "../../services/getRevisionsDiff";
+import restoreRevision from "../../services/restoreRevision";
+
+function RevisionsSection() {
+  const [revisions, setRevisions] = useState([]);
+  const [{ from, to }, setCompared] = useState({ from: "", to: "" });
+  const [diff, setDiff] = useState(null);
+  const { headers, isAuth } = useAuth();
+  const navigate = useNavigate();
+  const { slug } = useParams();
+
+  useEffect(() => {
+    if (!isAuth) return navigate(`/article/${slug}`, { replace: true });
+
+    getRevisions({ headers, slug })
+      .then((revisions) => {
+        setRevisions(revisions);
+        setCompared({ from: revisions[0]?.id || "", to: "" });
+      })
+      .catch(console.error);
+  }, [headers, isAuth, navigate, slug]);
+
+  useEffect(() => {
+    if (!from) return setDiff(null);
+
+    getRevisionsDiff({ from, headers, slug, to })
+      .then(setDiff)
+      .catch(console.error);
+  }, [from, headers, slug, to]);
+
+  const handleChange = (e) => {
+    const name = e.target.name;
+    const value = e.target.value;
+
+    setCompared((compared) => ({ ...compared, [name]: value }));
+  };
+
+  const handleRestore = (revisionId) => {
+    const confirmation = window.confirm("Want to restore this revision?");
+    if (!confirmation) return;
+
+    restoreRevision({ headers, revisionId, slug })
+      .then((article) => navigate(`/article/${article.slug}`))
+      .catch(console.error);
+  };
+
+  const revisionLabel = ({ author, createdAt, id }) =>
+    `#${id} - ${dateFormatter(createdAt)} by ${author?.username}`;
+
+  return (
+    <div className="row">
+      <div className="col-xs-12 col-md-8 offset-md-2">
+        <h4>Revision history</h4>
+
+        {revisions.length > 0 ? (
+          <>
+            <ul className="list-group">
+              {revisions.map((revision) => (
+                <li className="list-group-item" key={revision.id}>
+                  {revisionLabel(revision)}
+                  <button
+                    className="btn btn-sm btn-outline-secondary pull-xs-right"
+                    onClick={() => handleRestore(revision.id)}
+                  >
+                    <i className="ion-refresh"></i> Restore
+                  </button>
+                </li>
+              ))}
+            </ul>
+
+            <div className="form-inline revision-compare">
+              <select
+                className="form-control"
+                name="from"
+                onChange={handleChange}
+                value={from}
+              >
+                {revisions.map((revision) => (
+                  <option key={revision.id} value={revision.id}>
+                    {revisionLabel(revision)}
+                  </option>
+                ))}
+              </select>{" "}
+              →{" "}
+              <select
+                className="form-control"
+                name="to"
+                onChange={handleChange}
+                value={to}
+              >
+                <option value="">Current version</option>
+                {revisions.map((revision) => (
+                  <option key={revision.id} value={revision.id}>
+                    {revisionLabel(revision)}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {diff && <RevisionDiff diff={diff} />}
+          </>
+        ) : (
+          <div>This article has no earlier revisions.</div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default RevisionsSection;
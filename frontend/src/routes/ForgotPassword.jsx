@@ -0,0 +1,32 @@
+import { useState } from "react";
+import AuthPageContainer from "../components/AuthPageContainer";
+import ForgotPasswordForm from "../components/ForgotPasswordForm";
+
+function ForgotPassword() {
+  const [errorMessage, setErrorMessage] = useState();
+  const [message, setMessage] = useState();
+
+  const handleSuccess = (message) => {
+    setErrorMessage();
+    setMessage(message);
+  };
+
+  return (
+    <AuthPageContainer
+      error={errorMessage}
+      message={message}
+      path="/login"
+      text="Remembered it? Sign in"
+      title="Forgot password"
+    >
+      {!message && (
+        <ForgotPasswordForm
+          onError={(error) => setErrorMessage(error.message)}
+          onSuccess={handleSuccess}
+        />
+      )}
+    </AuthPageContainer>
+  );
+}
+
+export default ForgotPassword;
@@ -1,4 +1,4 @@
-import ArticlesPagination from "../components/ArticlesPagination";
+import ArticlesLoadMore from "../components/ArticlesLoadMore";
 import ArticlesPreview from "../components/ArticlesPreview";
 import { useFeedContext } from "../context/FeedContext";
 import useArticleList from "../hooks/useArticles";
@@ -6,11 +6,12 @@ import useArticleList from "../hooks/useArticles";
 function HomeArticles() {
   const { tabName, tagName } = useFeedContext();
 
-  const { articles, articlesCount, loading, setArticlesData } = useArticleList({
-    location: tabName,
-    tabName,
-    tagName,
-  });
+  const { articles, hasMore, loadMore, loading, loadingMore, setArticlesData } =
+    useArticleList({
+      location: tabName,
+      tabName,
+      tagName,
+    });
 
   return loading ? (
     <div className="article-preview">
@@ -24,11 +25,10 @@ function HomeArticles() {
         updateArticles={setArticlesData}
       />
 
-      <ArticlesPagination
-        articlesCount={articlesCount}
-        location={tabName}
-        tagName={tagName}
-        updateArticles={setArticlesData}
+      <ArticlesLoadMore
+        hasMore={hasMore}
+        loadMore={loadMore}
+        loadingMore={loadingMore}
       />
     </>
   ) : (
@@ -1,9 +1,11 @@
 import { useState } from "react";
+import { Link, useLocation } from "react-router-dom";
 import AuthPageContainer from "../components/AuthPageContainer";
 import LoginForm from "../components/LoginForm";
 
 function Login() {
   const [errorMessage, setErrorMessage] = useState();
+  const { state } = useLocation();
 
   const handleError = (error) => {
     setErrorMessage(error);
@@ -12,11 +14,15 @@ function Login() {
   return (
     <AuthPageContainer
       error={errorMessage}
+      message={state?.message}
       path="/register"
       text="Need an account?"
       title="Sign in"
     >
       <LoginForm onError={handleError} />
+      <Link className="auth-link" to="/forgot-password">
+        Forgot your password?
+      </Link>
     </AuthPageContainer>
   );
 }
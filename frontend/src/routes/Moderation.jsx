@@ -0,0 +1,95 @@
+import { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import ContainerRow from "../components/ContainerRow";
+import ReportItem from "../components/ReportItem";
+import { useAuth } from "../context/AuthContext";
+import canModerate from "../helpers/canModerate";
+import getReports from "../services/getReports";
+import updateReport from "../services/updateReport";
+
+const tabs = [
+  { status: "open,triaged", text: "Pending" },
+  { status: "resolved", text: "Resolved" },
+  { status: "dismissed", text: "Dismissed" },
+];
+
+function Moderation() {
+  const [{ reports, reportsCount }, setReportsData] = useState({
+    reports: [],
+    reportsCount: 0,
+  });
+  const [status, setStatus] = useState(tabs[0].status);
+  const [loading, setLoading] = useState(true);
+  const { headers, loggedUser } = useAuth();
+  const navigate = useNavigate();
+  const allowed = canModerate(loggedUser);
+
+  useEffect(() => {
+    if (!allowed) return navigate("/", { replace: true });
+
+    setLoading(true);
+
+    getReports({ headers, status })
+      .then(setReportsData)
+      .catch(console.error)
+      .finally(() => setLoading(false));
+  }, [allowed, headers, navigate, status]);
+
+  const handleUpdate = (reportId, newStatus, action) => {
+    if (action) {
+      const confirmation = window.confirm(`Want to ${action} this content?`);
+      if (!confirmation) return;
+    }
+
+    updateReport({ action, headers, reportId, status: newStatus })
+      .then(() => getReports({ headers, status }))
+      .then(setReportsData)
+      .catch((error) => alert(error.message));
+  };
+
+  return (
+    <div className="moderation-page">
+      <ContainerRow type="page">
+        <div className="col-md-10 offset-md-1 col-xs-12">
+          <h4>Moderation queue</h4>
+
+          <div className="articles-toggle">
+            <ul className="nav nav-pills outline-active">
+              {tabs.map((tab) => (
+                <li className="nav-item" key={tab.status}>
+                  <button
+                    className={`nav-link ${
+                      tab.status === status ? "active" : ""
+                    }`}
+                    onClick={() => setStatus(tab.status)}
+                  >
+                    {tab.text}
+                    {tab.status === status && ` (${reportsCount})`}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          {loading ? (
+            <em>Loading reports...</em>
+          ) : reports.length > 0 ? (
+            <ul className="list-group">
+              {reports.map((report) => (
+                <ReportItem
+                  handleUpdate={handleUpdate}
+                  key={report.id}
+                  report={report}
+                />
+              ))}
+            </ul>
+          ) : (
+            <div>No reports here.</div>
+          )}
+        </div>
+      </ContainerRow>
+    </div>
+  );
+}
+
+export default Moderation;
@@ -0,0 +1,120 @@
+import { useEffect, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import Avatar from "../components/Avatar";
+import ContainerRow from "../components/ContainerRow";
+import { notificationsReadEvent } from "../components/NotificationsBell/NotificationsBell";
+import { useAuth } from "../context/AuthContext";
+import dateFormatter from "../helpers/dateFormatter";
+import getNotifications from "../services/getNotifications";
+import readNotifications from "../services/readNotifications";
+
+const messages = {
+  follow: () => "started following you",
+  favorite: ({ article }) => (
+    <>
+      favorited <Link to={`/article/${article.slug}`}>{article.title}</Link>
+    </>
+  ),
+  comment: ({ article }) => (
+    <>
+      commented on <Link to={`/article/${article.slug}`}>{article.title}</Link>
+    </>
+  ),
+  reply: ({ article }) => (
+    <>
+      replied to your comment on{" "}
+      <Link to={`/article/${article.slug}`}>{article.title}</Link>
+    </>
+  ),
+};
+
+function Notifications() {
+  const [{ notifications, unreadCount }, setNotificationsData] = useState({
+    notifications: [],
+    unreadCount: 0,
+  });
+  const [loading, setLoading] = useState(true);
+  const { headers, isAuth } = useAuth();
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    if (!isAuth) return navigate("/login", { replace: true });
+
+    getNotifications({ headers })
+      .then(setNotificationsData)
+      .catch(console.error)
+      .finally(() => setLoading(false));
+  }, [headers, isAuth, navigate]);
+
+  const handleReadAll = () => {
+    readNotifications({ headers })
+      .then(() => {
+        window.dispatchEvent(new Event(notificationsReadEvent));
+
+        setNotificationsData(({ notifications }) => ({
+          notifications: notifications.map((notification) => ({
+            ...notification,
+            readAt: notification.readAt || new Date().toISOString(),
+          })),
+          unreadCount: 0,
+        }));
+      })
+      .catch(console.error);
+  };
+
+  return (
+    <div className="notifications-page">
+      <ContainerRow type="page">
+        <div className="col-md-8 offset-md-2 col-xs-12">
+          <h4>
+            Notifications
+            {unreadCount > 0 && (
+              <button
+                className="btn btn-sm btn-outline-secondary pull-xs-right"
+                onClick={handleReadAll}
+              >
+                <i className="ion-checkmark"></i> Mark all as read
+              </button>
+            )}
+          </h4>
+
+          {loading ? (
+            <em>Loading notifications...</em>
+          ) : notifications.length > 0 ? (
+            <ul className="list-group">
+              {notifications.map((notification) => {
+                const { actor, comment, createdAt, id, readAt, type } =
+                  notification;
+
+                return (
+                  <li
+                    className={`list-group-item ${readAt ? "" : "unread"}`}
+                    key={id}
+                  >
+                    <Avatar
+                      alt={actor.username}
+                      className="comment-author-img"
+                      src={actor.image}
+                    />{" "}
+                    <Link to={`/profile/${actor.username}`}>
+                      {actor.username}
+                    </Link>{" "}
+                    {messages[type](notification)}
+                    {comment && <blockquote>{comment.body}</blockquote>}
+                    <small className="text-muted pull-xs-right">
+                      {dateFormatter(createdAt)}
+                    </small>
+                  </li>
+                );
+              })}
+            </ul>
+          ) : (
+            <div>You don't have notifications yet.</div>
+          )}
+        </div>
+      </ContainerRow>
+    </div>
+  );
+}
+
+export default Notifications;
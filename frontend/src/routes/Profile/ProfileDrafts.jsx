@@ -0,0 +1,39 @@
+import { useParams } from "react-router-dom";
+import ArticlesPagination from "../../components/ArticlesPagination";
+import ArticlesPreview from "../../components/ArticlesPreview";
+import useArticleList from "../../hooks/useArticles";
+
+// Everything unpublished, archived articles too as no other list shows them
+function ProfileDrafts() {
+  const { username } = useParams();
+
+  const { articles, articlesCount, loading, setArticlesData } = useArticleList({
+    location: "drafts",
+    username,
+  });
+
+  return loading ? (
+    <div className="article-preview">
+      <em>Loading {username} drafts...</em>
+    </div>
+  ) : articles.length > 0 ? (
+    <>
+      <ArticlesPreview
+        articles={articles}
+        loading={loading}
+        updateArticles={setArticlesData}
+      />
+
+      <ArticlesPagination
+        articlesCount={articlesCount}
+        location="drafts"
+        updateArticles={setArticlesData}
+        username={username}
+      />
+    </>
+  ) : (
+    <div className="article-preview">{username} doesn't have drafts.</div>
+  );
+}
+
+export default ProfileDrafts;
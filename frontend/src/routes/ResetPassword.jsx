@@ -0,0 +1,36 @@
+import { useState } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import AuthPageContainer from "../components/AuthPageContainer";
+import ResetPasswordForm from "../components/ResetPasswordForm";
+
+function ResetPassword() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const [errorMessage, setErrorMessage] = useState(
+    token ? undefined : "This reset link is missing its token",
+  );
+  const navigate = useNavigate();
+
+  const handleSuccess = (message) => {
+    navigate("/login", { replace: true, state: { message } });
+  };
+
+  return (
+    <AuthPageContainer
+      error={errorMessage}
+      path="/forgot-password"
+      text="Need a new link?"
+      title="Reset password"
+    >
+      {token && (
+        <ResetPasswordForm
+          onError={(error) => setErrorMessage(error.message)}
+          onSuccess={handleSuccess}
+          token={token}
+        />
+      )}
+    </AuthPageContainer>
+  );
+}
+
+export default ResetPassword;
@@ -0,0 +1,52 @@
+import { useSearchParams } from "react-router-dom";
+import ArticlesPagination from "../components/ArticlesPagination";
+import ArticlesPreview from "../components/ArticlesPreview";
+import ContainerRow from "../components/ContainerRow";
+import useArticleList from "../hooks/useArticles";
+
+function Search() {
+  const [searchParams] = useSearchParams();
+  const query = searchParams.get("q") || "";
+
+  const { articles, articlesCount, loading, setArticlesData } = useArticleList({
+    location: "search",
+    query,
+  });
+
+  return (
+    <div className="search-page">
+      <ContainerRow type="page">
+        <div className="col-md-10 offset-md-1 col-xs-12">
+          <h4>Results for "{query}"</h4>
+
+          {loading ? (
+            <div className="article-preview">
+              <em>Searching articles...</em>
+            </div>
+          ) : articles.length > 0 ? (
+            <>
+              <ArticlesPreview
+                articles={articles}
+                loading={loading}
+                updateArticles={setArticlesData}
+              />
+
+              <ArticlesPagination
+                articlesCount={articlesCount}
+                location="search"
+                query={query}
+                updateArticles={setArticlesData}
+              />
+            </>
+          ) : (
+            <div className="article-preview">
+              No articles match your search.
+            </div>
+          )}
+        </div>
+      </ContainerRow>
+    </div>
+  );
+}
+
+export default Search;
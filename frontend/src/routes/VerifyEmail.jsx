@@ -0,0 +1,74 @@
+import { useEffect, useRef, useState } from "react";
+import { useLocation, useSearchParams } from "react-router-dom";
+import AuthPageContainer from "../components/AuthPageContainer";
+import { useAuth } from "../context/AuthContext";
+import resendVerification from "../services/resendVerification";
+import verifyEmail from "../services/verifyEmail";
+
+function VerifyEmail() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const { state } = useLocation();
+  const [errorMessage, setErrorMessage] = useState();
+  const [message, setMessage] = useState(
+    token ? "Verifying your email..." : undefined,
+  );
+  const { headers, isAuth, loggedUser, setAuthState } = useAuth();
+  const verified = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single use, so StrictMode's second run must not resend it
+    if (!token || verified.current) return;
+    verified.current = true;
+
+    verifyEmail({ token })
+      .then((message) => {
+        setMessage(message);
+        setAuthState((prev) => ({
+          ...prev,
+          loggedUser: { ...prev.loggedUser, emailVerifiedAt: new Date() },
+        }));
+      })
+      .catch((error) => {
+        setMessage();
+        setErrorMessage(error.message);
+      });
+  }, [setAuthState, token]);
+
+  const handleResend = () => {
+    resendVerification({ headers })
+      .then(setMessage)
+      .catch((error) => setErrorMessage(error.message));
+  };
+
+  const email = state?.email || loggedUser.email;
+  const pending = !token && !loggedUser.emailVerifiedAt;
+
+  return (
+    <AuthPageContainer
+      error={errorMessage}
+      message={message}
+      path="/"
+      text="Go to the home page"
+      title="Verify your email"
+    >
+      {pending && (
+        <p className="text-xs-center">
+          We sent a confirmation link to{" "}
+          <strong>{email || "your email"}</strong>. Open it to verify your
+          account.
+          {isAuth && (
+            <>
+              <br />
+              <button className="btn btn-link" onClick={handleResend}>
+                Send it again
+              </button>
+            </>
+          )}
+        </p>
+      )}
+    </AuthPageContainer>
+  );
+}
+
+export default VerifyEmail;
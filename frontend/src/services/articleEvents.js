@@ -0,0 +1,28 @@
+// One EventSource per article, shared by every component listening to it
+const sources = new Map();
+
+function subscribeArticleEvents({ event, listener, slug }) {
+  if (!sources.has(slug)) {
+    const source = new EventSource(`api/articles/${slug}/events`);
+    sources.set(slug, { listeners: 0, source });
+  }
+
+  const entry = sources.get(slug);
+  // The connection's own "open" and "error" events come without data
+  const handleEvent = (e) => listener(e.data && JSON.parse(e.data));
+
+  entry.listeners++;
+  entry.source.addEventListener(event, handleEvent);
+
+  return () => {
+    entry.source.removeEventListener(event, handleEvent);
+    entry.listeners--;
+
+    if (entry.listeners === 0) {
+      entry.source.close();
+      sources.delete(slug);
+    }
+  };
+}
+
+export default subscribeArticleEvents;
@@ -0,0 +1,19 @@
+import axios from "axios";
+import errorHandler from "../helpers/errorHandler";
+
+async function confirmTwoFactor({ code, headers }) {
+  try {
+    const { data } = await axios({
+      data: { twoFactor: { code } },
+      headers,
+      method: "POST",
+      url: "api/user/2fa/confirm",
+    });
+
+    return data.twoFactor.backupCodes;
+  } catch (error) {
+    errorHandler(error);
+  }
+}
+
+export default confirmTwoFactor;
@@ -0,0 +1,19 @@
+import axios from "axios";
+import errorHandler from "../helpers/errorHandler";
+
+async function disableTwoFactor({ code, headers }) {
+  try {
+    const { data } = await axios({
+      data: { twoFactor: { code } },
+      headers,
+      method: "DELETE",
+      url: "api/user/2fa",
+    });
+
+    return data.message.body[0];
+  } catch (error) {
+    errorHandler(error);
+  }
+}
+
+export default disableTwoFactor;
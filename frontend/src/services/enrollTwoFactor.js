@@ -0,0 +1,18 @@
+import axios from "axios";
+import errorHandler from "../helpers/errorHandler";
+
+async function enrollTwoFactor({ headers }) {
+  try {
+    const { data } = await axios({
+      headers,
+      method: "POST",
+      url: "api/user/2fa",
+    });
+
+    return data.twoFactor;
+  } catch (error) {
+    errorHandler(error);
+  }
+}
+
+export default enrollTwoFactor;
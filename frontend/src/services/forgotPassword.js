@@ -0,0 +1,18 @@
+import axios from "axios";
+import errorHandler from "../helpers/errorHandler";
+
+async function forgotPassword({ email }) {
+  try {
+    const { data } = await axios({
+      data: { user: { email } },
+      method: "POST",
+      url: "api/users/forgot-password",
+    });
+
+    return data.message.body[0];
+  } catch (error) {
+    errorHandler(error);
+  }
+}
+
+export default forgotPassword;
@@ -2,17 +2,22 @@ import axios from "axios";
 import errorHandler from "../helpers/errorHandler";
 
 // prettier-ignore
-async function getArticles({ headers, limit = 3, location, page = 0, tagName, username }) {
+async function getArticles({ before, headers, limit = 3, location, page = 0, query, tagName, username }) {
   try {
     const url = {
+      drafts: `api/articles?author=${username}&&status=draft,scheduled,archived&&limit=${limit}&&offset=${page}`,
       favorites: `api/articles?favorited=${username}&&limit=${limit}&&offset=${page}`,
       feed: `api/articles/feed?limit=${limit}&&offset=${page}`,
       global: `api/articles?limit=${limit}&&offset=${page}`,
       profile: `api/articles?author=${username}&&limit=${limit}&&offset=${page}`,
+      search: `api/articles/search?q=${encodeURIComponent(query)}&&limit=${limit}&&offset=${page}`,
       tag: `api/articles?tag=${tagName}&&limit=${limit}&&offset=${page}`,
     };
 
-    const { data } = await axios({ url: url[location], headers });
+    // A cursor keeps "load more" pages stable while new articles arrive
+    const cursor = before ? `&&before=${encodeURIComponent(before)}` : "";
+
+    const { data } = await axios({ url: url[location] + cursor, headers });
 
     return data;
   } catch (error) {
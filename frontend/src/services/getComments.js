@@ -1,9 +1,12 @@
 import axios from "axios";
 import errorHandler from "../helpers/errorHandler";
 
-async function getComments({ slug }) {
+async function getComments({ headers, slug }) {
   try {
-    const { data } = await axios({ url: `api/articles/${slug}/comments` });
+    const { data } = await axios({
+      headers,
+      url: `api/articles/${slug}/comments`,
+    });
 
     return data.comments;
   } catch (error) {
@@ -0,0 +1,18 @@
+import axios from "axios";
+import errorHandler from "../helpers/errorHandler";
+
+async function getNotifications({ headers, limit, unread }) {
+  try {
+    const { data } = await axios({
+      headers,
+      params: { limit, unread },
+      url: "api/notifications",
+    });
+
+    return data;
+  } catch (error) {
+    errorHandler(error);
+  }
+}
+
+export default getNotifications;
@@ -0,0 +1,18 @@
+import axios from "axios";
+import errorHandler from "../helpers/errorHandler";
+
+async function getReports({ headers, status }) {
+  try {
+    const { data } = await axios({
+      headers,
+      params: { status },
+      url: "api/moderation/reports",
+    });
+
+    return data;
+  } catch (error) {
+    errorHandler(error);
+  }
+}
+
+export default getReports;
@@ -0,0 +1,17 @@
+import axios from "axios";
+import errorHandler from "../helpers/errorHandler";
+
+async function getRevisions({ headers, slug }) {
+  try {
+    const { data } = await axios({
+      headers,
+      url: `api/articles/${slug}/revisions`,
+    });
+
+    return data.revisions;
+  } catch (error) {
+    errorHandler(error);
+  }
+}
+
+export default getRevisions;
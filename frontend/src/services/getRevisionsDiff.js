@@ -0,0 +1,18 @@
+import axios from "axios";
+import errorHandler from "../helpers/errorHandler";
+
+async function getRevisionsDiff({ from, headers, slug, to }) {
+  try {
+    const { data } = await axios({
+      headers,
+      params: { from, to },
+      url: `api/articles/${slug}/revisions/diff`,
+    });
+
+    return data.diff;
+  } catch (error) {
+    errorHandler(error);
+  }
+}
+
+export default getRevisionsDiff;
@@ -1,11 +1,15 @@
 import axios from "axios";
 import errorHandler from "../helpers/errorHandler";
 
-async function getTags() {
+// Most used first, `{ tags, counts }`. `prefix` narrows them for autocompletion
+async function getTags({ limit, prefix } = {}) {
   try {
-    const { data } = await axios({ url: "/api/tags" });
+    const { data } = await axios({
+      params: { limit, prefix },
+      url: "/api/tags",
+    });
 
-    return data.tags;
+    return data;
   } catch (error) {
     errorHandler(error);
   }
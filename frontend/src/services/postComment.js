@@ -1,10 +1,10 @@
 import axios from "axios";
 import errorHandler from "../helpers/errorHandler";
 
-async function postComment({ body, headers, slug }) {
+async function postComment({ body, headers, parentId, slug }) {
   try {
     const { data } = await axios({
-      data: { comment: { body } },
+      data: { comment: { body, parentId } },
       headers,
       method: "POST",
       url: `api/articles/${slug}/comments`,
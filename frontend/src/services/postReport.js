@@ -0,0 +1,19 @@
+import axios from "axios";
+import errorHandler from "../helpers/errorHandler";
+
+async function postReport({ headers, reason, target, type }) {
+  try {
+    const { data } = await axios({
+      data: { report: { reason, target, type } },
+      headers,
+      method: "POST",
+      url: "api/moderation/reports",
+    });
+
+    return data.report;
+  } catch (error) {
+    errorHandler(error);
+  }
+}
+
+export default postReport;
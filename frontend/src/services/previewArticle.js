@@ -0,0 +1,20 @@
+import axios from "axios";
+import errorHandler from "../helpers/errorHandler";
+
+// Renders a body the way the article page shows it, `{ bodyHtml, toc }`
+async function previewArticle({ body, headers }) {
+  try {
+    const { data } = await axios({
+      data: { article: { body } },
+      headers,
+      method: "POST",
+      url: "api/articles/preview",
+    });
+
+    return data.preview;
+  } catch (error) {
+    errorHandler(error);
+  }
+}
+
+export default previewArticle;
@@ -0,0 +1,18 @@
+import axios from "axios";
+import errorHandler from "../helpers/errorHandler";
+
+async function readNotifications({ headers }) {
+  try {
+    const { data } = await axios({
+      headers,
+      method: "POST",
+      url: "api/notifications/read",
+    });
+
+    return data.message;
+  } catch (error) {
+    errorHandler(error);
+  }
+}
+
+export default readNotifications;
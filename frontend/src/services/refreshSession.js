@@ -0,0 +1,30 @@
+import axios from "axios";
+import errorHandler from "../helpers/errorHandler";
+
+async function refreshSession({ refreshToken }) {
+  try {
+    const { data } = await axios({
+      data: { user: { refreshToken } },
+      method: "POST",
+      url: "api/users/refresh",
+    });
+
+    const { refreshToken: newRefreshToken, ...user } = data.user;
+    const headers = { Authorization: `Token ${user.token}` };
+
+    const loggedIn = {
+      headers,
+      isAuth: true,
+      loggedUser: user,
+      refreshToken: newRefreshToken,
+    };
+
+    localStorage.setItem("loggedUser", JSON.stringify(loggedIn));
+
+    return loggedIn;
+  } catch (error) {
+    errorHandler(error);
+  }
+}
+
+export default refreshSession;
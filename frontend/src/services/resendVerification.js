@@ -0,0 +1,18 @@
+import axios from "axios";
+import errorHandler from "../helpers/errorHandler";
+
+async function resendVerification({ headers }) {
+  try {
+    const { data } = await axios({
+      headers,
+      method: "POST",
+      url: "api/users/verify-email/resend",
+    });
+
+    return data.message.body[0];
+  } catch (error) {
+    errorHandler(error);
+  }
+}
+
+export default resendVerification;
@@ -0,0 +1,18 @@
+import axios from "axios";
+import errorHandler from "../helpers/errorHandler";
+
+async function resetPassword({ password, token }) {
+  try {
+    const { data } = await axios({
+      data: { user: { password, token } },
+      method: "POST",
+      url: "api/users/reset-password",
+    });
+
+    return data.message.body[0];
+  } catch (error) {
+    errorHandler(error);
+  }
+}
+
+export default resetPassword;
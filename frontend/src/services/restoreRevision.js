@@ -0,0 +1,18 @@
+import axios from "axios";
+import errorHandler from "../helpers/errorHandler";
+
+async function restoreRevision({ headers, revisionId, slug }) {
+  try {
+    const { data } = await axios({
+      headers,
+      method: "POST",
+      url: `api/articles/${slug}/revisions/${revisionId}/restore`,
+    });
+
+    return data.article;
+  } catch (error) {
+    errorHandler(error);
+  }
+}
+
+export default restoreRevision;
@@ -1,10 +1,30 @@
 import axios from "axios";
 import errorHandler from "../helpers/errorHandler";
 
-async function setArticle({ body, description, headers, slug, tagList, title }) {
+async function setArticle({
+  body,
+  coverImage,
+  description,
+  headers,
+  publishAt,
+  slug,
+  status,
+  tagList,
+  title,
+}) {
   try {
     const { data } = await axios({
-      data: { article: { title, description, body, tagList } },
+      data: {
+        article: {
+          title,
+          description,
+          body,
+          coverImage,
+          tagList,
+          status,
+          publishAt,
+        },
+      },
       headers,
       method: slug ? "PUT" : "POST",
       url: slug ? `api/articles/${slug}` : "api/articles",
@@ -0,0 +1,19 @@
+import axios from "axios";
+import errorHandler from "../helpers/errorHandler";
+
+async function updateReport({ action, headers, reportId, status }) {
+  try {
+    const { data } = await axios({
+      data: { report: { action, status } },
+      headers,
+      method: "PUT",
+      url: `api/moderation/reports/${reportId}`,
+    });
+
+    return data.report;
+  } catch (error) {
+    errorHandler(error);
+  }
+}
+
+export default updateReport;
@@ -0,0 +1,23 @@
+import axios from "axios";
+import errorHandler from "../helpers/errorHandler";
+
+// `kind` is "avatar" or "cover", resolves to `{ url, variants }`
+async function uploadImage({ file, headers, kind }) {
+  try {
+    const data = new FormData();
+    data.append("image", file);
+
+    const { data: response } = await axios({
+      data,
+      headers,
+      method: "POST",
+      url: `api/uploads/${kind}`,
+    });
+
+    return response.upload;
+  } catch (error) {
+    errorHandler(error);
+  }
+}
+
+export default uploadImage;
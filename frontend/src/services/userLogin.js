@@ -9,10 +9,13 @@ async function userLogin({ email, password }) {
       url: "api/users/login",
     });
 
-    const { user } = data;
+    // Accounts with two-factor on get a challenge to answer with a code
+    if (data.twoFactor) return data.twoFactor;
+
+    const { refreshToken, ...user } = data.user;
     const headers = { Authorization: `Token ${user.token}` };
 
-    const loggedIn = { headers, isAuth: true, loggedUser: user };
+    const loggedIn = { headers, isAuth: true, loggedUser: user, refreshToken };
 
     localStorage.setItem("loggedUser", JSON.stringify(loggedIn));
 
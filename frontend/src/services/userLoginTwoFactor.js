@@ -0,0 +1,25 @@
+import axios from "axios";
+import errorHandler from "../helpers/errorHandler";
+
+async function userLoginTwoFactor({ challengeToken, code }) {
+  try {
+    const { data } = await axios({
+      data: { user: { challengeToken, code } },
+      method: "POST",
+      url: "api/users/login/2fa",
+    });
+
+    const { refreshToken, ...user } = data.user;
+    const headers = { Authorization: `Token ${user.token}` };
+
+    const loggedIn = { headers, isAuth: true, loggedUser: user, refreshToken };
+
+    localStorage.setItem("loggedUser", JSON.stringify(loggedIn));
+
+    return loggedIn;
+  } catch (error) {
+    errorHandler(error);
+  }
+}
+
+export default userLoginTwoFactor;
@@ -1,4 +1,20 @@
-function userLogout() {
+import axios from "axios";
+
+async function userLogout({ headers, refreshToken } = {}) {
+  try {
+    if (headers || refreshToken) {
+      await axios({
+        data: { user: { refreshToken } },
+        headers,
+        method: "POST",
+        url: "api/users/logout",
+      });
+    }
+  } catch (error) {
+    // The session is dropped locally even if the server can't revoke it
+    console.error(error);
+  }
+
   localStorage.removeItem("loggedUser");
 
   return {
@@ -11,6 +27,7 @@ function userLogout() {
       token: "",
       username: "",
     },
+    refreshToken: null,
   };
 }
 
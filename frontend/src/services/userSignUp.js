@@ -9,10 +9,10 @@ async function userSignUp({ username, email, password }) {
       url: "api/users",
     });
 
-    const { user } = data;
+    const { refreshToken, ...user } = data.user;
     const headers = { Authorization: `Token ${user.token}` };
 
-    const loggedIn = { headers, isAuth: true, loggedUser: user };
+    const loggedIn = { headers, isAuth: true, loggedUser: user, refreshToken };
 
     localStorage.setItem("loggedUser", JSON.stringify(loggedIn));
 
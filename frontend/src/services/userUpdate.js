@@ -1,7 +1,15 @@
 import axios from "axios";
 import errorHandler from "../helpers/errorHandler";
 
-async function userUpdate({ headers, bio, email, image, password, username }) {
+async function userUpdate({
+  headers,
+  bio,
+  email,
+  image,
+  password,
+  refreshToken,
+  username,
+}) {
   try {
     const { data } = await axios({
       data: { user: { bio, email, image, password, username } },
@@ -12,7 +20,7 @@ async function userUpdate({ headers, bio, email, image, password, username }) {
 
     const { user } = data;
 
-    const loggedIn = { headers, isAuth: true, loggedUser: user };
+    const loggedIn = { headers, isAuth: true, loggedUser: user, refreshToken };
 
     localStorage.setItem("loggedUser", JSON.stringify(loggedIn));
 
@@ -0,0 +1,18 @@
+import axios from "axios";
+import errorHandler from "../helpers/errorHandler";
+
+async function verifyEmail({ token }) {
+  try {
+    const { data } = await axios({
+      data: { user: { token } },
+      method: "POST",
+      url: "api/users/verify-email",
+    });
+
+    return data.message.body[0];
+  } catch (error) {
+    errorHandler(error);
+  }
+}
+
+export default verifyEmail;